@@ -6,21 +6,73 @@
 require('dotenv').config();
 
 const express = require('express');
-const { validateEnv } = require('./services/config');
+const { validateEnv, getConfig, buildConfig, getFathomAccountConfig } = require('./services/config');
+const { reloadConfigFile, getConfigFilePath } = require('./services/config-file');
+const { checkIntegrations, getStartupSummary } = require('./services/startup-checks');
+const { loadPromptTemplates, checkPromptTemplates } = require('./services/prompt-templates');
 const { handleCalendlyWebhook } = require('./services/webhook-handler');
-const { handleFathomWebhook } = require('./services/fathom-handler');
+const { verifyCalendlyWebhook } = require('./services/calendly');
+const { syncMeeting } = require('./services/meeting-pipeline');
+const { getSource } = require('./services/sources');
+const { getUrlValidationResponse } = require('./services/zoom');
 const { handleHeyReachWebhook } = require('./services/heyreach-handler');
 const { handleClayWebhook } = require('./services/clay-handler');
+const { webhookAuth } = require('./middleware/webhook-auth');
+const { adminAuth } = require('./middleware/admin-auth');
+const adminRoutes = require('./routes/admin');
+const { getDeliveryKey, isDuplicateDelivery, processDelivery } = require('./services/delivery-ledger');
+const { startJobWorker, listJobs } = require('./services/job-queue');
+const { getStore } = require('./services/storage');
+const { getPendingCount } = require('./services/heyreach-store');
+const { countBookings } = require('./services/meeting-store');
+const { listDeadLetters } = require('./services/dead-letter');
+const {
+  webhooksReceived,
+  webhooksRejected,
+  webhooksDuplicate,
+  setPendingSizesCollector,
+  metricsHandler
+} = require('./services/metrics');
 const { log } = require('./services/logger');
 
 // Validate environment variables on startup
 validateEnv();
 
 const app = express();
-const PORT = process.env.PORT || 3000;
+// Startup settings - request handlers call getConfig() so a SIGHUP reload reaches them
+const config = getConfig();
+const PORT = config.port;
+
+// Every enabled integration must have what it needs - fail now, not on the first meeting
+const { errors: integrationErrors, warnings: integrationWarnings } = checkIntegrations(config);
+integrationWarnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+if (integrationErrors.length > 0) {
+  console.error('\n❌ Incomplete integration settings:');
+  integrationErrors.forEach(error => console.error(`   - ${error}`));
+  console.error('');
+  process.exit(1);
+}
+
+console.log('\n📋 Integrations:');
+getStartupSummary(config).forEach(line => console.log(`   ${line}`));
+console.log('');
+
+// Load summary prompt templates - a broken template should fail the boot, not a sync
+const templateErrors = loadPromptTemplates(config);
+if (templateErrors.length > 0) {
+  console.error('\n❌ Invalid prompt templates:');
+  templateErrors.forEach(error => console.error(`   - ${error}`));
+  console.error('');
+  process.exit(1);
+}
 
 // Middleware
-app.use(express.json());
+// Keep the raw bytes around - webhook signatures are computed over the exact body sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
+}));
 
 // Request logging middleware
 app.use((req, res, next) => {
@@ -28,6 +80,45 @@ app.use((req, res, next) => {
   next();
 });
 
+/**
+ * Acknowledge a webhook and process it at most once
+ * Retries of an already-processed delivery are acknowledged with duplicate: true and skipped;
+ * a retry arriving while the first run is still going waits for that run instead of starting another.
+ */
+async function acknowledgeAndProcess(provider, req, res, handler) {
+  const deliveryKey = getDeliveryKey(provider, req);
+
+  if (await isDuplicateDelivery(deliveryKey)) {
+    log('info', 'Skipping duplicate webhook delivery', { provider, deliveryKey });
+    webhooksDuplicate.inc({ source: provider });
+    return res.status(200).json({ received: true, duplicate: true });
+  }
+
+  res.status(200).json({ received: true });
+  await processDelivery(deliveryKey, handler);
+}
+
+/**
+ * Count every webhook request per source (before authentication)
+ */
+function countWebhook(source, account = 'default') {
+  return (req, res, next) => {
+    webhooksReceived.inc({ source, account });
+    next();
+  };
+}
+
+// Pending-store sizes are read at scrape time
+setPendingSizesCollector(async () => ({
+  pending_leads: await getPendingCount(),
+  bookings: await countBookings(),
+  calendly_waits: listJobs({ type: 'calendly.sync', state: 'pending' }).length,
+  dead_letters: (await listDeadLetters()).length
+}));
+
+// Prometheus metrics
+app.get('/metrics', metricsHandler);
+
 // Health check endpoint - use this to verify server is running
 app.get('/health', (req, res) => {
   res.json({
@@ -38,13 +129,24 @@ app.get('/health', (req, res) => {
 });
 
 // Calendly webhook endpoint
-app.post('/webhook/calendly', async (req, res) => {
+app.post('/webhook/calendly', countWebhook('calendly'), async (req, res) => {
   try {
-    // Acknowledge receipt immediately (Calendly expects fast response)
-    res.status(200).json({ received: true });
+    // Reject unsigned/forged requests before acknowledging
+    const { calendlyWebhookSigningKey, calendlyWebhookToleranceSeconds } = getConfig();
+    const isValid = verifyCalendlyWebhook(
+      req.headers['calendly-webhook-signature'],
+      req.rawBody,
+      calendlyWebhookSigningKey,
+      calendlyWebhookToleranceSeconds
+    );
+    if (!isValid) {
+      log('warn', 'Rejected Calendly webhook with invalid signature');
+      webhooksRejected.inc({ source: 'calendly', account: 'default', reason: 'invalid_signature' });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-    // Process the webhook asynchronously
-    await handleCalendlyWebhook(req.body);
+    // Acknowledge receipt immediately (Calendly expects fast response), then process once
+    await acknowledgeAndProcess('calendly', req, res, () => handleCalendlyWebhook(req.body));
 
   } catch (error) {
     log('error', 'Calendly webhook processing failed', { error: error.message });
@@ -52,50 +154,117 @@ app.post('/webhook/calendly', async (req, res) => {
 });
 
 // Fathom AI webhook endpoint - generic (uses legacy keys)
-app.post('/webhook/fathom', async (req, res) => {
+app.post('/webhook/fathom', countWebhook('fathom'), async (req, res) => {
   try {
-    // Acknowledge receipt immediately
-    res.status(200).json({ received: true });
+    // Reject unsigned/forged requests before acknowledging
+    if (!getSource('fathom').verifyRequest(req.headers, req.rawBody)) {
+      log('warn', 'Rejected Fathom webhook with invalid signature');
+      webhooksRejected.inc({ source: 'fathom', account: 'default', reason: 'invalid_signature' });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-    // Process the webhook asynchronously
-    const signature = req.headers['webhook-signature'] || req.headers['x-fathom-signature'];
-    await handleFathomWebhook(req.body, null, signature, JSON.stringify(req.body));
+    // Acknowledge receipt immediately, then process once
+    await acknowledgeAndProcess('fathom', req, res, () => syncMeeting(getSource('fathom'), req.body));
 
   } catch (error) {
     log('error', 'Fathom webhook processing failed', { error: error.message });
   }
 });
 
-// Fathom AI webhook endpoint - RecruitCloud account
-app.post('/webhook/fathom/recruitcloud', async (req, res) => {
+// Fathom AI webhook endpoint - one per account registered with FATHOM_<ACCOUNT>_* keys
+app.post('/webhook/fathom/:accountId', async (req, res) => {
+  const accountId = req.params.accountId.toLowerCase();
+
+  // Unknown accounts are not counted, so random paths can't create metric series
+  if (!getFathomAccountConfig(accountId)) {
+    log('warn', 'Rejected Fathom webhook for unknown account', { account: accountId });
+    return res.status(404).json({ error: 'Unknown Fathom account' });
+  }
+  webhooksReceived.inc({ source: 'fathom', account: accountId });
+
   try {
-    res.status(200).json({ received: true });
-    const signature = req.headers['webhook-signature'] || req.headers['x-fathom-signature'];
-    await handleFathomWebhook(req.body, 'recruitcloud', signature, JSON.stringify(req.body));
+    if (!getSource('fathom').verifyRequest(req.headers, req.rawBody, accountId)) {
+      log('warn', 'Rejected Fathom webhook with invalid signature', { account: accountId });
+      webhooksRejected.inc({ source: 'fathom', account: accountId, reason: 'invalid_signature' });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    await acknowledgeAndProcess('fathom', req, res, () =>
+      syncMeeting(getSource('fathom'), req.body, { accountId })
+    );
   } catch (error) {
-    log('error', 'Fathom (RecruitCloud) webhook processing failed', { error: error.message });
+    log('error', 'Fathom webhook processing failed', { account: accountId, error: error.message });
   }
 });
 
-// Fathom AI webhook endpoint - DataLabs Corp account
-app.post('/webhook/fathom/datalabs', async (req, res) => {
+// Fireflies.ai webhook endpoint - "Transcription completed" (carries only the meeting ID)
+app.post('/webhook/fireflies', countWebhook('fireflies'), async (req, res) => {
   try {
-    res.status(200).json({ received: true });
-    const signature = req.headers['webhook-signature'] || req.headers['x-fathom-signature'];
-    await handleFathomWebhook(req.body, 'datalabs', signature, JSON.stringify(req.body));
+    // Reject unsigned/forged requests before acknowledging
+    if (!getSource('fireflies').verifyRequest(req.headers, req.rawBody)) {
+      log('warn', 'Rejected Fireflies webhook with invalid signature');
+      webhooksRejected.inc({ source: 'fireflies', account: 'default', reason: 'invalid_signature' });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+
+    // Acknowledge receipt immediately, then process once
+    await acknowledgeAndProcess('fireflies', req, res, () => syncMeeting(getSource('fireflies'), req.body));
+
   } catch (error) {
-    log('error', 'Fathom (DataLabs) webhook processing failed', { error: error.message });
+    log('error', 'Fireflies webhook processing failed', { error: error.message });
   }
 });
 
-// HeyReach webhook endpoint - triggered when lead is tagged as "interested"
-app.post('/webhook/heyreach', async (req, res) => {
+// tl;dv webhook endpoint - TranscriptReady (tl;dv doesn't sign webhooks, so shared-secret auth)
+app.post('/webhook/tldv', countWebhook('tldv'), webhookAuth({
+  source: 'tldv',
+  secret: config.tldvWebhookSecret,
+  ...config.tldvWebhookAuth
+}), async (req, res) => {
+  try {
+    // Acknowledge receipt immediately, then process once
+    await acknowledgeAndProcess('tldv', req, res, () => syncMeeting(getSource('tldv'), req.body));
+
+  } catch (error) {
+    log('error', 'tl;dv webhook processing failed', { error: error.message });
+  }
+});
+
+// Zoom webhook endpoint - recording.transcript_completed, plus Zoom's endpoint URL validation
+app.post('/webhook/zoom', countWebhook('zoom'), async (req, res) => {
   try {
-    // Acknowledge receipt immediately
-    res.status(200).json({ received: true });
+    // Reject unsigned/forged requests before acknowledging
+    if (!getSource('zoom').verifyRequest(req.headers, req.rawBody)) {
+      log('warn', 'Rejected Zoom webhook with invalid signature');
+      webhooksRejected.inc({ source: 'zoom', account: 'default', reason: 'invalid_signature' });
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-    // Process the webhook asynchronously
-    await handleHeyReachWebhook(req.body);
+    // Zoom checks the endpoint when the webhook is saved, and every few days after
+    if (req.body.event === 'endpoint.url_validation') {
+      const { zoomWebhookSecretToken } = getConfig();
+      if (!zoomWebhookSecretToken || !req.body.payload?.plainToken) {
+        return res.status(400).json({ error: 'Cannot answer URL validation' });
+      }
+      return res.json(getUrlValidationResponse(req.body.payload.plainToken, zoomWebhookSecretToken));
+    }
+
+    // Acknowledge receipt immediately, then process once
+    await acknowledgeAndProcess('zoom', req, res, () => syncMeeting(getSource('zoom'), req.body));
+
+  } catch (error) {
+    log('error', 'Zoom webhook processing failed', { error: error.message });
+  }
+});
+
+// HeyReach webhook endpoint - triggered when lead is tagged as "interested"
+app.post('/webhook/heyreach', countWebhook('heyreach'), webhookAuth({
+  source: 'HeyReach',
+  secret: config.heyreachWebhookSecret,
+  ...config.heyreachWebhookAuth
+}), async (req, res) => {
+  try {
+    // Acknowledge receipt immediately, then process once
+    await acknowledgeAndProcess('heyreach', req, res, () => handleHeyReachWebhook(req.body));
 
   } catch (error) {
     log('error', 'HeyReach webhook processing failed', { error: error.message });
@@ -103,19 +272,23 @@ app.post('/webhook/heyreach', async (req, res) => {
 });
 
 // Clay enrichment webhook endpoint - receives enriched lead data
-app.post('/webhook/clay', async (req, res) => {
+app.post('/webhook/clay', countWebhook('clay'), webhookAuth({
+  source: 'Clay',
+  secret: config.clayWebhookSecret,
+  ...config.clayWebhookAuth
+}), async (req, res) => {
   try {
-    // Acknowledge receipt immediately
-    res.status(200).json({ received: true });
-
-    // Process the webhook asynchronously
-    await handleClayWebhook(req.body);
+    // Acknowledge receipt immediately, then process once
+    await acknowledgeAndProcess('clay', req, res, () => handleClayWebhook(req.body));
 
   } catch (error) {
     log('error', 'Clay webhook processing failed', { error: error.message });
   }
 });
 
+// Admin API - inspect and retry failed syncs (requires ADMIN_API_TOKEN)
+app.use('/admin', adminAuth(config.adminApiToken), adminRoutes);
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ error: 'Not found' });
@@ -127,14 +300,60 @@ app.use((err, req, res, next) => {
   res.status(500).json({ error: 'Internal server error' });
 });
 
+// Initialize the correlation store up front so a bad STORE_BACKEND fails fast
+getStore();
+
+// Resume outstanding jobs (scheduled Calendly syncs) before accepting new webhooks
+startJobWorker(config.jobQueue);
+
+// SIGHUP re-reads the config file - non-secret settings apply to the next webhook
+// (secrets and restart-only settings such as storage and the port keep their startup values)
+process.on('SIGHUP', () => {
+  if (!getConfigFilePath()) {
+    log('warn', 'SIGHUP received but no config file is loaded (set CONFIG_FILE)');
+    return;
+  }
+
+  // The new settings must pass the same checks as at startup before they replace the current ones
+  const { errors, kept } = reloadConfigFile(candidate => {
+    try {
+      const candidateConfig = buildConfig(candidate);
+      return [...checkIntegrations(candidateConfig).errors, ...checkPromptTemplates(candidateConfig)];
+    } catch (error) {
+      return [error.message];
+    }
+  });
+  if (errors.length > 0) {
+    log('error', 'Config reload failed, keeping the current settings', { file: getConfigFilePath(), errors });
+    return;
+  }
+  if (kept.length > 0) {
+    log('warn', 'Config reload: these settings need a restart to change', { settings: kept });
+  }
+
+  const templateErrors = loadPromptTemplates(getConfig());
+  if (templateErrors.length > 0) {
+    // Template files changed between the check and the load - the previous templates stay in use
+    log('error', 'Prompt templates failed to reload, keeping the current ones', { errors: templateErrors });
+  }
+
+  log('info', 'Config reloaded', { file: getConfigFilePath() });
+});
+
 // Start server
 app.listen(PORT, () => {
   log('info', `Server running on port ${PORT}`);
   log('info', `Calendly webhook: http://localhost:${PORT}/webhook/calendly`);
   log('info', `Fathom webhook (generic): http://localhost:${PORT}/webhook/fathom`);
-  log('info', `Fathom webhook (RecruitCloud): http://localhost:${PORT}/webhook/fathom/recruitcloud`);
-  log('info', `Fathom webhook (DataLabs): http://localhost:${PORT}/webhook/fathom/datalabs`);
+  for (const accountId of Object.keys(config.fathomAccounts)) {
+    log('info', `Fathom webhook (${accountId}): http://localhost:${PORT}/webhook/fathom/${accountId}`);
+  }
+  log('info', `Fireflies webhook: http://localhost:${PORT}/webhook/fireflies`);
+  log('info', `tl;dv webhook: http://localhost:${PORT}/webhook/tldv`);
+  log('info', `Zoom webhook: http://localhost:${PORT}/webhook/zoom`);
   log('info', `HeyReach webhook: http://localhost:${PORT}/webhook/heyreach`);
   log('info', `Clay enrichment webhook: http://localhost:${PORT}/webhook/clay`);
   log('info', `Health check: http://localhost:${PORT}/health`);
+  log('info', `Metrics: http://localhost:${PORT}/metrics`);
+  log('info', `Admin API: http://localhost:${PORT}/admin${config.adminApiToken ? '' : ' (disabled, set ADMIN_API_TOKEN)'}`);
 });
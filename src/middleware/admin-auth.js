@@ -0,0 +1,34 @@
+/**
+ * Admin API authentication
+ * Requires `Authorization: Bearer <ADMIN_API_TOKEN>`; the admin API is disabled
+ * entirely when no token is configured.
+ */
+
+const crypto = require('crypto');
+const { log } = require('../services/logger');
+
+/**
+ * Create an Express middleware that guards the admin routes
+ * @param {string} token - Configured admin token (null disables the admin API)
+ * @returns {function} - Express middleware
+ */
+function adminAuth(token) {
+  return (req, res, next) => {
+    if (!token) {
+      return res.status(403).json({ error: 'Admin API disabled - set ADMIN_API_TOKEN to enable it' });
+    }
+
+    const provided = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const a = Buffer.from(provided, 'utf8');
+    const b = Buffer.from(token, 'utf8');
+
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+      log('warn', 'Rejected admin request with invalid token', { path: req.path });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
+
+module.exports = { adminAuth };
@@ -0,0 +1,82 @@
+/**
+ * Webhook authentication middleware
+ * Reusable guard for webhook routes whose provider has no native signing scheme.
+ *
+ * Modes:
+ * - header: a shared secret sent verbatim in a header (default: x-webhook-secret)
+ * - hmac:   hex HMAC-SHA256 of the raw body in a header (default: x-webhook-signature),
+ *           optionally prefixed with "sha256="
+ * - query:  a shared token in the query string (default: ?token=)
+ */
+
+const crypto = require('crypto');
+const { log } = require('../services/logger');
+const { webhooksRejected } = require('../services/metrics');
+
+const DEFAULT_HEADERS = {
+  header: 'x-webhook-secret',
+  hmac: 'x-webhook-signature'
+};
+const DEFAULT_QUERY_PARAM = 'token';
+
+/**
+ * Create an Express middleware that authenticates a webhook route
+ * Requests are rejected with 401 before the handler acknowledges them.
+ * If no secret is configured the route stays open (with a warning), as before.
+ * @param {object} options - { source, secret, mode, header, queryParam }
+ * @returns {function} - Express middleware
+ */
+function webhookAuth({ source, secret, mode = 'header', header = null, queryParam = null }) {
+  if (!['header', 'hmac', 'query'].includes(mode)) {
+    throw new Error(`Unknown webhook auth mode for ${source}: ${mode}`);
+  }
+
+  const headerName = (header || DEFAULT_HEADERS[mode] || '').toLowerCase();
+  const paramName = queryParam || DEFAULT_QUERY_PARAM;
+
+  return (req, res, next) => {
+    if (!secret) {
+      log('warn', `${source} webhook secret not configured, skipping verification`);
+      return next();
+    }
+
+    let isValid = false;
+    switch (mode) {
+      case 'header':
+        isValid = safeEqual(req.headers[headerName], secret);
+        break;
+      case 'hmac': {
+        const provided = (req.headers[headerName] || '').replace(/^sha256=/, '');
+        const expected = crypto
+          .createHmac('sha256', secret)
+          .update(req.rawBody || '')
+          .digest('hex');
+        isValid = safeEqual(provided.toLowerCase(), expected);
+        break;
+      }
+      case 'query':
+        isValid = safeEqual(req.query[paramName], secret);
+        break;
+    }
+
+    if (!isValid) {
+      log('warn', `Rejected ${source} webhook with invalid credentials`, { mode });
+      webhooksRejected.inc({ source: source.toLowerCase(), account: 'default', reason: 'invalid_credentials' });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+  };
+}
+
+/**
+ * Constant-time string comparison
+ */
+function safeEqual(provided, expected) {
+  if (typeof provided !== 'string' || !provided) return false;
+  const a = Buffer.from(provided, 'utf8');
+  const b = Buffer.from(expected, 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { webhookAuth };
@@ -0,0 +1,185 @@
+/**
+ * Admin API
+ * Operational endpoints for inspecting and repairing sync state:
+ * pending HeyReach leads, Calendly bookings and waits, sync outcomes and dead letters.
+ * Mounted under /admin behind adminAuth.
+ */
+
+const express = require('express');
+const { log } = require('../services/logger');
+const {
+  listDeadLetters,
+  getDeadLetter,
+  discardDeadLetter,
+  retryDeadLetter
+} = require('../services/dead-letter');
+const {
+  listPendingLeads,
+  removePendingLead,
+  getPendingCount,
+  normalizeLinkedInUrl
+} = require('../services/heyreach-store');
+const { listBookings, removeBooking } = require('../services/meeting-store');
+const { listJobs, cancelJob } = require('../services/job-queue');
+const { listSyncOutcomes } = require('../services/sync-history');
+
+const CALENDLY_SYNC_JOB_TYPE = 'calendly.sync';
+
+const router = express.Router();
+
+// Counts of everything the service is currently holding
+router.get('/summary', async (req, res, next) => {
+  try {
+    const [pendingLeads, bookings, deadLetters] = await Promise.all([
+      getPendingCount(),
+      listBookings(),
+      listDeadLetters()
+    ]);
+    res.json({
+      pendingLeads,
+      bookings: bookings.length,
+      calendlyWaits: listJobs({ type: CALENDLY_SYNC_JOB_TYPE, state: 'pending' }).length,
+      deadLetters: deadLetters.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// HeyReach leads awaiting Clay enrichment (?linkedin= to filter)
+router.get('/pending-leads', async (req, res, next) => {
+  try {
+    const items = await listPendingLeads({ linkedinUrl: req.query.linkedin });
+    res.json({ count: items.length, items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Evict a pending lead (param is the URL-encoded LinkedIn URL)
+router.delete('/pending-leads/:linkedinUrl', async (req, res, next) => {
+  try {
+    const deleted = await removePendingLead(req.params.linkedinUrl);
+    if (!deleted) return res.status(404).json({ error: 'Pending lead not found' });
+    log('info', 'Evicted pending lead', { linkedinUrl: req.params.linkedinUrl });
+    res.json({ deleted: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Calendly bookings kept for Fathom correlation, with expiresAt (?email= to filter)
+router.get('/bookings', async (req, res, next) => {
+  try {
+    const items = await listBookings({ email: req.query.email });
+    res.json({ count: items.length, items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Evict a booking so it can no longer be matched
+router.delete('/bookings/:inviteeUuid', async (req, res, next) => {
+  try {
+    const deleted = await removeBooking(req.params.inviteeUuid);
+    if (!deleted) return res.status(404).json({ error: 'Booking not found' });
+    log('info', 'Evicted booking', { inviteeUuid: req.params.inviteeUuid });
+    res.json({ deleted: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Calendly syncs waiting for the meeting to end / the transcript (?email= to filter)
+router.get('/calendly-waits', (req, res) => {
+  const email = req.query.email?.toLowerCase();
+  const items = listJobs({ type: CALENDLY_SYNC_JOB_TYPE, state: 'pending' })
+    .filter(job => !email || job.payload.guestEmail?.toLowerCase() === email)
+    .map(job => ({
+      eventUuid: job.payload.eventUuid,
+      inviteeUuid: job.payload.inviteeUuid || null,
+      guestEmail: job.payload.guestEmail,
+      guestName: job.payload.guestName,
+      scheduledFor: job.runAt,
+      attempts: job.attempts,
+      jobId: job.id
+    }));
+  res.json({ count: items.length, items });
+});
+
+// Cancel a pending Calendly sync
+router.delete('/calendly-waits/:inviteeUuid', (req, res) => {
+  const canceled = cancelJob(`calendly:${req.params.inviteeUuid}`, 'Evicted via admin API');
+  if (!canceled) return res.status(404).json({ error: 'Pending Calendly sync not found' });
+  res.json({ deleted: true });
+});
+
+// Recent sync outcomes, newest first (?source=&email=&linkedin=&limit=)
+router.get('/sync-outcomes', async (req, res, next) => {
+  try {
+    const items = await listSyncOutcomes({
+      source: req.query.source,
+      email: req.query.email,
+      linkedinUrl: normalizeLinkedInUrl(req.query.linkedin),
+      limit: parseInt(req.query.limit, 10) || 100
+    });
+    res.json({ count: items.length, items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List failed syncs (payloads and resume context omitted - fetch one to see them)
+router.get('/dead-letters', async (req, res, next) => {
+  try {
+    const records = await listDeadLetters({ source: req.query.source });
+    res.json({
+      count: records.length,
+      items: records.map(({ payload, context, ...summary }) => summary)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Inspect one failed sync, including the original payload
+router.get('/dead-letters/:id', async (req, res, next) => {
+  try {
+    const record = await getDeadLetter(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Dead letter not found' });
+    res.json(record);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Retry a failed sync from its failed step; runs synchronously and reports the outcome
+router.post('/dead-letters/:id/retry', async (req, res, next) => {
+  try {
+    const record = await getDeadLetter(req.params.id);
+    if (!record) return res.status(404).json({ error: 'Dead letter not found' });
+
+    try {
+      const result = await retryDeadLetter(req.params.id);
+      res.json({ success: true, result });
+    } catch (retryError) {
+      log('warn', 'Dead letter retry failed', { id: req.params.id, error: retryError.message });
+      res.status(502).json({ success: false, error: retryError.message });
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Discard a failed sync
+router.delete('/dead-letters/:id', async (req, res, next) => {
+  try {
+    const deleted = await discardDeadLetter(req.params.id);
+    if (!deleted) return res.status(404).json({ error: 'Dead letter not found' });
+    res.json({ deleted: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
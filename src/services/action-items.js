@@ -0,0 +1,99 @@
+/**
+ * Meeting action items → Attio tasks
+ * Action items are extracted from the summary once per meeting and stored, so re-processing
+ * the same meeting (retry, replay, duplicate delivery) only creates the tasks still missing.
+ */
+
+const { getStore } = require('./storage');
+const { log } = require('./logger');
+const { withLock } = require('./keyed-lock');
+const { extractActionItems, normalizeActionItems } = require('./summarizer');
+const { findWorkspaceMemberByEmail, createTask } = require('./attio');
+
+const NAMESPACE = 'action_items'; // key: meeting key -> { items: [{ text, owner, dueDate, taskId }] }
+const TTL_MS = 1000 * 60 * 60 * 24 * 90; // 90 days - well past any replay of a meeting
+
+/**
+ * Create Attio tasks for a meeting's action items
+ * Best-effort: failures are logged, not thrown.
+ * @param {object} meeting - { meetingKey, summary, personId, hostEmail, meetingDate, actionItems, llm }
+ *                           meetingKey identifies the meeting across re-processing, e.g. calendly:<uuid>;
+ *                           actionItems (from a structured summary) skips the extraction call;
+ *                           llm is the source's LLM client from getLlm()
+ * @param {object} config - Configuration object
+ * @returns {object[]} - Task IDs created by this call
+ */
+async function syncActionItems({
+  meetingKey,
+  summary,
+  personId,
+  hostEmail = null,
+  meetingDate = null,
+  actionItems = null,
+  llm = undefined
+}, config) {
+  if (!config.actionItemTasks || !meetingKey || !personId) return [];
+
+  try {
+    return await withLock(`action-items:${meetingKey}`, async () => {
+      const store = getStore();
+      let record = await store.get(NAMESPACE, meetingKey);
+
+      if (!record) {
+        const items = actionItems
+          ? normalizeActionItems(actionItems)
+          : await extractActionItems(summary, config, meetingDate, llm);
+        record = { items: items.map(item => ({ ...item, taskId: null })) };
+        await store.set(NAMESPACE, meetingKey, record, TTL_MS);
+        log('info', 'Extracted action items', { meetingKey, count: items.length });
+      }
+
+      const pending = record.items.filter(item => !item.taskId);
+      if (pending.length === 0) return [];
+
+      const assigneeId = await findAssignee(hostEmail, config);
+      const created = [];
+
+      for (const item of pending) {
+        item.taskId = await createTask(personId, {
+          content: item.owner ? `${item.text} (owner: ${item.owner})` : item.text,
+          deadlineAt: item.dueDate ? new Date(item.dueDate).toISOString() : null,
+          assigneeId
+        }, config);
+
+        // Save after every task so a failure part-way never duplicates the earlier ones
+        await store.set(NAMESPACE, meetingKey, record, TTL_MS);
+        created.push(item.taskId);
+      }
+
+      log('info', 'Created tasks for action items', { meetingKey, personId, created: created.length, assigneeId });
+      return created;
+    });
+  } catch (error) {
+    log('warn', 'Failed to create tasks for action items', {
+      meetingKey,
+      personId,
+      status: error.status,
+      error: error.message
+    });
+    return [];
+  }
+}
+
+/**
+ * Workspace member for the meeting host, or null (task left unassigned)
+ */
+async function findAssignee(hostEmail, config) {
+  try {
+    const memberId = await findWorkspaceMemberByEmail(hostEmail, config);
+    if (hostEmail && !memberId) {
+      log('info', 'Meeting host is not an Attio workspace member, tasks left unassigned', { hostEmail });
+    }
+    return memberId;
+  } catch (error) {
+    log('warn', 'Failed to look up workspace member for host', { hostEmail, error: error.message });
+    return null;
+  }
+}
+
+module.exports = { syncActionItems };
@@ -0,0 +1,234 @@
+/**
+ * Shared Attio API client
+ * Every Attio call goes through here so they all get:
+ * - token-bucket rate limiting matching Attio's limits (reads and writes are limited separately)
+ * - retry with jittered exponential backoff on 429 / 5xx / network errors, honoring Retry-After
+ *   (creates - POSTs other than queries - only when Attio can't have processed them, so a retry
+ *   never duplicates a note or task)
+ * - request timeouts
+ * - typed errors (not found, uniqueness conflict, validation)
+ * Docs: https://developers.attio.com/reference/rate-limiting
+ */
+
+const axios = require('axios');
+const { getConfig } = require('./config');
+const { log } = require('./logger');
+const { attioRequests } = require('./metrics');
+
+const ATTIO_BASE_URL = 'https://api.attio.com/v2';
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'ECONNREFUSED'];
+// Failed before the request reached Attio - safe to retry even a create
+const UNSENT_NETWORK_CODES = ['EAI_AGAIN', 'ENOTFOUND', 'ECONNREFUSED'];
+
+const clients = new Map(); // key: API key -> client (limits are per workspace token)
+
+/**
+ * Base error for failed Attio calls
+ */
+class AttioError extends Error {
+  constructor(message, { status = null, code = null, data = null } = {}) {
+    super(message);
+    this.name = 'AttioError';
+    this.status = status;
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/** Record or resource does not exist (404) */
+class AttioNotFoundError extends AttioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AttioNotFoundError';
+  }
+}
+
+/** A unique attribute value already exists on another record */
+class AttioConflictError extends AttioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AttioConflictError';
+  }
+}
+
+/** Request was rejected as invalid (400 / validation_type) */
+class AttioValidationError extends AttioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AttioValidationError';
+  }
+}
+
+/** Still rate limited after all retries */
+class AttioRateLimitError extends AttioError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AttioRateLimitError';
+  }
+}
+
+/**
+ * Get the client for an Attio API key (one per workspace token)
+ * @param {string} apiKey - Attio API key
+ * @returns {object} - { request, get, post, put, patch, delete }
+ */
+function getAttioClient(apiKey) {
+  if (!clients.has(apiKey)) {
+    clients.set(apiKey, createAttioClient(apiKey, getConfig().attio));
+  }
+  return clients.get(apiKey);
+}
+
+/**
+ * Create an Attio client
+ * @param {string} apiKey - Attio API key
+ * @param {object} options - { timeoutMs, maxRetries, baseDelayMs, maxDelayMs, readRatePerSec, writeRatePerSec }
+ */
+function createAttioClient(apiKey, options) {
+  const http = axios.create({
+    baseURL: ATTIO_BASE_URL,
+    timeout: options.timeoutMs,
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const readBucket = createTokenBucket(options.readRatePerSec);
+  const writeBucket = createTokenBucket(options.writeRatePerSec);
+
+  /**
+   * Make a request with rate limiting and retries
+   * @param {object} req - { method, path, data, params }
+   * @returns {object} - Response body
+   */
+  async function request({ method, path, data, params }) {
+    // Record queries are POSTs but count against the read limit
+    const isRead = method === 'GET' || path.endsWith('/query');
+    const bucket = isRead ? readBucket : writeBucket;
+    // A timed-out or 5xx create may still have gone through
+    const isCreate = method === 'POST' && !isRead;
+
+    for (let attempt = 0; ; attempt++) {
+      await bucket.take();
+
+      try {
+        const response = await http.request({ method, url: path, data, params });
+        attioRequests.inc({ method, status: response.status });
+        return response.data;
+
+      } catch (error) {
+        const status = error.response?.status || null;
+        attioRequests.inc({ method, status: status || 'network_error' });
+
+        const retryable = isCreate
+          ? status === 429 || (!status && UNSENT_NETWORK_CODES.includes(error.code))
+          : status === 429 || status >= 500 || (!status && RETRYABLE_NETWORK_CODES.includes(error.code));
+
+        if (retryable && attempt < options.maxRetries) {
+          const delayMs = getRetryDelay(error, attempt, options);
+          log('warn', 'Attio request failed, retrying', {
+            method,
+            path,
+            status,
+            attempt: attempt + 1,
+            delayMs
+          });
+          await sleep(delayMs);
+          continue;
+        }
+
+        throw toAttioError(error, method, path);
+      }
+    }
+  }
+
+  return {
+    request,
+    get: (path, params) => request({ method: 'GET', path, params }),
+    post: (path, data, params) => request({ method: 'POST', path, data, params }),
+    put: (path, data, params) => request({ method: 'PUT', path, data, params }),
+    patch: (path, data, params) => request({ method: 'PATCH', path, data, params }),
+    delete: (path, params) => request({ method: 'DELETE', path, params })
+  };
+}
+
+/**
+ * Delay before the next retry: Retry-After when Attio sends it,
+ * otherwise exponential backoff with full jitter
+ */
+function getRetryDelay(error, attempt, { baseDelayMs, maxDelayMs }) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const ms = Number.isFinite(seconds)
+      ? seconds * 1000
+      : new Date(retryAfter).getTime() - Date.now();
+    if (ms > 0) return Math.min(ms, maxDelayMs);
+  }
+
+  const ceiling = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+  return Math.round(Math.random() * ceiling);
+}
+
+/**
+ * Map an axios error to a typed Attio error
+ */
+function toAttioError(error, method, path) {
+  const status = error.response?.status || null;
+  const data = error.response?.data || null;
+  const code = data?.code || error.code || null;
+  const message = `Attio ${method} ${path} failed: ${data?.message || error.message}`;
+  const details = { status, code, data };
+
+  if (code === 'uniqueness_conflict' || status === 409) return new AttioConflictError(message, details);
+  if (status === 404) return new AttioNotFoundError(message, details);
+  if (status === 400 || status === 422) return new AttioValidationError(message, details);
+  if (status === 429) return new AttioRateLimitError(message, details);
+  return new AttioError(message, details);
+}
+
+/**
+ * Token bucket: allows `ratePerSec` requests per second with bursts up to the same size.
+ * Waiters are served in order.
+ */
+function createTokenBucket(ratePerSec) {
+  let tokens = ratePerSec;
+  let lastRefill = Date.now();
+  let queue = Promise.resolve();
+
+  function refill() {
+    const now = Date.now();
+    tokens = Math.min(ratePerSec, tokens + ((now - lastRefill) / 1000) * ratePerSec);
+    lastRefill = now;
+  }
+
+  return {
+    take() {
+      const turn = queue.then(async () => {
+        refill();
+        if (tokens < 1) {
+          await sleep(((1 - tokens) / ratePerSec) * 1000);
+          refill();
+        }
+        tokens -= 1;
+      });
+      queue = turn;
+      return turn;
+    }
+  };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  getAttioClient,
+  AttioError,
+  AttioNotFoundError,
+  AttioConflictError,
+  AttioValidationError,
+  AttioRateLimitError
+};
@@ -0,0 +1,267 @@
+/**
+ * Attio pipeline (list entries or deals) for outbound leads
+ * HeyReach leads enter the pipeline at the stage their tag/campaign maps to;
+ * Calendly bookings and synced calls move existing entries forward.
+ * Stages only ever move forward (order from config.pipeline.stages).
+ */
+
+const { log } = require('./logger');
+const { withLock } = require('./keyed-lock');
+const { getAttioClient } = require('./attio-client');
+const { findPersonByEmail } = require('./attio');
+
+const DEALS_TARGET = 'deals';
+
+/**
+ * Put a HeyReach lead into the pipeline, or move their entry forward
+ * Best-effort: failures are logged, not thrown.
+ * @param {string} personId - Attio person record ID
+ * @param {object} lead - Lead data (tag, campaign, name, company)
+ * @param {object} config - Configuration object
+ * @returns {object|null} - { target, entryId, stage, changed } or null if no rule matched
+ */
+async function enterPipeline(personId, lead, config) {
+  const rule = matchRule(lead, config.pipeline);
+  const target = rule?.target || config.pipeline.target;
+
+  if (!rule || !target) {
+    log('info', 'No pipeline rule for lead', { personId, tag: lead.tag, campaign: lead.campaign });
+    return null;
+  }
+
+  try {
+    const client = getAttioClient(config.attioApiKey);
+    return await withLock(`attio:pipeline:${target}:${personId}`, () =>
+      setStage(target, personId, rule.stage, { create: true, lead }, client, config)
+    );
+  } catch (error) {
+    log('warn', 'Failed to add lead to pipeline', {
+      personId,
+      target,
+      stage: rule.stage,
+      status: error.status,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Move a person's existing pipeline entries forward to a stage
+ * People who aren't in the pipeline are left alone. Best-effort.
+ * @param {string} personId - Attio person record ID
+ * @param {string} stage - Stage to move to (no-op when null)
+ * @param {object} config - Configuration object
+ * @returns {object[]} - One result per target the person is in
+ */
+async function advancePipeline(personId, stage, config) {
+  if (!stage || !personId) return [];
+
+  const client = getAttioClient(config.attioApiKey);
+  const results = [];
+
+  for (const target of getTargets(config.pipeline)) {
+    try {
+      const result = await withLock(`attio:pipeline:${target}:${personId}`, () =>
+        setStage(target, personId, stage, { create: false }, client, config)
+      );
+      if (result) results.push(result);
+    } catch (error) {
+      log('warn', 'Failed to advance pipeline stage', {
+        personId,
+        target,
+        stage,
+        status: error.status,
+        error: error.message
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Same as advancePipeline() for a person known only by email
+ * @param {string} email - Person email
+ * @param {string} stage - Stage to move to
+ * @param {object} config - Configuration object
+ */
+async function advancePipelineForEmail(email, stage, config) {
+  if (!stage || getTargets(config.pipeline).length === 0) return [];
+
+  try {
+    const personId = await findPersonByEmail(email, getAttioClient(config.attioApiKey));
+    if (!personId) return [];
+    return await advancePipeline(personId, stage, config);
+  } catch (error) {
+    log('warn', 'Failed to look up person for pipeline advance', { email, error: error.message });
+    return [];
+  }
+}
+
+/**
+ * ID of the (first) deal associated with a person
+ * @param {string} personId - Attio person record ID
+ * @param {object} config - Configuration object
+ * @returns {string|null}
+ */
+async function findDealId(personId, config) {
+  const deal = await findDeal(personId, config.pipeline.stageAttribute, getAttioClient(config.attioApiKey));
+  return deal ? deal.id : null;
+}
+
+/**
+ * Create the entry at `stage`, or move an existing entry forward to it
+ * @returns {object|null} - { target, entryId, stage, changed }, null when nothing exists and create is false
+ */
+async function setStage(target, personId, stage, { create, lead = null }, client, config) {
+  const { stageAttribute, stages } = config.pipeline;
+  const isDeals = target === DEALS_TARGET;
+  const existing = isDeals
+    ? await findDeal(personId, stageAttribute, client)
+    : await findListEntry(target, personId, stageAttribute, client);
+
+  if (!existing) {
+    if (!create) return null;
+
+    const entryId = isDeals
+      ? await createDeal(personId, stage, lead, client, config)
+      : await createListEntry(target, personId, stage, client, config);
+
+    log('info', 'Added person to pipeline', { personId, target, entryId, stage });
+    return { target, entryId, stage, changed: true };
+  }
+
+  if (!isForward(existing.stage, stage, stages)) {
+    log('info', 'Pipeline stage already at or past target', {
+      personId,
+      target,
+      currentStage: existing.stage,
+      stage
+    });
+    return { target, entryId: existing.id, stage: existing.stage, changed: false };
+  }
+
+  const values = { [stageAttribute]: stage };
+  if (isDeals) {
+    await client.patch(`/objects/deals/records/${existing.id}`, { data: { values } });
+  } else {
+    await client.patch(`/lists/${target}/entries/${existing.id}`, { data: { entry_values: values } });
+  }
+
+  log('info', 'Advanced pipeline stage', {
+    personId,
+    target,
+    entryId: existing.id,
+    from: existing.stage,
+    to: stage
+  });
+  return { target, entryId: existing.id, stage, changed: true };
+}
+
+/**
+ * Find the person's entry in a list
+ * @returns {object|null} - { id, stage }
+ */
+async function findListEntry(list, personId, stageAttribute, client) {
+  const response = await client.get(`/objects/people/records/${personId}/entries`);
+  const entry = (response.data || []).find(e => e.list_api_slug === list || e.list_id === list);
+  if (!entry) return null;
+
+  const full = await client.get(`/lists/${list}/entries/${entry.entry_id}`);
+  return {
+    id: entry.entry_id,
+    stage: getStatusTitle(full.data?.entry_values?.[stageAttribute])
+  };
+}
+
+async function createListEntry(list, personId, stage, client, config) {
+  const response = await client.post(`/lists/${list}/entries`, {
+    data: {
+      parent_record_id: personId,
+      parent_object: 'people',
+      entry_values: { [config.pipeline.stageAttribute]: stage }
+    }
+  });
+  return response.data.id.entry_id;
+}
+
+/**
+ * Find the (first) deal associated with the person
+ * @returns {object|null} - { id, stage }
+ */
+async function findDeal(personId, stageAttribute, client) {
+  const response = await client.post('/objects/deals/records/query', {
+    filter: { associated_people: { target_object: 'people', target_record_id: personId } },
+    limit: 1
+  });
+
+  const deal = response.data?.[0];
+  if (!deal) return null;
+
+  return {
+    id: deal.id.record_id,
+    stage: getStatusTitle(deal.values?.[stageAttribute])
+  };
+}
+
+async function createDeal(personId, stage, lead, client, config) {
+  const name = lead?.name || 'HeyReach lead';
+  const values = {
+    name: lead?.company ? `${name} (${lead.company})` : name,
+    [config.pipeline.stageAttribute]: stage,
+    associated_people: [{ target_object: 'people', target_record_id: personId }]
+  };
+  if (config.pipeline.dealOwnerEmail) {
+    values.owner = config.pipeline.dealOwnerEmail;
+  }
+
+  const response = await client.post('/objects/deals/records', { data: { values } });
+  return response.data.id.record_id;
+}
+
+/**
+ * First rule whose tag and campaign (when set) match the lead, case-insensitively
+ */
+function matchRule(lead, pipeline) {
+  const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+  return (pipeline.rules || []).find(rule =>
+    rule.stage &&
+    (!rule.tag || same(rule.tag, lead.tag)) &&
+    (!rule.campaign || same(rule.campaign, lead.campaign))
+  ) || null;
+}
+
+/**
+ * Every list/object the pipeline may write to
+ */
+function getTargets(pipeline) {
+  const targets = [pipeline.target, ...(pipeline.rules || []).map(rule => rule.target)];
+  return [...new Set(targets.filter(Boolean))];
+}
+
+/**
+ * Whether moving from `current` to `next` is a step forward in the configured order
+ * Without a known position for both stages, any change counts as forward.
+ */
+function isForward(current, next, stages) {
+  if (!current) return true;
+  if (current.toLowerCase() === next.toLowerCase()) return false;
+
+  const rank = stage => stages.findIndex(s => s.toLowerCase() === stage.toLowerCase());
+  const from = rank(current);
+  const to = rank(next);
+  return from === -1 || to === -1 || to > from;
+}
+
+function getStatusTitle(values) {
+  return values?.[0]?.status?.title || null;
+}
+
+module.exports = {
+  enterPipeline,
+  advancePipeline,
+  advancePipelineForEmail,
+  findDealId
+};
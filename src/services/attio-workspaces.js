@@ -0,0 +1,59 @@
+/**
+ * Attio workspace routing
+ * Source accounts that are separate businesses (a Fathom account, a Calendly host or organization,
+ * a HeyReach campaign) can write to their own Attio workspace. Every Attio call reads its API key,
+ * pipeline and field mapping from the config it is given, so routing a sync is just a matter of
+ * handing it the workspace's config.
+ */
+
+const { log } = require('./logger');
+const { WORKSPACE_MATCH_FIELDS } = require('./config-schema');
+
+/**
+ * Get the config for the Attio workspace that owns a source account
+ * @param {object} config - Configuration object
+ * @param {object} scope - { source, accountId, hostEmail, campaign } e.g. { source: 'fathom', accountId: 'datalabs' }
+ * @returns {object} - Config with that workspace's attioApiKey, pipeline and fieldMapping
+ *                     (the config itself when no workspace claims the account)
+ */
+function getWorkspaceConfig(config, scope = {}) {
+  const name = resolveWorkspaceName(scope, config.attioWorkspaces);
+  if (!name) return config;
+
+  const workspace = config.attioWorkspaces[name];
+  log('info', 'Routing to Attio workspace', { workspace: name, source: scope.source, account: scope.accountId });
+
+  return {
+    ...config,
+    attioWorkspace: name,
+    attioApiKey: workspace.apiKey,
+    pipeline: workspace.pipeline,
+    fieldMapping: workspace.fieldMapping,
+    companySync: workspace.companySync ?? config.companySync,
+    actionItemTasks: workspace.actionItemTasks ?? config.actionItemTasks
+  };
+}
+
+/**
+ * First workspace with a match entry whose fields all equal the scope (case-insensitive)
+ * A hostEmail starting with "@" matches every host at that domain (a Calendly organization).
+ */
+function resolveWorkspaceName(scope, workspaces = {}) {
+  const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+  const matchesField = (field, expected) => {
+    if (field === 'hostEmail' && String(expected).startsWith('@')) {
+      return String(scope.hostEmail || '').toLowerCase().endsWith(String(expected).toLowerCase());
+    }
+    return same(expected, scope[field]);
+  };
+
+  const entry = Object.entries(workspaces).find(([, workspace]) =>
+    workspace.match.some(match =>
+      WORKSPACE_MATCH_FIELDS.every(field => match[field] === undefined || matchesField(field, match[field]))
+    )
+  );
+
+  return entry ? entry[0] : null;
+}
+
+module.exports = { getWorkspaceConfig };
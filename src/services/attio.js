@@ -1,61 +1,231 @@
 /**
  * Attio CRM API integration
- * Handles person lookup/creation and note creation
+ * Handles person/company lookup and creation, notes and tasks
  */
 
-const axios = require('axios');
 const { log } = require('./logger');
+const { withLock } = require('./keyed-lock');
+const { getCompanyDomain } = require('./email-domains');
+const {
+  getAttioClient,
+  AttioNotFoundError,
+  AttioConflictError,
+  AttioValidationError
+} = require('./attio-client');
 
-const ATTIO_BASE_URL = 'https://api.attio.com/v2';
+const WORKSPACE_MEMBERS_TTL_MS = 1000 * 60 * 60; // members rarely change - refresh hourly
+const CREATED_SKEW_MS = 1000 * 5; // clock difference tolerated when comparing Attio's created_at
+
+const workspaceMembers = new Map(); // key: API key -> { members, fetchedAt }
 
 /**
- * Search for a person by email, create if not found, then add a note
+ * Find or create a person by email, link their company, then add a note to both
  * @param {string} email - Guest email address
  * @param {string} name - Guest full name
  * @param {string} summary - Markdown summary to add as note
  * @param {object} config - Configuration object
- * @returns {object} - { personId, noteId, email }
+ * @returns {object} - { personId, noteId, email, created, companyId, companyNoteId }
+ *                     (created: false when an existing person matched)
  */
 async function upsertPersonAndNote(email, name, summary, config) {
-  const headers = {
-    Authorization: `Bearer ${config.attioApiKey}`,
-    'Content-Type': 'application/json'
-  };
+  const client = getAttioClient(config.attioApiKey);
 
-  // Step 1: Search for existing person
-  let personId = await findPersonByEmail(email, headers);
+  // Step 1: Find or create the person
+  const { personId, created } = await upsertPerson(email, name, client, config.attioWorkspace);
 
-  // Step 2: Create person if not found
-  if (!personId) {
-    log('info', 'Person not found, creating new record', { email });
-    personId = await createPerson(email, name, headers);
-  } else {
-    log('info', 'Found existing person', { personId, email });
+  // Step 2: Find or create the company from the email domain and link it (best-effort)
+  const companyId = await syncPersonCompany(personId, { email }, client, config);
+
+  // Step 3: Create note on the person, and the same note on the company
+  const noteId = await createNote(personId, summary, client);
+
+  let companyNoteId = null;
+  if (companyId) {
+    try {
+      companyNoteId = await createNote(companyId, summary, client, null, 'companies');
+    } catch (error) {
+      // The person note is the primary record - don't fail (and re-create it on retry) over this
+      log('warn', 'Failed to add note to company', { companyId, error: error.message });
+    }
+  }
+
+  return { personId, noteId, email, created, companyId, companyNoteId };
+}
+
+/**
+ * Link a person to the company identified by their email domain
+ * Used by the Clay path once an enriched email is known.
+ * @param {string} personId - Attio person record ID
+ * @param {object} details - { email, companyName }
+ * @param {object} config - Configuration object
+ * @returns {string|null} - Company record ID, or null if skipped/failed
+ */
+async function syncCompanyForPerson(personId, details, config) {
+  return syncPersonCompany(personId, details, getAttioClient(config.attioApiKey), config);
+}
+
+/**
+ * Find or create the company for an email domain and link the person to it
+ * Free-mail domains (gmail.com etc.) are skipped. Failures are logged, not thrown.
+ * @returns {string|null} - Company record ID
+ */
+async function syncPersonCompany(personId, { email, companyName = null }, client, config) {
+  if (!config.companySync) return null;
+
+  const domain = getCompanyDomain(email, config);
+  if (!domain) {
+    log('info', 'No company domain for email, skipping company sync', { email });
+    return null;
+  }
+
+  try {
+    const { companyId, created } = await upsertCompany(domain, companyName, client, config.attioWorkspace);
+    log('info', created ? 'Created company' : 'Found existing company', { companyId, domain });
+
+    await linkPersonToCompany(personId, companyId, client);
+    return companyId;
+
+  } catch (error) {
+    log('warn', 'Company sync failed', {
+      personId,
+      domain,
+      status: error.status,
+      error: error.message
+    });
+    return null;
+  }
+}
+
+/**
+ * Find or create a company by domain (same lock + assert pattern as upsertPerson)
+ * An existing company is returned untouched.
+ * @returns {object} - { companyId, created }
+ */
+async function upsertCompany(domain, name, client, workspace) {
+  return withLock(`attio:${workspace}:company:${domain}`, async () => {
+    const response = await client.post(
+      '/objects/companies/records/query',
+      { filter: { domains: domain }, limit: 1 }
+    );
+
+    const records = response.data;
+    if (records && records.length > 0) {
+      return { companyId: records[0].id.record_id, created: false };
+    }
+
+    const values = { domains: [{ domain }] };
+    if (name) values.name = name;
+
+    const created = await client.put(
+      '/objects/companies/records',
+      { data: { values } },
+      { matching_attribute: 'domains' }
+    );
+    return { companyId: created.data.id.record_id, created: true };
+  });
+}
+
+/**
+ * Set the person's company attribute, unless they are already linked to a company
+ */
+async function linkPersonToCompany(personId, companyId, client) {
+  const person = await client.get(`/objects/people/records/${personId}`);
+  const current = person.data?.values?.company || [];
+
+  if (current.length > 0) {
+    if (current[0].target_record_id !== companyId) {
+      log('info', 'Person already linked to a different company, leaving it', {
+        personId,
+        currentCompanyId: current[0].target_record_id,
+        companyId
+      });
+    }
+    return;
   }
 
-  // Step 3: Create note
-  const noteId = await createNote(personId, summary, headers);
+  await client.patch(
+    `/objects/people/records/${personId}`,
+    { data: { values: { company: [{ target_object: 'companies', target_record_id: companyId }] } } }
+  );
+  log('info', 'Linked person to company', { personId, companyId });
+}
+
+/**
+ * Find or create a person by email without racing other webhooks
+ * - A per-email in-process lock makes concurrent syncs for the same guest
+ *   (e.g. Calendly and Fathom for the same call) run one after another.
+ * - Creation uses Attio's assert endpoint matching on email_addresses, so even a
+ *   create racing another instance matches the existing record instead of duplicating it.
+ * An existing person is returned untouched (their name is not overwritten).
+ * The lock is per workspace - the same guest in two workspaces is two different people.
+ * @returns {object} - { personId, created }
+ */
+async function upsertPerson(email, name, client, workspace) {
+  return withLock(`attio:${workspace}:person:${email.toLowerCase()}`, async () => {
+    const existingId = await findPersonByEmail(email, client);
+
+    if (existingId) {
+      log('info', 'Found existing person', { personId: existingId, email });
+      return { personId: existingId, created: false };
+    }
+
+    log('info', 'Person not found, creating new record', { email });
+    const requestedAt = Date.now();
+    const { personId, createdAt } = await assertPerson(email, name, client);
+    // Another instance may have created the person since the query - the assert then matched it
+    const created = isCreatedSince(createdAt, requestedAt);
+    if (!created) log('info', 'Assert matched a person created elsewhere', { personId, email, createdAt });
+    return { personId, created };
+  });
+}
+
+/**
+ * Whether a record's created_at falls after a request was sent (allowing for clock skew);
+ * an unknown created_at counts as created, since the query just found no record
+ */
+function isCreatedSince(createdAt, requestedAt) {
+  const createdMs = new Date(createdAt).getTime();
+  if (!createdAt || Number.isNaN(createdMs)) return true;
+  return createdMs >= requestedAt - CREATED_SKEW_MS;
+}
+
+/**
+ * Add a note to an existing person found by email (never creates the person)
+ * @param {string} email - Person email address
+ * @param {string} title - Note title
+ * @param {string} content - Markdown note content
+ * @param {object} config - Configuration object
+ * @returns {object|null} - { personId, noteId } or null if no person exists
+ */
+async function addNoteToPersonByEmail(email, title, content, config) {
+  const client = getAttioClient(config.attioApiKey);
+
+  const personId = await findPersonByEmail(email, client);
+  if (!personId) {
+    log('info', 'No Attio person for email, skipping note', { email, title });
+    return null;
+  }
 
-  return { personId, noteId, email };
+  const noteId = await createNote(personId, content, client, title);
+  return { personId, noteId };
 }
 
 /**
  * Search for a person by email
  */
-async function findPersonByEmail(email, headers) {
+async function findPersonByEmail(email, client) {
   try {
     // Use the correct Attio filter format for email addresses
-    const response = await axios.post(
-      `${ATTIO_BASE_URL}/objects/people/records/query`,
+    const response = await client.post(
+      '/objects/people/records/query',
       {
         filter: {
           email_addresses: email
         }
-      },
-      { headers }
+      }
     );
 
-    const records = response.data.data;
+    const records = response.data;
     if (records && records.length > 0) {
       return records[0].id.record_id;
     }
@@ -63,13 +233,9 @@ async function findPersonByEmail(email, headers) {
     return null;
 
   } catch (error) {
-    // 404 or 400 means no results, which is fine - create new person
-    if (error.response?.status === 404 || error.response?.status === 400) {
-      log('info', 'No existing person found', { email });
-      return null;
-    }
+    // An empty result is a normal "not found"; any error (including 400) is a real failure
     log('error', 'Attio search error', {
-      status: error.response?.status,
+      status: error.status,
       message: error.message
     });
     throw error;
@@ -77,17 +243,19 @@ async function findPersonByEmail(email, headers) {
 }
 
 /**
- * Create a new person record
+ * Create a person record, or match the existing one with the same email
+ * Uses Attio's assert endpoint (PUT with matching_attribute) so it is safe to race.
+ * @returns {object} - { personId, createdAt }
  */
-async function createPerson(email, name, headers) {
+async function assertPerson(email, name, client) {
   // Parse name into first/last
   const nameParts = name.trim().split(' ');
   const firstName = nameParts[0] || '';
   const lastName = nameParts.slice(1).join(' ') || '';
 
   try {
-    const response = await axios.post(
-      `${ATTIO_BASE_URL}/objects/people/records`,
+    const response = await client.put(
+      '/objects/people/records',
       {
         data: {
           values: {
@@ -100,54 +268,54 @@ async function createPerson(email, name, headers) {
           }
         }
       },
-      { headers }
+      { matching_attribute: 'email_addresses' }
     );
 
-    const personId = response.data.data.id.record_id;
-    log('info', 'Created new person', { personId, email });
-    return personId;
+    const personId = response.data.id.record_id;
+    log('info', 'Asserted person', { personId, email });
+    return { personId, createdAt: response.data.created_at || null };
 
   } catch (error) {
-    log('error', 'Attio create person error', {
-      status: error.response?.status,
+    log('error', 'Attio assert person error', {
+      status: error.status,
       message: error.message,
-      data: error.response?.data
+      data: error.data
     });
     throw error;
   }
 }
 
 /**
- * Create a note attached to a person
+ * Create a note attached to a person (or another object, e.g. companies)
+ * Title defaults to "Call Summary - <today>"
  */
-async function createNote(personId, summary, headers) {
+async function createNote(recordId, summary, client, title = null, parentObject = 'people') {
   const today = new Date().toISOString().split('T')[0];
-  const title = `Call Summary - ${today}`;
+  title = title || `Call Summary - ${today}`;
 
   try {
-    const response = await axios.post(
-      `${ATTIO_BASE_URL}/notes`,
+    const response = await client.post(
+      '/notes',
       {
         data: {
-          parent_object: 'people',
-          parent_record_id: personId,
+          parent_object: parentObject,
+          parent_record_id: recordId,
           title: title,
           format: 'markdown',
           content: summary
         }
-      },
-      { headers }
+      }
     );
 
-    const noteId = response.data.data?.id;
-    log('info', 'Created note', { noteId, personId, title });
+    const noteId = response.data?.id;
+    log('info', 'Created note', { noteId, parentObject, recordId, title });
     return noteId;
 
   } catch (error) {
     log('error', 'Attio create note error', {
-      status: error.response?.status,
+      status: error.status,
       message: error.message,
-      data: error.response?.data
+      data: error.data
     });
     throw error;
   }
@@ -160,10 +328,7 @@ async function createNote(personId, summary, headers) {
  * @returns {string|null} - Person record ID or null
  */
 async function findPersonByLinkedIn(linkedinUrl, config) {
-  const headers = {
-    Authorization: `Bearer ${config.attioApiKey}`,
-    'Content-Type': 'application/json'
-  };
+  const client = getAttioClient(config.attioApiKey);
 
   // Try multiple URL formats since Attio might store it differently
   const urlVariants = [
@@ -177,17 +342,16 @@ async function findPersonByLinkedIn(linkedinUrl, config) {
     try {
       log('info', 'Trying LinkedIn URL variant', { urlVariant });
       
-      const response = await axios.post(
-        `${ATTIO_BASE_URL}/objects/people/records/query`,
+      const response = await client.post(
+        '/objects/people/records/query',
         {
           filter: {
             linkedin: urlVariant
           }
-        },
-        { headers }
+        }
       );
 
-      const records = response.data.data;
+      const records = response.data;
       if (records && records.length > 0) {
         const personId = records[0].id.record_id;
         log('info', 'Found person by LinkedIn URL', { personId, linkedinUrl: urlVariant });
@@ -196,14 +360,14 @@ async function findPersonByLinkedIn(linkedinUrl, config) {
 
     } catch (error) {
       // 404 or 400 means no results, try next variant
-      if (error.response?.status === 404 || error.response?.status === 400) {
+      if (error instanceof AttioNotFoundError || error instanceof AttioValidationError) {
         log('info', 'No match for LinkedIn URL variant', { urlVariant });
         continue;
       }
       log('error', 'Attio LinkedIn search error', {
-        status: error.response?.status,
+        status: error.status,
         message: error.message,
-        data: error.response?.data
+        data: error.data
       });
       throw error;
     }
@@ -222,26 +386,21 @@ async function findPersonByLinkedIn(linkedinUrl, config) {
  * @returns {object} - { emailUpdated, phoneUpdated }
  */
 async function updatePersonFields(personId, fields, config) {
-  const headers = {
-    Authorization: `Bearer ${config.attioApiKey}`,
-    'Content-Type': 'application/json'
-  };
+  const client = getAttioClient(config.attioApiKey);
 
   const results = { emailUpdated: false, phoneUpdated: false };
 
   // Update email if provided (separate call to handle uniqueness conflicts)
   if (fields.email) {
     try {
-      await axios.patch(
-        `${ATTIO_BASE_URL}/objects/people/records/${personId}`,
-        { data: { values: { email_addresses: [{ email_address: fields.email }] } } },
-        { headers }
+      await client.patch(
+        `/objects/people/records/${personId}`,
+        { data: { values: { email_addresses: [{ email_address: fields.email }] } } }
       );
       results.emailUpdated = true;
       log('info', 'Updated email', { personId, email: fields.email });
     } catch (error) {
-      const errorCode = error.response?.data?.code;
-      if (errorCode === 'uniqueness_conflict') {
+      if (error instanceof AttioConflictError) {
         log('warn', 'Email already exists on another record, skipping', { 
           personId, 
           email: fields.email 
@@ -250,7 +409,7 @@ async function updatePersonFields(personId, fields, config) {
         log('error', 'Failed to update email', { 
           personId, 
           error: error.message,
-          errorBody: error.response?.data 
+          errorBody: error.data 
         });
       }
     }
@@ -263,10 +422,9 @@ async function updatePersonFields(personId, fields, config) {
     
     if (hasDigits) {
       try {
-        await axios.patch(
-          `${ATTIO_BASE_URL}/objects/people/records/${personId}`,
-          { data: { values: { phone_numbers: [cleanPhone] } } },
-          { headers }
+        await client.patch(
+          `/objects/people/records/${personId}`,
+          { data: { values: { phone_numbers: [cleanPhone] } } }
         );
         results.phoneUpdated = true;
         log('info', 'Updated phone', { personId, phone: cleanPhone });
@@ -275,7 +433,7 @@ async function updatePersonFields(personId, fields, config) {
           personId, 
           phone: cleanPhone,
           error: error.message,
-          errorBody: error.response?.data 
+          errorBody: error.data 
         });
       }
     } else {
@@ -296,10 +454,7 @@ async function updatePersonFields(personId, fields, config) {
  * @returns {string} - Note ID
  */
 async function createConversationNote(personId, leadData, config) {
-  const headers = {
-    Authorization: `Bearer ${config.attioApiKey}`,
-    'Content-Type': 'application/json'
-  };
+  const client = getAttioClient(config.attioApiKey);
 
   const today = new Date().toISOString().split('T')[0];
   const title = `HeyReach Conversation - ${today}`;
@@ -324,8 +479,8 @@ async function createConversationNote(personId, leadData, config) {
   content += leadData.conversation || '_No conversation data available_';
 
   try {
-    const response = await axios.post(
-      `${ATTIO_BASE_URL}/notes`,
+    const response = await client.post(
+      '/notes',
       {
         data: {
           parent_object: 'people',
@@ -334,27 +489,83 @@ async function createConversationNote(personId, leadData, config) {
           format: 'markdown',
           content: content
         }
-      },
-      { headers }
+      }
     );
 
-    const noteId = response.data.data?.id;
+    const noteId = response.data?.id;
     log('info', 'Created HeyReach conversation note', { noteId, personId, title });
     return noteId;
 
   } catch (error) {
     log('error', 'Attio create conversation note error', {
-      status: error.response?.status,
+      status: error.status,
       message: error.message,
-      data: error.response?.data
+      data: error.data
     });
     throw error;
   }
 }
 
+/**
+ * Find the workspace member with an email address
+ * The member list is cached per API key for WORKSPACE_MEMBERS_TTL_MS.
+ * @param {string} email - Member email (e.g. the meeting host)
+ * @param {object} config - Configuration object
+ * @returns {string|null} - Workspace member ID
+ */
+async function findWorkspaceMemberByEmail(email, config) {
+  if (!email) return null;
+
+  const cached = workspaceMembers.get(config.attioApiKey);
+  let members = cached && Date.now() - cached.fetchedAt < WORKSPACE_MEMBERS_TTL_MS ? cached.members : null;
+
+  if (!members) {
+    const client = getAttioClient(config.attioApiKey);
+    const response = await client.get('/workspace_members');
+    members = response.data || [];
+    workspaceMembers.set(config.attioApiKey, { members, fetchedAt: Date.now() });
+  }
+
+  const member = members.find(m => m.email_address?.toLowerCase() === email.toLowerCase());
+  return member ? member.id.workspace_member_id : null;
+}
+
+/**
+ * Create a task linked to a person
+ * @param {string} personId - Attio person record ID
+ * @param {object} task - { content, deadlineAt, assigneeId }
+ * @param {object} config - Configuration object
+ * @returns {string} - Task ID
+ */
+async function createTask(personId, { content, deadlineAt = null, assigneeId = null }, config) {
+  const client = getAttioClient(config.attioApiKey);
+
+  const response = await client.post('/tasks', {
+    data: {
+      content,
+      format: 'plaintext',
+      deadline_at: deadlineAt,
+      is_completed: false,
+      linked_records: [{ target_object: 'people', target_record_id: personId }],
+      assignees: assigneeId
+        ? [{ referenced_actor_type: 'workspace-member', referenced_actor_id: assigneeId }]
+        : []
+    }
+  });
+
+  const taskId = response.data.id.task_id;
+  log('info', 'Created task', { taskId, personId, assigneeId });
+  return taskId;
+}
+
 module.exports = { 
   upsertPersonAndNote,
+  addNoteToPersonByEmail,
+  syncCompanyForPerson,
+  findPersonByEmail,
   findPersonByLinkedIn,
   updatePersonFields,
-  createConversationNote
+  createConversationNote,
+  findWorkspaceMemberByEmail,
+  createTask
 };
@@ -1,80 +1,130 @@
 /**
  * Calendly API integration
- * Handles polling for meeting transcripts
+ * Handles fetching meeting transcripts and webhook signature verification
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const { log } = require('./logger');
 
+const REQUEST_TIMEOUT_MS = 30000; // a stalled API must not hang the sync job queue
+
 /**
- * Poll Calendly API for transcript with exponential backoff
+ * Fetch the transcript for a Calendly event (single attempt)
+ * Retrying is up to the caller - the sync job reschedules itself with backoff.
  * @param {string} eventUuid - The Calendly event UUID
  * @param {object} config - Configuration object
- * @returns {string|null} - Transcript text or null if not available
+ * @returns {string|null} - Transcript text or null if not available yet
  */
-async function pollForTranscript(eventUuid, config) {
-  const { maxAttempts, baseDelayMs } = config.retry;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    log('info', `Polling transcript attempt ${attempt}/${maxAttempts}`);
-
-    try {
-      const response = await axios.get(
-        `https://api.calendly.com/scheduled_events/${eventUuid}`,
-        {
-          headers: {
-            Authorization: `Bearer ${config.calendlyPat}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      // Look for transcript in various possible locations
-      const resource = response.data.resource || response.data;
-      const meetingNotes = resource.meeting_notes;
-
-      // Try different fields where transcript might be
-      const transcript =
-        meetingNotes?.transcript ||
-        meetingNotes?.transcription ||
-        meetingNotes?.summary ||
-        resource.transcript ||
-        resource.transcription;
-
-      // Validate transcript has meaningful content (at least 50 chars)
-      if (transcript && transcript.length > 50) {
-        log('info', 'Transcript found', { length: transcript.length });
-        return transcript;
+async function fetchTranscript(eventUuid, config) {
+  try {
+    const response = await axios.get(
+      `https://api.calendly.com/scheduled_events/${eventUuid}`,
+      {
+        headers: {
+          Authorization: `Bearer ${config.calendlyPat}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: REQUEST_TIMEOUT_MS
       }
+    );
 
-      log('info', 'Transcript not ready yet');
-
-    } catch (error) {
-      // Log but continue retrying on 404 (not ready yet)
-      if (error.response?.status === 404) {
-        log('warn', 'Event not found, may not be ready');
-      } else {
-        log('error', 'Calendly API error', {
-          status: error.response?.status,
-          message: error.message
-        });
-      }
+    // Look for transcript in various possible locations
+    const resource = response.data.resource || response.data;
+    const meetingNotes = resource.meeting_notes;
+
+    // Try different fields where transcript might be
+    const transcript =
+      meetingNotes?.transcript ||
+      meetingNotes?.transcription ||
+      meetingNotes?.summary ||
+      resource.transcript ||
+      resource.transcription;
+
+    // Validate transcript has meaningful content (at least 50 chars)
+    if (transcript && transcript.length > 50) {
+      log('info', 'Transcript found', { length: transcript.length });
+      return transcript;
     }
 
-    // Don't sleep after the last attempt
-    if (attempt < maxAttempts) {
-      // Exponential backoff: 30s, 60s, 120s, 240s, 480s
-      const delayMs = baseDelayMs * Math.pow(2, attempt - 1);
-      log('info', `Waiting ${delayMs / 1000}s before next attempt`);
-      await sleep(delayMs);
+    log('info', 'Transcript not ready yet');
+
+  } catch (error) {
+    // Treat errors as "not ready" so the job retries; 404 is expected right after the meeting
+    if (error.response?.status === 404) {
+      log('warn', 'Event not found, may not be ready');
+    } else {
+      log('error', 'Calendly API error', {
+        status: error.response?.status,
+        message: error.message
+      });
     }
   }
 
   return null;
 }
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Delay before the next transcript attempt
+ * Exponential backoff: 30s, 60s, 120s, 240s, 480s (capped at maxDelayMs)
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {object} retryConfig - { baseDelayMs, maxDelayMs }
+ * @returns {number} - Delay in milliseconds
+ */
+function getTranscriptRetryDelay(attempt, retryConfig) {
+  const { baseDelayMs, maxDelayMs } = retryConfig;
+  return Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+}
+
+/**
+ * Verify Calendly webhook signature
+ * Header format: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * @param {string} signatureHeader - Calendly-Webhook-Signature header
+ * @param {Buffer|string} rawBody - Raw request body
+ * @param {string} signingKey - Webhook signing key
+ * @param {number} toleranceSeconds - Max age of the timestamp (replay protection)
+ * @returns {boolean} - True if valid
+ */
+function verifyCalendlyWebhook(signatureHeader, rawBody, signingKey, toleranceSeconds) {
+  // If no signing key configured, skip verification
+  if (!signingKey) {
+    log('warn', 'Calendly webhook signing key not configured, skipping verification');
+    return true;
+  }
+
+  if (!signatureHeader || !rawBody) {
+    log('warn', 'Calendly webhook missing signature header or body');
+    return false;
+  }
+
+  const parts = Object.fromEntries(
+    signatureHeader.split(',').map(part => {
+      const [key, ...rest] = part.trim().split('=');
+      return [key, rest.join('=')];
+    })
+  );
+  const timestamp = parseInt(parts.t, 10);
+  const signature = parts.v1;
+
+  if (!timestamp || !signature) {
+    log('warn', 'Malformed Calendly webhook signature header');
+    return false;
+  }
+
+  const ageSeconds = Math.abs(Date.now() / 1000 - timestamp);
+  if (ageSeconds > toleranceSeconds) {
+    log('warn', 'Calendly webhook timestamp outside tolerance', { ageSeconds, toleranceSeconds });
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', signingKey)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+
+  const expectedBuf = Buffer.from(expected, 'utf8');
+  const signatureBuf = Buffer.from(signature, 'utf8');
+  return expectedBuf.length === signatureBuf.length && crypto.timingSafeEqual(expectedBuf, signatureBuf);
 }
 
-module.exports = { pollForTranscript };
+module.exports = { fetchTranscript, getTranscriptRetryDelay, verifyCalendlyWebhook };
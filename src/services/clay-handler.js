@@ -6,12 +6,17 @@
 
 const { log } = require('./logger');
 const { getConfig } = require('./config');
-const { getPendingLead, normalizeLinkedInUrl } = require('./heyreach-store');
+const { getPendingLead, peekPendingLead, normalizeLinkedInUrl } = require('./heyreach-store');
 const { 
   findPersonByLinkedIn, 
   updatePersonFields, 
+  syncCompanyForPerson,
   createConversationNote 
 } = require('./attio');
+const { enterPipeline } = require('./attio-pipeline');
+const { getWorkspaceConfig } = require('./attio-workspaces');
+const { recordSyncOutcome } = require('./sync-history');
+const { stepFailures, syncsCompleted } = require('./metrics');
 
 /**
  * Handle incoming Clay enrichment webhook
@@ -19,10 +24,11 @@ const {
  */
 async function handleClayWebhook(payload) {
   const config = getConfig();
+  let enrichedData = null;
   
   try {
     // Extract data from Clay payload first (data is typically nested)
-    const enrichedData = extractClayData(payload);
+    enrichedData = extractClayData(payload);
     
     log('info', 'Processing Clay enrichment webhook', {
       linkedinUrl: enrichedData.linkedinUrl,
@@ -35,12 +41,18 @@ async function handleClayWebhook(payload) {
       return { success: false, error: 'Missing LinkedIn URL' };
     }
 
+    // Look at the pending HeyReach lead without consuming it - its campaign decides which Attio
+    // workspace the person is in; it is only taken once the person has been updated
+    const peekedLead = await peekPendingLead(enrichedData.linkedinUrl);
+    const workspaceConfig = getWorkspaceConfig(config, { source: 'heyreach', campaign: peekedLead?.campaign });
+
     // Find the corresponding Attio person by LinkedIn URL
     log('info', 'Searching for Attio person by LinkedIn URL', { 
-      linkedinUrl: enrichedData.linkedinUrl 
+      linkedinUrl: enrichedData.linkedinUrl,
+      workspace: workspaceConfig.attioWorkspace
     });
     
-    let personId = await findPersonByLinkedIn(enrichedData.linkedinUrl, config);
+    let personId = await findPersonByLinkedIn(enrichedData.linkedinUrl, workspaceConfig);
     
     if (!personId) {
       log('warn', 'No Attio person found for LinkedIn URL - person may not exist or LinkedIn URL format mismatch', { 
@@ -49,6 +61,13 @@ async function handleClayWebhook(payload) {
       });
       // The person should have been added via Chrome extension
       // Log but don't fail - they may add it later
+      await recordSyncOutcome({
+        source: 'clay',
+        status: 'skipped',
+        linkedinUrl: enrichedData.linkedinUrl,
+        email: enrichedData.email,
+        error: 'Attio person not found'
+      });
       return { 
         success: false, 
         error: 'Attio person not found',
@@ -62,7 +81,7 @@ async function handleClayWebhook(payload) {
     const updateResult = await updatePersonFields(personId, {
       email: enrichedData.email,
       phone: enrichedData.phone
-    }, config);
+    }, workspaceConfig);
 
     log('info', 'Attio person update complete', {
       personId,
@@ -70,14 +89,23 @@ async function handleClayWebhook(payload) {
       phoneUpdated: updateResult.phoneUpdated
     });
 
-    // Check if we have a pending lead with conversation to add
-    const pendingLead = getPendingLead(enrichedData.linkedinUrl);
+    // Now take the pending lead with the conversation to add (null if another delivery already did)
+    const pendingLead = await getPendingLead(enrichedData.linkedinUrl);
+
+    // Link the person to the company behind their enriched email (best-effort)
+    const companyId = await syncCompanyForPerson(personId, {
+      email: enrichedData.email,
+      companyName: enrichedData.company || pendingLead?.company || null
+    }, workspaceConfig);
+
+    // Put the lead into the Attio pipeline for their HeyReach tag/campaign
+    const pipeline = pendingLead ? await enterPipeline(personId, pendingLead, workspaceConfig) : null;
     
     if (pendingLead && pendingLead.conversation) {
       log('info', 'Found pending HeyReach conversation, adding note', { personId });
       
       try {
-        await createConversationNote(personId, pendingLead, config);
+        await createConversationNote(personId, pendingLead, workspaceConfig);
         log('info', 'Added HeyReach conversation note to Attio', { personId });
       } catch (noteError) {
         log('warn', 'Failed to add conversation note', { 
@@ -87,6 +115,15 @@ async function handleClayWebhook(payload) {
       }
     }
 
+    syncsCompleted.inc({ source: 'clay', account: 'default' });
+    await recordSyncOutcome({
+      source: 'clay',
+      status: 'success',
+      linkedinUrl: enrichedData.linkedinUrl,
+      email: enrichedData.email,
+      personId
+    });
+
     return {
       success: true,
       personId,
@@ -94,6 +131,9 @@ async function handleClayWebhook(payload) {
         email: enrichedData.email,
         phone: enrichedData.phone
       },
+      companyId,
+      workspace: workspaceConfig.attioWorkspace,
+      pipeline,
       noteAdded: !!(pendingLead && pendingLead.conversation)
     };
 
@@ -102,6 +142,14 @@ async function handleClayWebhook(payload) {
       error: error.message,
       stack: error.stack
     });
+    stepFailures.inc({ source: 'clay', account: 'default', step: 'process' });
+    await recordSyncOutcome({
+      source: 'clay',
+      status: 'failed',
+      linkedinUrl: enrichedData?.linkedinUrl,
+      email: enrichedData?.email,
+      error: error.message
+    });
     throw error;
   }
 }
@@ -0,0 +1,131 @@
+/**
+ * Optional config file (CONFIG_FILE, YAML or JSON)
+ * Same shape as getConfig(); values in the file take precedence over the equivalent env vars.
+ * Secrets stay in the environment and are pulled in with ${VAR} (or ${VAR:-default}):
+ *
+ *   attioApiKey: ${ATTIO_API_KEY}
+ *   retry:
+ *     maxAttempts: 8
+ *
+ * The file is validated against CONFIG_SCHEMA at startup, and re-read on SIGHUP
+ * (secrets and restart-only settings keep their startup values).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { CONFIG_SCHEMA, validateValue, keepFixedSettings } = require('./config-schema');
+
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+let filePath = null;
+let fileConfig = {};
+
+/**
+ * Load and validate the config file
+ * @param {string|null} configPath - Path to a .yaml / .yml / .json file (nothing is loaded when empty)
+ * @returns {string[]} - Problems found (empty when the file is valid or not configured)
+ */
+function loadConfigFile(configPath) {
+  if (!configPath) return [];
+
+  const { value, errors } = readConfigFile(configPath);
+  if (errors.length === 0) {
+    filePath = configPath;
+    fileConfig = value;
+  }
+  return errors;
+}
+
+/**
+ * Re-read the config file, keeping secrets and restart-only settings as they are
+ * The new settings are only applied when the file is valid and `check` finds no problems with them;
+ * otherwise the current settings stay in place.
+ * @param {function} check - (candidate file settings) => string[] problems
+ * @returns {object} - { errors, kept } - kept lists the changed settings that need a restart
+ */
+function reloadConfigFile(check = () => []) {
+  if (!filePath) return { errors: ['No config file is loaded (set CONFIG_FILE)'], kept: [] };
+
+  const { value, errors } = readConfigFile(filePath);
+  if (errors.length > 0) return { errors, kept: [] };
+
+  const kept = [];
+  const candidate = keepFixedSettings(CONFIG_SCHEMA, fileConfig, value, '', kept) || {};
+  const problems = check(candidate);
+  if (problems.length > 0) return { errors: problems, kept: [] };
+
+  fileConfig = candidate;
+  return { errors: [], kept };
+}
+
+/**
+ * Settings from the config file ({} when there is none)
+ */
+function getFileConfig() {
+  return fileConfig;
+}
+
+/**
+ * Path of the loaded config file, or null
+ */
+function getConfigFilePath() {
+  return filePath;
+}
+
+/**
+ * Parse, interpolate and validate a config file
+ */
+function readConfigFile(configPath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    return { value: null, errors: [`Cannot read config file ${configPath}: ${error.message}`] };
+  }
+
+  let parsed;
+  try {
+    parsed = ['.yaml', '.yml'].includes(path.extname(configPath).toLowerCase())
+      ? YAML.parse(raw)
+      : JSON.parse(raw);
+  } catch (error) {
+    return { value: null, errors: [`Cannot parse config file ${configPath}: ${error.message}`] };
+  }
+
+  const errors = [];
+  const interpolated = interpolateEnv(parsed ?? {}, '', errors);
+  const checked = validateValue(CONFIG_SCHEMA, interpolated);
+  errors.push(...checked.errors);
+
+  return { value: checked.value, errors };
+}
+
+/**
+ * Replace ${VAR} / ${VAR:-default} in every string with the environment value
+ * An unset variable without a default is an error - a missing secret should fail the boot.
+ */
+function interpolateEnv(value, keyPath, errors) {
+  if (typeof value === 'string') {
+    return value.replace(ENV_REFERENCE, (reference, name, fallback) => {
+      if (process.env[name] !== undefined) return process.env[name];
+      if (fallback !== undefined) return fallback;
+      errors.push(`${keyPath || '(root)'}: environment variable ${name} is not set`);
+      return reference;
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((item, i) => interpolateEnv(item, `${keyPath}[${i}]`, errors));
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, child]) =>
+      [key, interpolateEnv(child, keyPath ? `${keyPath}.${key}` : key, errors)]
+    ));
+  }
+
+  return value;
+}
+
+module.exports = { loadConfigFile, reloadConfigFile, getFileConfig, getConfigFilePath };
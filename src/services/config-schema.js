@@ -0,0 +1,268 @@
+/**
+ * Config file schema
+ * Describes every setting the config file may contain - the same shape as getConfig().
+ * Nodes flagged secret (keys, tokens) or restart (read once at startup) are not changed by a
+ * SIGHUP reload; everything else takes effect on the next webhook.
+ */
+
+// Fields an Attio workspace "match" entry can use to claim a source account
+const WORKSPACE_MATCH_FIELDS = ['source', 'accountId', 'hostEmail', 'campaign'];
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const number = (extra = {}) => ({ type: 'number', ...extra });
+const boolean = () => ({ type: 'boolean' });
+const list = (items, extra = {}) => ({ type: 'array', items, ...extra });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const map = (values, extra = {}) => ({ type: 'object', properties: {}, additionalProperties: values, ...extra });
+const secret = () => string({ secret: true });
+
+const webhookAuth = object({
+  mode: string({ enum: ['header', 'hmac', 'query'] }),
+  header: string(),
+  queryParam: string()
+}, { restart: true });
+
+const pipeline = object({
+  target: string(),
+  stageAttribute: string(),
+  stages: list(string()),
+  rules: list(object({
+    tag: string(),
+    campaign: string(),
+    stage: string(),
+    target: string()
+  })),
+  bookedStage: string(),
+  callStage: string(),
+  dealOwnerEmail: string()
+});
+
+// { "people" | "companies" | "deals": { "<summary field>": "<attribute slug>" } }
+const fieldMapping = object({
+  people: map(string()),
+  companies: map(string()),
+  deals: map(string())
+});
+
+const CONFIG_SCHEMA = object({
+  calendlyPat: secret(),
+  attioApiKey: secret(),
+
+  // Account registries are restart-only: a new account must not go live before its secrets do
+  attioWorkspaces: map(object({
+    apiKey: secret(),
+    match: list(object(Object.fromEntries(WORKSPACE_MATCH_FIELDS.map(field => [field, string()])))),
+    pipeline,
+    fieldMapping,
+    companySync: boolean(),
+    actionItemTasks: boolean()
+  }), { restart: true }),
+
+  calendlyWebhookSigningKey: secret(),
+  calendlyWebhookToleranceSeconds: integer({ min: 1 }),
+  calendlyCancellationNotes: boolean(),
+
+  fathomAccounts: map(object({
+    apiKey: secret(),
+    webhookSecrets: list(string(), { secret: true })
+  }), { restart: true }),
+  fathomApiKey: secret(),
+  fathomWebhookSecrets: list(string(), { secret: true }),
+  fathomWebhookToleranceSeconds: integer({ min: 1 }),
+
+  firefliesApiKey: secret(),
+  firefliesWebhookSecret: secret(),
+  tldvApiKey: secret(),
+  tldvWebhookSecret: secret(),
+  tldvWebhookAuth: webhookAuth,
+  zoomWebhookSecretToken: secret(),
+  zoomWebhookToleranceSeconds: integer({ min: 1 }),
+  zoomAccountId: string(),
+  zoomClientId: string(),
+  zoomClientSecret: secret(),
+
+  heyreachWebhookSecret: secret(),
+  heyreachWebhookAuth: webhookAuth,
+  clayWebhookSecret: secret(),
+  clayWebhookAuth: webhookAuth,
+
+  adminApiToken: secret(),
+  slackWebhookUrl: secret(),
+
+  port: integer({ min: 1, restart: true }),
+
+  retry: object({
+    maxAttempts: integer({ min: 1 }),
+    baseDelayMs: integer({ min: 0 }),
+    maxDelayMs: integer({ min: 0 })
+  }),
+
+  storage: object({
+    backend: string({ enum: ['memory', 'file', 'redis'] }),
+    filePath: string(),
+    deadLetterFilePath: string(),
+    redisUrl: secret(),
+    redisKeyPrefix: string()
+  }, { restart: true }),
+
+  jobQueue: object({
+    storePath: string(),
+    pollIntervalMs: integer({ min: 100 }),
+    jobTimeoutMs: integer({ min: 1000 })
+  }, { restart: true }),
+
+  companySync: boolean(),
+  freeEmailDomains: list(string()),
+  actionItemTasks: boolean(),
+  fieldMapping,
+  pipeline,
+
+  attio: object({
+    timeoutMs: integer({ min: 1 }),
+    maxRetries: integer({ min: 0 }),
+    baseDelayMs: integer({ min: 0 }),
+    maxDelayMs: integer({ min: 0 }),
+    readRatePerSec: number({ min: 1 }),
+    writeRatePerSec: number({ min: 1 })
+  }, { restart: true }),
+
+  prompts: object({
+    dir: string(),
+    defaultTemplate: string(),
+    rules: list(object({
+      source: string(),
+      accountId: string(),
+      eventType: string(),
+      hostEmail: string(),
+      template: string()
+    }))
+  }),
+
+  llm: object({
+    provider: string(),
+    fallbackProvider: string(),
+    // { "fathom": "anthropic", "fathom:datalabs": "azure-openai" }
+    providerOverrides: map(string()),
+    timeoutMs: integer({ min: 1 }),
+    providers: object({
+      openai: object({ apiKey: secret(), model: string() }),
+      'azure-openai': object({ apiKey: secret(), endpoint: string(), deployment: string(), apiVersion: string() }),
+      anthropic: object({ apiKey: secret(), model: string() }),
+      'openai-compatible': object({ baseUrl: string(), apiKey: secret(), model: string() })
+    }),
+    temperature: number({ min: 0, max: 2 }),
+    maxTokens: integer({ min: 1 }),
+    chunkTokens: integer({ min: 100 }),
+    maxCallsPerMeeting: integer({ min: 2 }),
+    summaryMode: string({ enum: ['markdown', 'structured'] })
+  })
+});
+
+/**
+ * Validate a value against a schema node
+ * Strings from env interpolation are coerced to the integer / number / boolean the schema expects.
+ * null is accepted anywhere (it means "not set").
+ * @param {object} schema - Schema node
+ * @param {*} value - Value to check
+ * @param {string} path - Dotted path for error messages
+ * @returns {object} - { value, errors } - the (coerced) value and the problems found
+ */
+function validateValue(schema, value, path = '') {
+  const at = path || '(root)';
+  if (value === null) return { value, errors: [] };
+
+  switch (schema.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { value, errors: [`${at}: expected an object`] };
+      }
+      const errors = [];
+      const result = {};
+      for (const [key, child] of Object.entries(value)) {
+        const childSchema = schema.properties[key] || schema.additionalProperties;
+        const childPath = path ? `${path}.${key}` : key;
+        if (!childSchema) {
+          errors.push(`${childPath}: unknown setting`);
+          continue;
+        }
+        const checked = validateValue(childSchema, child, childPath);
+        result[key] = checked.value;
+        errors.push(...checked.errors);
+      }
+      return { value: result, errors };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return { value, errors: [`${at}: expected a list`] };
+      const checked = value.map((item, i) => validateValue(schema.items, item, `${path}[${i}]`));
+      return { value: checked.map(c => c.value), errors: checked.flatMap(c => c.errors) };
+    }
+
+    case 'boolean': {
+      const coerced = value === 'true' ? true : value === 'false' ? false : value;
+      return typeof coerced === 'boolean'
+        ? { value: coerced, errors: [] }
+        : { value, errors: [`${at}: expected true or false`] };
+    }
+
+    case 'integer':
+    case 'number': {
+      const coerced = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof coerced !== 'number' || Number.isNaN(coerced) ||
+          (schema.type === 'integer' && !Number.isInteger(coerced))) {
+        return { value, errors: [`${at}: expected ${schema.type === 'integer' ? 'an integer' : 'a number'}`] };
+      }
+      if ((schema.min !== undefined && coerced < schema.min) || (schema.max !== undefined && coerced > schema.max)) {
+        return { value, errors: [`${at}: must be between ${schema.min ?? '-∞'} and ${schema.max ?? '∞'}`] };
+      }
+      return { value: coerced, errors: [] };
+    }
+
+    default: {
+      if (typeof value !== 'string') return { value, errors: [`${at}: expected a string`] };
+      if (schema.enum && !schema.enum.includes(value)) {
+        return { value, errors: [`${at}: must be one of ${schema.enum.join(', ')}`] };
+      }
+      return { value, errors: [] };
+    }
+  }
+}
+
+/**
+ * Keep the current value of every secret / restart-only setting in a reloaded config
+ * @param {object} schema - Schema node
+ * @param {*} current - Value in use
+ * @param {*} next - Value from the reloaded file
+ * @param {string} path - Dotted path
+ * @param {string[]} kept - Collects the paths whose change was not applied
+ * @returns {*} - The value to use
+ */
+function keepFixedSettings(schema, current, next, path, kept) {
+  if (schema.secret || schema.restart) {
+    if (JSON.stringify(current) !== JSON.stringify(next)) kept.push(path);
+    return current;
+  }
+
+  if (schema.type !== 'object' || (!isObject(current) && !isObject(next))) return next;
+
+  // Walk both sides so secrets added or removed in the file are caught too
+  const currentObject = isObject(current) ? current : {};
+  const nextObject = isObject(next) ? next : {};
+  const result = {};
+  for (const key of new Set([...Object.keys(currentObject), ...Object.keys(nextObject)])) {
+    const childSchema = schema.properties[key] || schema.additionalProperties;
+    const childPath = path ? `${path}.${key}` : key;
+    const value = childSchema
+      ? keepFixedSettings(childSchema, currentObject[key], nextObject[key], childPath, kept)
+      : nextObject[key];
+    if (value !== undefined) result[key] = value;
+  }
+  return result;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = { CONFIG_SCHEMA, WORKSPACE_MATCH_FIELDS, validateValue, keepFixedSettings };
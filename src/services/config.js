@@ -1,67 +1,187 @@
 /**
  * Configuration and environment validation
- * Fails fast if required variables are missing
+ * Settings come from env vars, overridden by the optional config file (see config-file.js).
+ * Fails fast if required settings are missing
  */
 
+const { loadConfigFile, getFileConfig } = require('./config-file');
+const { WORKSPACE_MATCH_FIELDS } = require('./config-schema');
+
 // Only Attio is required - other keys are optional depending on which features you use
-const REQUIRED_ENV_VARS = [
-  'ATTIO_API_KEY'
-];
+// key: setting -> env var it usually comes from
+const REQUIRED_SETTINGS = {
+  attioApiKey: 'ATTIO_API_KEY'
+};
 
 // Optional features:
-// - CALENDLY_PAT + OPENAI_API_KEY: For Calendly meeting transcript summaries
+// - CALENDLY_PAT + an LLM provider key (OPENAI_API_KEY by default): For Calendly meeting transcript summaries
 // - FATHOM_API_KEY: For Fathom AI transcript integration
 // - HeyReach + Clay: No additional keys needed (just Attio)
 
 /**
- * Validate that all required environment variables are set
+ * Load the config file and validate that all required settings are set
  * Call this on startup to fail fast if misconfigured
  */
 function validateEnv() {
-  const missing = REQUIRED_ENV_VARS.filter(key => !process.env[key]);
+  // The config file first - it can supply any setting, including the required ones
+  const fileErrors = loadConfigFile(process.env.CONFIG_FILE);
+  if (fileErrors.length > 0) {
+    console.error(`\n❌ Invalid config file ${process.env.CONFIG_FILE}:`);
+    fileErrors.forEach(error => console.error(`   - ${error}`));
+    console.error('');
+    process.exit(1);
+  }
+
+  // JSON settings - a typo should stop the boot, not silently disable the feature
+  for (const key of ['ATTIO_PIPELINE_RULES', 'ATTIO_FIELD_MAPPING', 'PROMPT_TEMPLATE_RULES', 'ATTIO_WORKSPACES']) {
+    try {
+      parseJson(process.env[key], null);
+    } catch (error) {
+      console.error(`\n❌ ${key} is not valid JSON: ${error.message}\n`);
+      process.exit(1);
+    }
+  }
+
+  // Long transcripts need at least one chunk call plus the final summary call
+  const maxLlmCalls = process.env.SUMMARY_MAX_LLM_CALLS;
+  if (maxLlmCalls && !(/^\d+$/.test(maxLlmCalls.trim()) && parseInt(maxLlmCalls, 10) >= 2)) {
+    console.error(`\n❌ SUMMARY_MAX_LLM_CALLS must be a whole number of at least 2 (got "${maxLlmCalls}")\n`);
+    process.exit(1);
+  }
+
+  const config = getConfig();
+  const missing = Object.entries(REQUIRED_SETTINGS).filter(([setting]) => !config[setting]);
 
   if (missing.length > 0) {
     console.error('\n❌ Missing required environment variables:');
-    missing.forEach(key => console.error(`   - ${key}`));
+    missing.forEach(([setting, envVar]) => console.error(`   - ${envVar} (or ${setting} in the config file)`));
     console.error('\nCopy .env.example to .env and fill in your API keys.\n');
     process.exit(1);
   }
 
-  console.log('✅ Environment variables validated');
+  // Every extra Attio workspace needs its own API key and valid match entries
+  const workspaceErrors = [];
+  for (const [name, workspace] of Object.entries(config.attioWorkspaces)) {
+    if (!workspace.apiKey) {
+      workspaceErrors.push(`Attio workspace "${name}" needs ${getWorkspaceApiKeyVar(name)} (or apiKey in the config file)`);
+    }
+    workspace.match.forEach((entry, index) => {
+      const unknownFields = Object.keys(entry).filter(key => !WORKSPACE_MATCH_FIELDS.includes(key));
+      if (unknownFields.length > 0) {
+        workspaceErrors.push(`Attio workspace "${name}" match ${index + 1} has unknown fields: ${unknownFields.join(', ')} ` +
+          `(expected ${WORKSPACE_MATCH_FIELDS.join(', ')})`);
+      }
+    });
+  }
+  if (workspaceErrors.length > 0) {
+    console.error('\n❌ Invalid ATTIO_WORKSPACES:');
+    workspaceErrors.forEach(error => console.error(`   - ${error}`));
+    console.error('');
+    process.exit(1);
+  }
+
+  console.log('✅ Configuration validated');
 }
 
 /**
  * Get configuration object with all settings
+ * Env values, with the config file's settings on top
  */
 function getConfig() {
+  return buildConfig(getFileConfig());
+}
+
+/**
+ * Build the configuration from env values and a set of config file settings
+ * Used on reload to check a candidate config file before it is applied.
+ * @param {object} fileConfig - Validated config file settings ({} for none)
+ * @returns {object} - Configuration object
+ */
+function buildConfig(fileConfig) {
+  const config = mergeSettings(getEnvConfig(), fileConfig);
+
+  // Account registries can come partly from the file - give every entry its full shape
+  config.fathomAccounts = normalizeFathomAccounts(config.fathomAccounts);
+  config.attioWorkspaces = getAttioWorkspaces(config.attioWorkspaces);
+
+  return config;
+}
+
+/**
+ * Settings from env vars (and their defaults)
+ */
+function getEnvConfig() {
   return {
     // API Keys - Core (required)
     calendlyPat: process.env.CALENDLY_PAT,
     attioApiKey: process.env.ATTIO_API_KEY,
-    openaiApiKey: process.env.OPENAI_API_KEY,
-
-    // Fathom accounts - multiple accounts supported
-    // Each account has its own API key and webhook secret
-    fathomAccounts: {
-      recruitcloud: {
-        apiKey: process.env.FATHOM_RECRUITCLOUD_API_KEY || null,
-        webhookSecret: process.env.FATHOM_RECRUITCLOUD_WEBHOOK_SECRET || null
-      },
-      datalabs: {
-        apiKey: process.env.FATHOM_DATALABS_API_KEY || null,
-        webhookSecret: process.env.FATHOM_DATALABS_WEBHOOK_SECRET || null
-      }
-    },
+
+    // Attio workspace the settings below write to; getWorkspaceConfig() swaps in another one
+    attioWorkspace: 'default',
+    // Extra Attio workspaces for source accounts that are separate businesses (see getAttioWorkspaces)
+    attioWorkspaces: getAttioWorkspaces(parseJson(process.env.ATTIO_WORKSPACES, {})),
+
+    // Calendly webhook signature verification (optional but recommended)
+    calendlyWebhookSigningKey: process.env.CALENDLY_WEBHOOK_SIGNING_KEY || null,
+    calendlyWebhookToleranceSeconds: parseInt(process.env.CALENDLY_WEBHOOK_TOLERANCE_SECONDS, 10) || 180,
+
+    // Add a "Meeting Canceled" note (with the reason) to the Attio person on invitee.canceled
+    calendlyCancellationNotes: process.env.CALENDLY_CANCELLATION_NOTES === 'true',
+
+    // Fathom accounts - any number, registered by FATHOM_<ACCOUNT>_API_KEY / FATHOM_<ACCOUNT>_WEBHOOK_SECRET
+    // Each account has its own API key and webhook secrets
+    // (secrets are comma-separated so old and new can both be active during rotation)
+    fathomAccounts: getFathomAccounts(),
 
     // Legacy single Fathom keys (for backwards compatibility)
     fathomApiKey: process.env.FATHOM_API_KEY || null,
-    fathomWebhookSecret: process.env.FATHOM_WEBHOOK_SECRET || null,
+    fathomWebhookSecrets: parseList(process.env.FATHOM_WEBHOOK_SECRET),
+
+    // Max age in seconds of a signed Fathom request (replay protection)
+    fathomWebhookToleranceSeconds: parseInt(process.env.FATHOM_WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+
+    // Fireflies.ai - webhooks only carry the meeting ID, the transcript is fetched with the API key
+    // (webhooks are signed with the secret set in the Fireflies developer settings)
+    firefliesApiKey: process.env.FIREFLIES_API_KEY || null,
+    firefliesWebhookSecret: process.env.FIREFLIES_WEBHOOK_SECRET || null,
+
+    // tl;dv - meetings and transcripts are fetched with the API key
+    // tl;dv doesn't sign webhooks, so they are authenticated like HeyReach / Clay
+    tldvApiKey: process.env.TLDV_API_KEY || null,
+    tldvWebhookSecret: process.env.TLDV_WEBHOOK_SECRET || null,
+    tldvWebhookAuth: {
+      mode: process.env.TLDV_WEBHOOK_AUTH_MODE || 'header', // header | hmac | query
+      header: process.env.TLDV_WEBHOOK_AUTH_HEADER || null,
+      queryParam: process.env.TLDV_WEBHOOK_AUTH_QUERY_PARAM || null
+    },
+
+    // Zoom cloud recordings - the app's secret token answers Zoom's URL validation and signs webhooks
+    zoomWebhookSecretToken: process.env.ZOOM_WEBHOOK_SECRET_TOKEN || null,
+    // Max age in seconds of a signed Zoom request (replay protection)
+    zoomWebhookToleranceSeconds: parseInt(process.env.ZOOM_WEBHOOK_TOLERANCE_SECONDS, 10) || 300,
+    // Server-to-Server OAuth app, for downloads when the webhook has no download_token (optional)
+    zoomAccountId: process.env.ZOOM_ACCOUNT_ID || null,
+    zoomClientId: process.env.ZOOM_CLIENT_ID || null,
+    zoomClientSecret: process.env.ZOOM_CLIENT_SECRET || null,
 
     // HeyReach integration (optional webhook secret for verification)
     heyreachWebhookSecret: process.env.HEYREACH_WEBHOOK_SECRET || null,
+    heyreachWebhookAuth: {
+      mode: process.env.HEYREACH_WEBHOOK_AUTH_MODE || 'header', // header | hmac | query
+      header: process.env.HEYREACH_WEBHOOK_AUTH_HEADER || null,
+      queryParam: process.env.HEYREACH_WEBHOOK_AUTH_QUERY_PARAM || null
+    },
 
     // Clay enrichment integration (optional webhook secret for verification)
     clayWebhookSecret: process.env.CLAY_WEBHOOK_SECRET || null,
+    clayWebhookAuth: {
+      mode: process.env.CLAY_WEBHOOK_AUTH_MODE || 'header', // header | hmac | query
+      header: process.env.CLAY_WEBHOOK_AUTH_HEADER || null,
+      queryParam: process.env.CLAY_WEBHOOK_AUTH_QUERY_PARAM || null
+    },
+
+    // Admin API bearer token (admin endpoints are disabled when unset)
+    adminApiToken: process.env.ADMIN_API_TOKEN || null,
 
     // Notifications (optional)
     slackWebhookUrl: process.env.SLACK_WEBHOOK_URL || null,
@@ -76,33 +196,270 @@ function getConfig() {
       maxDelayMs: 900000   // 15 minutes
     },
 
-    // OpenAI settings
-    openai: {
-      model: 'gpt-4o',
+    // Correlation store backend: memory (default), file, redis
+    storage: {
+      backend: (process.env.STORE_BACKEND || 'memory').toLowerCase(),
+      filePath: process.env.STORE_FILE_PATH || 'data/store.json',
+      // Dead letters must survive restarts, so with the memory backend they get their own file
+      deadLetterFilePath: process.env.DEAD_LETTER_FILE_PATH || 'data/dead-letters.json',
+      redisUrl: process.env.REDIS_URL || null,
+      redisKeyPrefix: process.env.REDIS_KEY_PREFIX || 'calendly-attio:'
+    },
+
+    // Durable job queue (scheduled Calendly syncs survive restarts)
+    jobQueue: {
+      storePath: process.env.JOB_QUEUE_PATH || 'data/jobs.json',
+      pollIntervalMs: 5000,
+      jobTimeoutMs: 1800000 // 30 minutes - a run still going then is failed so the queue moves on
+    },
+
+    // Link people to Attio companies derived from their email domain (default: on)
+    companySync: process.env.ATTIO_COMPANY_SYNC !== 'false',
+    // Extra free-mail domains that never identify a company (added to the built-in list)
+    freeEmailDomains: parseList(process.env.FREE_EMAIL_DOMAINS).map(d => d.toLowerCase()),
+
+    // Create Attio tasks from meeting action items (default: on)
+    actionItemTasks: process.env.ATTIO_ACTION_ITEM_TASKS !== 'false',
+
+    // Structured summary fields → custom Attio attributes (requires SUMMARY_MODE=structured)
+    // { "people" | "companies" | "deals": { "<summary field>": "<attribute slug>" } }
+    fieldMapping: parseJson(process.env.ATTIO_FIELD_MAPPING, {}),
+
+    // Attio pipeline for HeyReach leads - a list (api slug or ID) or the 'deals' object
+    // Rules map a HeyReach tag/campaign to a stage: [{ "tag", "campaign", "stage", "target" }]
+    // (first match wins; "target" overrides the default target for that rule)
+    pipeline: {
+      target: process.env.ATTIO_PIPELINE_TARGET || null,
+      stageAttribute: process.env.ATTIO_PIPELINE_STAGE_ATTRIBUTE || 'stage',
+      stages: parseList(process.env.ATTIO_PIPELINE_STAGES), // in order - stages only move forward
+      rules: parseJson(process.env.ATTIO_PIPELINE_RULES, []),
+      bookedStage: process.env.ATTIO_PIPELINE_BOOKED_STAGE || null, // on Calendly booking
+      callStage: process.env.ATTIO_PIPELINE_CALL_STAGE || null,     // once a call is synced
+      dealOwnerEmail: process.env.ATTIO_DEAL_OWNER_EMAIL || null    // required by Attio for new deals
+    },
+
+    // Attio API client - rate limits match Attio's published limits per workspace token
+    attio: {
+      timeoutMs: 15000,
+      maxRetries: 4,          // retries on 429 / 5xx / network errors
+      baseDelayMs: 500,       // backoff ceiling doubles per retry, with full jitter
+      maxDelayMs: 30000,
+      readRatePerSec: 100,
+      writeRatePerSec: 25
+    },
+
+    // Summary prompt templates (markdown files) and the rules choosing one per meeting
+    // Rules: [{ "source", "accountId", "eventType", "hostEmail", "template" }] - first match wins
+    prompts: {
+      dir: process.env.PROMPT_TEMPLATES_DIR || 'prompts',
+      defaultTemplate: process.env.PROMPT_TEMPLATE_DEFAULT || 'default',
+      rules: parseJson(process.env.PROMPT_TEMPLATE_RULES, [])
+    },
+
+    // LLM used for summaries - providers are selected by name, globally or per source / account
+    llm: {
+      provider: process.env.LLM_PROVIDER || 'openai',
+      fallbackProvider: process.env.LLM_FALLBACK_PROVIDER || null,
+      // LLM_PROVIDER_<SOURCE>[_<ACCOUNT>], e.g. LLM_PROVIDER_FATHOM_DATALABS=anthropic
+      providerOverrides: getProviderOverrides(),
+      timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS, 10) || 120000,
+      providers: {
+        openai: {
+          apiKey: process.env.OPENAI_API_KEY,
+          model: process.env.OPENAI_MODEL || 'gpt-4o'
+        },
+        'azure-openai': {
+          apiKey: process.env.AZURE_OPENAI_API_KEY,
+          endpoint: process.env.AZURE_OPENAI_ENDPOINT || '',
+          deployment: process.env.AZURE_OPENAI_DEPLOYMENT || '',
+          apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-08-01-preview'
+        },
+        anthropic: {
+          apiKey: process.env.ANTHROPIC_API_KEY,
+          model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest'
+        },
+        // Any server speaking the OpenAI chat completions API (Ollama, vLLM, LM Studio, ...)
+        'openai-compatible': {
+          baseUrl: process.env.LLM_COMPAT_BASE_URL || 'http://localhost:11434/v1',
+          apiKey: process.env.LLM_COMPAT_API_KEY || null,
+          model: process.env.LLM_COMPAT_MODEL || 'llama3.1'
+        }
+      },
+
       temperature: 0.3,
-      maxTokens: 1500
+      maxTokens: 1500,
+      // Transcripts longer than this (estimated tokens) are summarized chunk by chunk, then combined
+      chunkTokens: parseInt(process.env.SUMMARY_CHUNK_TOKENS, 10) || 6000,
+      // Cap on LLM calls per meeting summary, including the final combine call
+      maxCallsPerMeeting: parseInt(process.env.SUMMARY_MAX_LLM_CALLS, 10) || 10,
+      // markdown: free-form note | structured: JSON schema output rendered to the note, with fields for Attio
+      summaryMode: process.env.SUMMARY_MODE === 'structured' ? 'structured' : 'markdown'
     }
   };
 }
 
+/**
+ * Split a comma-separated env value into a list of non-empty entries
+ * @param {string} value - Raw env value
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Fathom accounts from FATHOM_<ACCOUNT>_API_KEY and FATHOM_<ACCOUNT>_WEBHOOK_SECRET
+ * The account ID is the lowercased <ACCOUNT> part, e.g. FATHOM_DATALABS_API_KEY -> datalabs
+ * (served at /webhook/fathom/datalabs). The legacy FATHOM_API_KEY / FATHOM_WEBHOOK_SECRET don't match.
+ * @returns {object} - { datalabs: { apiKey, webhookSecrets }, ... }
+ */
+function getFathomAccounts() {
+  const accounts = {};
+
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^FATHOM_([A-Z0-9_]+)_(API_KEY|WEBHOOK_SECRET)$/);
+    if (!match || !value) continue;
+
+    const accountId = match[1].toLowerCase();
+    const account = accounts[accountId] || (accounts[accountId] = { apiKey: null, webhookSecrets: [] });
+    if (match[2] === 'API_KEY') {
+      account.apiKey = value;
+    } else {
+      account.webhookSecrets = parseList(value);
+    }
+  }
+
+  return accounts;
+}
+
+/**
+ * Fathom accounts with lowercase IDs and both fields set (config file entries may omit one)
+ */
+function normalizeFathomAccounts(accounts = {}) {
+  const normalized = {};
+  for (const [accountId, account] of Object.entries(accounts)) {
+    normalized[accountId.toLowerCase()] = {
+      apiKey: account?.apiKey || null,
+      webhookSecrets: account?.webhookSecrets || []
+    };
+  }
+  return normalized;
+}
+
+/**
+ * Extra Attio workspaces (ATTIO_WORKSPACES or attioWorkspaces in the config file)
+ * { "<workspace>": { "match": [{ "source", "accountId", "hostEmail", "campaign" }],
+ *                    "pipeline": { ... }, "fieldMapping": { ... } } }
+ * The key comes from the entry's apiKey or ATTIO_<WORKSPACE>_API_KEY.
+ * A workspace has its own pipeline and field mapping (nothing is inherited from the default
+ * workspace, whose lists and attributes it doesn't have); companySync / actionItemTasks default
+ * to the global settings. Safe to apply to already normalized workspaces.
+ * @param {object} settingsByName - Workspace settings by name
+ * @returns {object} - { datalabs: { apiKey, match, pipeline, fieldMapping, companySync?, actionItemTasks? }, ... }
+ */
+function getAttioWorkspaces(settingsByName = {}) {
+  const workspaces = {};
+
+  for (const [name, entry] of Object.entries(settingsByName || {})) {
+    const settings = entry || {};
+    workspaces[name] = {
+      apiKey: settings.apiKey || process.env[getWorkspaceApiKeyVar(name)] || null,
+      match: settings.match || [],
+      pipeline: {
+        target: null,
+        stageAttribute: 'stage',
+        stages: [],
+        rules: [],
+        bookedStage: null,
+        callStage: null,
+        dealOwnerEmail: null,
+        ...settings.pipeline
+      },
+      fieldMapping: settings.fieldMapping || {},
+      companySync: settings.companySync,
+      actionItemTasks: settings.actionItemTasks
+    };
+  }
+
+  return workspaces;
+}
+
+/**
+ * Env var holding a workspace's API key, e.g. datalabs -> ATTIO_DATALABS_API_KEY
+ */
+function getWorkspaceApiKeyVar(name) {
+  return `ATTIO_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_API_KEY`;
+}
+
+/**
+ * Per-source / per-account LLM provider overrides from LLM_PROVIDER_<SOURCE>[_<ACCOUNT>]
+ * @returns {object} - { 'fathom': 'anthropic', 'fathom:datalabs': 'azure-openai', ... }
+ */
+function getProviderOverrides() {
+  const overrides = {};
+
+  for (const [key, value] of Object.entries(process.env)) {
+    const match = key.match(/^LLM_PROVIDER_([A-Z0-9]+)(?:_([A-Z0-9_]+))?$/);
+    if (!match || !value) continue;
+
+    const [, source, account] = match;
+    const scope = account ? `${source.toLowerCase()}:${account.toLowerCase()}` : source.toLowerCase();
+    overrides[scope] = value;
+  }
+
+  return overrides;
+}
+
+/**
+ * Deep-merge settings: objects merge key by key, anything else (lists included) is replaced
+ * null / undefined mean "not set" (e.g. an empty `retry:` section in YAML) and keep the base value.
+ * @param {object} base - Settings to start from
+ * @param {object} overrides - Settings that win
+ * @returns {object}
+ */
+function mergeSettings(base, overrides) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+  const merged = { ...base };
+
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value === null || value === undefined) continue;
+    merged[key] = isObject(value) && isObject(base[key]) ? mergeSettings(base[key], value) : value;
+  }
+
+  return merged;
+}
+
+/**
+ * Parse a JSON env value
+ * @param {string} value - Raw env value
+ * @param {*} fallback - Returned when the value is empty
+ * @returns {*}
+ */
+function parseJson(value, fallback) {
+  if (!value || !value.trim()) return fallback;
+  return JSON.parse(value);
+}
+
 /**
  * Get Fathom config for a specific account
- * @param {string} accountId - Account identifier (recruitcloud, datalabs)
- * @returns {object} - { apiKey, webhookSecret }
+ * @param {string|null} accountId - Account identifier (e.g. datalabs); null for the legacy single account
+ * @returns {object|null} - { apiKey, webhookSecrets }, or null when the account isn't registered
  */
 function getFathomAccountConfig(accountId) {
   const config = getConfig();
-  const account = config.fathomAccounts[accountId];
 
-  if (account && account.apiKey) {
-    return account;
+  if (accountId) {
+    return config.fathomAccounts[String(accountId).toLowerCase()] || null;
   }
 
-  // Fall back to legacy single key
+  // Legacy single key (generic /webhook/fathom endpoint)
   return {
     apiKey: config.fathomApiKey,
-    webhookSecret: config.fathomWebhookSecret
+    webhookSecrets: config.fathomWebhookSecrets
   };
 }
 
-module.exports = { validateEnv, getConfig, getFathomAccountConfig };
+module.exports = { validateEnv, getConfig, buildConfig, getFathomAccountConfig, mergeSettings };
@@ -0,0 +1,154 @@
+/**
+ * Dead-letter store for failed syncs
+ * Keeps the original payload, failing step, error and attempt count so a failed
+ * sync can be inspected and retried instead of being lost after the Slack alert.
+ * Handlers register how to retry their source; retries resume from the failed step
+ * using whatever was already fetched (e.g. the transcript).
+ */
+
+const crypto = require('crypto');
+const { getConfig } = require('./config');
+const { getStore } = require('./storage');
+const { createFileStore } = require('./storage/file');
+const { log } = require('./logger');
+
+const NAMESPACE = 'dead_letters'; // key: dead letter id -> record (no expiry)
+
+const retryHandlers = new Map(); // key: source -> async handler(record)
+
+let fileStore = null;
+
+/**
+ * Store for dead letters: the shared store, unless that is the in-memory backend -
+ * failed syncs then go to their own file so a restart doesn't lose them
+ * @returns {object} - Store implementing the storage interface
+ */
+function getDeadLetterStore() {
+  const { storage } = getConfig();
+  if (storage.backend !== 'memory') return getStore();
+
+  if (!fileStore) {
+    fileStore = createFileStore({ filePath: storage.deadLetterFilePath });
+    log('info', 'Dead letters kept in their own file (STORE_BACKEND=memory)', { filePath: storage.deadLetterFilePath });
+  }
+  return fileStore;
+}
+
+/**
+ * Register how failed syncs from a source are retried
+ * The handler must record a repeated failure under record.id, so the retried record is updated
+ * instead of a new one being added next to it.
+ * @param {string} source - Source name used in recordFailure()
+ * @param {function} handler - Async handler(record) that re-runs the sync and returns its result
+ */
+function registerRetryHandler(source, handler) {
+  retryHandlers.set(source, handler);
+}
+
+/**
+ * Persist a failed sync
+ * Failing again with the same id updates the record and bumps the attempt count.
+ * @param {object} failure - { id, source, accountId, payload, failedStep, error, context }
+ * @returns {object} - The dead-letter record
+ */
+async function recordFailure({ id, source, accountId = null, payload, failedStep, error, context = {} }) {
+  const store = getDeadLetterStore();
+  const letterId = id || `${source}:${crypto.randomUUID()}`;
+  const existing = await store.get(NAMESPACE, letterId);
+  const now = new Date().toISOString();
+
+  const record = {
+    id: letterId,
+    source,
+    accountId,
+    payload,
+    failedStep,
+    error: error.message,
+    attempts: (existing?.attempts || 0) + 1,
+    context,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+
+  try {
+    await store.set(NAMESPACE, letterId, record);
+    log('info', 'Recorded failed sync in dead-letter store', {
+      id: letterId,
+      source,
+      failedStep,
+      attempts: record.attempts
+    });
+  } catch (storeError) {
+    // Never mask the original failure
+    log('error', 'Failed to record dead letter', { id: letterId, error: storeError.message });
+  }
+
+  return record;
+}
+
+/**
+ * List dead letters, newest first
+ * @param {object} filters - { source }
+ * @returns {object[]}
+ */
+async function listDeadLetters({ source } = {}) {
+  const entries = await getDeadLetterStore().list(NAMESPACE);
+  return entries
+    .map(entry => entry.value)
+    .filter(record => !source || record.source === source)
+    .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+}
+
+/**
+ * Get a dead letter by id
+ * @param {string} id - Dead letter id
+ * @returns {object|null}
+ */
+async function getDeadLetter(id) {
+  return getDeadLetterStore().get(NAMESPACE, id);
+}
+
+/**
+ * Discard a dead letter without retrying it
+ * @param {string} id - Dead letter id
+ * @returns {boolean} - True if it existed
+ */
+async function discardDeadLetter(id) {
+  const deleted = await getDeadLetterStore().delete(NAMESPACE, id);
+  if (deleted) log('info', 'Discarded dead letter', { id });
+  return deleted;
+}
+
+/**
+ * Retry a dead letter through its source's retry handler
+ * On success the dead letter is removed; on failure the handler records it again.
+ * @param {string} id - Dead letter id
+ * @returns {object} - Result of the retried sync
+ */
+async function retryDeadLetter(id) {
+  const record = await getDeadLetter(id);
+  if (!record) {
+    throw new Error(`Dead letter not found: ${id}`);
+  }
+
+  const handler = retryHandlers.get(record.source);
+  if (!handler) {
+    throw new Error(`No retry handler registered for source: ${record.source}`);
+  }
+
+  log('info', 'Retrying dead letter', { id, source: record.source, failedStep: record.failedStep });
+  const result = await handler(record);
+
+  await getDeadLetterStore().delete(NAMESPACE, id);
+  log('info', 'Dead letter retry succeeded', { id });
+  return result;
+}
+
+module.exports = {
+  registerRetryHandler,
+  recordFailure,
+  listDeadLetters,
+  getDeadLetter,
+  discardDeadLetter,
+  retryDeadLetter
+};
@@ -0,0 +1,161 @@
+/**
+ * Webhook delivery ledger
+ * Records every processed delivery by provider event ID so retried deliveries
+ * are acknowledged without creating duplicate Attio notes.
+ * Backed by the configured storage backend, so it works across instances with Redis.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { log } = require('./logger');
+
+const NAMESPACE = 'deliveries'; // key: delivery key -> ledger record
+const CLAIMS_NAMESPACE = 'delivery-claims'; // key: delivery key -> { claimedAt } while a run is in progress
+const TTL_MS = 1000 * 60 * 60 * 24 * 7; // 7 days - longer than any provider retries
+const CLAIM_TTL_MS = 1000 * 60 * 15; // a claim older than this was abandoned (e.g. the instance died)
+
+// Runs in progress in this process - key: delivery key -> promise of the result
+const inFlight = new Map();
+
+// How each provider identifies a delivery; a content hash is used when these return null
+const EVENT_ID_EXTRACTORS = {
+  // Invitee URI is unique per booking; created and canceled are separate events
+  calendly: req => {
+    const inviteeUri = req.body?.payload?.uri;
+    return inviteeUri ? `${req.body.event}:${inviteeUri}` : null;
+  },
+  fathom: req => req.headers['webhook-id'] || null,
+  // One "Transcription completed" per meeting
+  fireflies: req => (req.body?.meetingId ? `${req.body.eventType}:${req.body.meetingId}` : null),
+  tldv: req => req.body?.id || null,
+  // Recording UUID is unique per meeting occurrence
+  zoom: req => {
+    const uuid = req.body?.payload?.object?.uuid;
+    return uuid ? `${req.body.event}:${uuid}` : null;
+  },
+  heyreach: req => req.body?.id || req.body?.event_id || null,
+  clay: req => {
+    const data = req.body?.data || req.body?.row || req.body?.record || req.body || {};
+    return data.row_id || data.rowId || data._id || req.body?.row_id || null;
+  }
+};
+
+/**
+ * Build the ledger key for an incoming webhook request
+ * @param {string} provider - calendly | fathom | fireflies | tldv | zoom | heyreach | clay
+ * @param {object} req - Express request (rawBody captured by the JSON parser)
+ * @returns {string} - Delivery key
+ */
+function getDeliveryKey(provider, req) {
+  const extractor = EVENT_ID_EXTRACTORS[provider];
+  const eventId = extractor ? extractor(req) : null;
+
+  if (eventId) {
+    return `${provider}:${eventId}`;
+  }
+
+  const hash = crypto.createHash('sha256').update(req.rawBody || JSON.stringify(req.body)).digest('hex');
+  return `${provider}:sha256:${hash}`;
+}
+
+/**
+ * Check whether a delivery was already processed successfully
+ * @param {string} deliveryKey - Key from getDeliveryKey()
+ * @returns {boolean}
+ */
+async function isDuplicateDelivery(deliveryKey) {
+  const record = await getStore().get(NAMESPACE, deliveryKey);
+  return record?.status === 'completed';
+}
+
+/**
+ * Process a delivery at most once
+ * - Completed before: returns the recorded result without running fn
+ * - In flight in this process: waits for the first run and returns its outcome
+ * - Processing in another instance: skipped
+ * - Failed before or never seen: runs fn and records the outcome
+ * Runs are claimed with setIfAbsent, so two instances receiving the same delivery at once
+ * can't both process it.
+ * @param {string} deliveryKey - Key from getDeliveryKey()
+ * @param {function} fn - Async processing function
+ * @returns {object} - { duplicate, result }
+ */
+async function processDelivery(deliveryKey, fn) {
+  if (inFlight.has(deliveryKey)) {
+    log('info', 'Duplicate delivery in flight, waiting for first run', { deliveryKey });
+    const { result } = await inFlight.get(deliveryKey);
+    return { duplicate: true, result };
+  }
+
+  // Registered before the first await, so a duplicate arriving meanwhile waits for this run
+  const run = claimAndRun(deliveryKey, fn);
+  inFlight.set(deliveryKey, run);
+  try {
+    return await run;
+  } finally {
+    inFlight.delete(deliveryKey);
+  }
+}
+
+/**
+ * Claim a delivery in the store and run it, recording the outcome
+ * @returns {object} - { duplicate, result }
+ */
+async function claimAndRun(deliveryKey, fn) {
+  const store = getStore();
+  const existing = await store.get(NAMESPACE, deliveryKey);
+
+  if (existing?.status === 'completed') {
+    log('info', 'Duplicate delivery, already processed', { deliveryKey });
+    return { duplicate: true, result: existing.result };
+  }
+
+  const claimed = await store.setIfAbsent(CLAIMS_NAMESPACE, deliveryKey, { claimedAt: new Date().toISOString() }, CLAIM_TTL_MS);
+  if (!claimed) {
+    log('info', 'Duplicate delivery, processing elsewhere', { deliveryKey });
+    return { duplicate: true, result: null };
+  }
+
+  try {
+    // Another instance may have finished between the read above and the claim
+    const latest = await store.get(NAMESPACE, deliveryKey);
+    if (latest?.status === 'completed') {
+      log('info', 'Duplicate delivery, already processed', { deliveryKey });
+      return { duplicate: true, result: latest.result };
+    }
+
+    const record = {
+      key: deliveryKey,
+      status: 'processing',
+      attempts: (latest?.attempts || 0) + 1,
+      firstSeenAt: latest?.firstSeenAt || new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      result: null,
+      error: null
+    };
+    await store.set(NAMESPACE, deliveryKey, record, TTL_MS);
+
+    try {
+      const result = await fn();
+      await store.set(NAMESPACE, deliveryKey, {
+        ...record,
+        status: 'completed',
+        result: result === undefined ? null : result,
+        updatedAt: new Date().toISOString()
+      }, TTL_MS);
+      return { duplicate: false, result };
+    } catch (error) {
+      await store.set(NAMESPACE, deliveryKey, {
+        ...record,
+        status: 'failed',
+        error: error.message,
+        updatedAt: new Date().toISOString()
+      }, TTL_MS);
+      throw error;
+    }
+  } finally {
+    await store.delete(CLAIMS_NAMESPACE, deliveryKey);
+  }
+}
+
+module.exports = { getDeliveryKey, isDuplicateDelivery, processDelivery };
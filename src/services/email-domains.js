@@ -0,0 +1,27 @@
+/**
+ * Email domain helpers
+ * Decides which email domains identify a company (and which are free-mail providers)
+ */
+
+// Free-mail providers never identify a company; extend with FREE_EMAIL_DOMAINS
+const DEFAULT_FREE_EMAIL_DOMAINS = [
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'ymail.com', 'hotmail.com', 'outlook.com',
+  'live.com', 'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'proton.me',
+  'protonmail.com', 'gmx.com', 'gmx.de', 'mail.com', 'yandex.com', 'zoho.com', 'hey.com'
+];
+
+/**
+ * Get the company domain for an email address
+ * @param {string} email - Email address
+ * @param {object} config - Configuration object (uses config.freeEmailDomains)
+ * @returns {string|null} - Lower-cased domain, or null for free-mail / invalid addresses
+ */
+function getCompanyDomain(email, config) {
+  const domain = email?.split('@')[1]?.trim().toLowerCase();
+  if (!domain || !domain.includes('.')) return null;
+
+  const freeDomains = new Set([...DEFAULT_FREE_EMAIL_DOMAINS, ...(config.freeEmailDomains || [])]);
+  return freeDomains.has(domain) ? null : domain;
+}
+
+module.exports = { getCompanyDomain, DEFAULT_FREE_EMAIL_DOMAINS };
@@ -1,80 +1,23 @@
 /**
  * Fathom AI Notetaker integration
- * Handles webhook events and transcript fetching
+ * Transcript fetching and webhook signature verification
+ * (the webhook payload is parsed by the Fathom source adapter, services/sources/fathom.js)
  * Docs: https://developers.fathom.ai
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 const { log } = require('./logger');
+const { transcriptPollAttempts } = require('./metrics');
 
 const FATHOM_API_BASE = 'https://api.fathom.ai/external/v1';
-
-/**
- * Process Fathom webhook payload
- * Fathom sends meeting data including transcript when configured
- * @param {object} payload - Webhook payload from Fathom
- * @param {object} fathomConfig - Fathom account config { apiKey, webhookSecret }
- * @returns {object} - { transcript, guestEmail, guestName }
- */
-async function processFathomWebhook(payload, fathomConfig) {
-  log('info', 'Processing Fathom webhook', {
-    meetingId: payload.meeting_id || payload.id
-  });
-
-  // Extract transcript from webhook payload if included
-  let transcript = payload.transcript || payload.transcription;
-
-  // If transcript not in payload, fetch it via API
-  if (!transcript && payload.recording_id) {
-    transcript = await fetchFathomTranscript(payload.recording_id, fathomConfig);
-  }
-
-  // Extract attendee info
-  // Fathom includes attendees/participants in the payload
-  const attendees = payload.attendees || payload.participants || [];
-
-  // Find the first external attendee (not the host)
-  const hostEmail = payload.host_email || payload.recorded_by;
-  const guest = attendees.find(a => {
-    const email = a.email || a.email_address;
-    return email && email !== hostEmail;
-  }) || attendees[0] || {};
-
-  const guestEmail = guest.email || guest.email_address || payload.guest_email;
-  const guestName = guest.name || guest.display_name ||
-                    payload.guest_name || 'Unknown Attendee';
-
-  // Format transcript if it's an array of segments
-  if (Array.isArray(transcript)) {
-    transcript = formatTranscriptSegments(transcript);
-  }
-
-  if (!transcript) {
-    throw new Error('No transcript available from Fathom');
-  }
-
-  if (!guestEmail) {
-    throw new Error('No guest email found in Fathom webhook');
-  }
-
-  return {
-    transcript,
-    guestEmail,
-    guestName,
-    source: 'fathom',
-    meetingTitle: payload.title || payload.meeting_title || 'Fathom Meeting',
-    meetingUrl: payload.meeting_url || payload.meeting_join_url || payload.url || null,
-    startTime: payload.start_time || payload.meeting_start_time || null,
-    endTime: payload.end_time || payload.meeting_end_time || null,
-    hostEmail: payload.host_email || payload.recorded_by || null
-  };
-}
+const REQUEST_TIMEOUT_MS = 30000; // a hung fetch would hold the webhook's sync open indefinitely
 
 /**
  * Fetch transcript from Fathom API
  * @param {string} recordingId - The recording ID
- * @param {object} fathomConfig - Fathom account config { apiKey, webhookSecret }
- * @returns {string} - Transcript text
+ * @param {object} fathomConfig - Fathom account config { apiKey, webhookSecrets }
+ * @returns {string|object[]} - Transcript text, or speaker segments (see toTranscript())
  */
 async function fetchFathomTranscript(recordingId, fathomConfig) {
   log('info', 'Fetching transcript from Fathom API', { recordingId });
@@ -85,11 +28,13 @@ async function fetchFathomTranscript(recordingId, fathomConfig) {
       {
         headers: {
           'X-Api-Key': fathomConfig.apiKey
-        }
+        },
+        timeout: REQUEST_TIMEOUT_MS
       }
     );
 
     const data = response.data;
+    transcriptPollAttempts.inc({ source: 'fathom', result: 'ready' });
 
     // Handle different transcript formats
     if (typeof data === 'string') {
@@ -97,13 +42,11 @@ async function fetchFathomTranscript(recordingId, fathomConfig) {
     }
 
     if (data.transcript) {
-      return typeof data.transcript === 'string'
-        ? data.transcript
-        : formatTranscriptSegments(data.transcript);
+      return data.transcript;
     }
 
     if (Array.isArray(data)) {
-      return formatTranscriptSegments(data);
+      return data;
     }
 
     log('warn', 'Unexpected transcript format from Fathom', {
@@ -112,6 +55,7 @@ async function fetchFathomTranscript(recordingId, fathomConfig) {
     return JSON.stringify(data);
 
   } catch (error) {
+    transcriptPollAttempts.inc({ source: 'fathom', result: 'error' });
     log('error', 'Failed to fetch Fathom transcript', {
       status: error.response?.status,
       message: error.message
@@ -121,71 +65,56 @@ async function fetchFathomTranscript(recordingId, fathomConfig) {
 }
 
 /**
- * Format transcript segments into readable text
- * @param {array} segments - Array of transcript segments
- * @returns {string} - Formatted transcript
- */
-function formatTranscriptSegments(segments) {
-  return segments.map(segment => {
-    const speaker = segment.speaker || segment.speaker_name || 'Speaker';
-    const text = segment.text || segment.content || segment.words || '';
-    const timestamp = segment.start_time || segment.timestamp || '';
-
-    if (timestamp) {
-      const time = formatTimestamp(timestamp);
-      return `(${time}) ${speaker}: ${text}`;
-    }
-    return `${speaker}: ${text}`;
-  }).join('\n\n');
-}
-
-/**
- * Format timestamp to readable format
- * @param {number|string} timestamp - Timestamp in seconds or ms
- * @returns {string} - Formatted time string
- */
-function formatTimestamp(timestamp) {
-  const seconds = typeof timestamp === 'number'
-    ? (timestamp > 10000 ? timestamp / 1000 : timestamp)
-    : parseFloat(timestamp);
-
-  const mins = Math.floor(seconds / 60);
-  const secs = Math.floor(seconds % 60);
-  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
-}
-
-/**
- * Verify Fathom webhook signature
- * @param {string} signature - webhook-signature header
- * @param {string} body - Raw request body
- * @param {string} secret - Webhook secret
+ * Verify Fathom webhook signature (Standard Webhooks scheme)
+ * Signed content is "<webhook-id>.<webhook-timestamp>.<raw body>", HMAC-SHA256 with the
+ * base64-decoded secret. The webhook-signature header holds one or more space-separated
+ * "v1,<base64 signature>" entries; any match against any active secret is accepted.
+ * Docs: https://www.standardwebhooks.com
+ * @param {object} headers - { id, timestamp, signature } from webhook-id / webhook-timestamp / webhook-signature
+ * @param {string} rawBody - Raw request body
+ * @param {string[]} secrets - Active webhook secrets (several during rotation)
+ * @param {number} toleranceSeconds - Max age of the timestamp (replay protection)
  * @returns {boolean} - True if valid
  */
-function verifyFathomWebhook(signature, body, secret) {
+function verifyFathomWebhook(headers, rawBody, secrets, toleranceSeconds) {
   // If no secret configured, skip verification
-  if (!secret) {
+  if (!secrets || secrets.length === 0) {
     log('warn', 'Fathom webhook secret not configured, skipping verification');
     return true;
   }
 
-  try {
-    const crypto = require('crypto');
-    // Fathom uses format: v1,base64signature
-    const [version, sig] = signature.split(',');
-    const expectedSig = crypto
-      .createHmac('sha256', secret)
-      .update(body)
-      .digest('base64');
-
-    return sig === expectedSig;
-  } catch (error) {
-    log('error', 'Failed to verify Fathom webhook', { error: error.message });
+  const { id, timestamp, signature } = headers;
+  if (!id || !timestamp || !signature || !rawBody) {
+    log('warn', 'Fathom webhook missing signature headers or body');
     return false;
   }
+
+  const ageSeconds = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  if (!(ageSeconds <= toleranceSeconds)) {
+    log('warn', 'Fathom webhook timestamp outside tolerance', { ageSeconds, toleranceSeconds });
+    return false;
+  }
+
+  const signedContent = `${id}.${timestamp}.${rawBody}`;
+  const candidates = signature
+    .split(' ')
+    .map(entry => entry.split(','))
+    .filter(([version, sig]) => version === 'v1' && sig)
+    .map(([, sig]) => Buffer.from(sig, 'base64'));
+
+  for (const secret of secrets) {
+    const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+    const expected = crypto.createHmac('sha256', key).update(signedContent).digest();
+
+    if (candidates.some(sig => sig.length === expected.length && crypto.timingSafeEqual(sig, expected))) {
+      return true;
+    }
+  }
+
+  return false;
 }
 
 module.exports = {
-  processFathomWebhook,
   fetchFathomTranscript,
   verifyFathomWebhook
 };
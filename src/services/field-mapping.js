@@ -0,0 +1,79 @@
+/**
+ * Structured summary fields → custom Attio attributes
+ * config.fieldMapping maps an object (people, companies, deals) to { summaryField: attributeSlug },
+ * e.g. { "people": { "sentiment": "last_call_sentiment" }, "deals": { "budget": "budget" } }
+ */
+
+const { log } = require('./logger');
+const { getAttioClient } = require('./attio-client');
+const { findDealId } = require('./attio-pipeline');
+
+const OBJECTS = ['people', 'companies', 'deals'];
+
+/**
+ * Write mapped summary fields onto the person, company and deal
+ * Best-effort: each object is updated separately and failures are logged, not thrown.
+ * @param {object|null} summaryData - Structured summary (null in markdown mode - nothing to map)
+ * @param {object} records - { personId, companyId }
+ * @param {object} config - Configuration object
+ * @returns {object} - { [object]: [attribute slugs written] }
+ */
+async function applyFieldMapping(summaryData, { personId, companyId = null }, config) {
+  const mapping = config.fieldMapping || {};
+  const written = {};
+  if (!summaryData?.fields || !personId) return written;
+
+  const client = getAttioClient(config.attioApiKey);
+
+  for (const object of OBJECTS) {
+    const values = getMappedValues(summaryData.fields, mapping[object]);
+    if (Object.keys(values).length === 0) continue;
+
+    try {
+      const recordId = await getRecordId(object, { personId, companyId }, config);
+      if (!recordId) {
+        log('info', 'No Attio record to write summary fields to', { object, personId });
+        continue;
+      }
+
+      await client.patch(`/objects/${object}/records/${recordId}`, { data: { values } });
+      written[object] = Object.keys(values);
+      log('info', 'Wrote summary fields to Attio', { object, recordId, attributes: written[object] });
+
+    } catch (error) {
+      log('warn', 'Failed to write summary fields to Attio', {
+        object,
+        personId,
+        status: error.status,
+        error: error.message
+      });
+    }
+  }
+
+  return written;
+}
+
+/**
+ * Attribute values for one object; empty fields are skipped so they never clear existing data
+ * Lists (tools used, objections) are written as comma-separated text.
+ */
+function getMappedValues(fields, objectMapping = {}) {
+  const values = {};
+
+  for (const [field, attribute] of Object.entries(objectMapping)) {
+    let value = fields[field];
+    if (Array.isArray(value)) value = value.join(', ');
+    if (value === null || value === undefined || value === '') continue;
+    values[attribute] = value;
+  }
+
+  return values;
+}
+
+async function getRecordId(object, { personId, companyId }, config) {
+  if (object === 'people') return personId;
+  if (object === 'companies') return companyId;
+  return findDealId(personId, config);
+}
+
+module.exports = { applyFieldMapping };
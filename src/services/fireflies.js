@@ -0,0 +1,109 @@
+/**
+ * Fireflies.ai integration
+ * Transcript fetching (GraphQL API) and webhook signature verification
+ * (the webhook payload is parsed by the Fireflies source adapter, services/sources/fireflies.js)
+ * Docs: https://docs.fireflies.ai
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { log } = require('./logger');
+const { transcriptPollAttempts } = require('./metrics');
+
+const FIREFLIES_API_URL = 'https://api.fireflies.ai/graphql';
+const REQUEST_TIMEOUT_MS = 30000; // a stalled API must not hang the sync
+
+const TRANSCRIPT_QUERY = `
+  query Transcript($transcriptId: String!) {
+    transcript(id: $transcriptId) {
+      id
+      title
+      date
+      duration
+      meeting_link
+      transcript_url
+      organizer_email
+      participants
+      meeting_attendees { displayName email name }
+      sentences { speaker_name text start_time }
+    }
+  }
+`;
+
+/**
+ * Fetch a transcript with its meeting details from the Fireflies API
+ * Fireflies webhooks only carry the meeting ID.
+ * @param {string} meetingId - Fireflies meeting (transcript) ID
+ * @param {string} apiKey - Fireflies API key
+ * @returns {object} - Transcript record: { id, title, date (ms), duration, meeting_link,
+ *                     organizer_email, participants, meeting_attendees, sentences }
+ */
+async function fetchFirefliesTranscript(meetingId, apiKey) {
+  log('info', 'Fetching transcript from Fireflies API', { meetingId });
+
+  try {
+    const response = await axios.post(
+      FIREFLIES_API_URL,
+      { query: TRANSCRIPT_QUERY, variables: { transcriptId: meetingId } },
+      {
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: REQUEST_TIMEOUT_MS
+      }
+    );
+
+    // GraphQL reports errors with a 200 status
+    const { data, errors } = response.data;
+    if (errors?.length) {
+      throw new Error(`Fireflies API error: ${errors[0].message}`);
+    }
+    if (!data?.transcript) {
+      throw new Error(`Fireflies transcript not found: ${meetingId}`);
+    }
+
+    transcriptPollAttempts.inc({ source: 'fireflies', result: 'ready' });
+    return data.transcript;
+
+  } catch (error) {
+    transcriptPollAttempts.inc({ source: 'fireflies', result: 'error' });
+    log('error', 'Failed to fetch Fireflies transcript', {
+      status: error.response?.status,
+      message: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Verify Fireflies webhook signature
+ * The x-hub-signature header holds the hex HMAC-SHA256 of the raw body keyed with the
+ * webhook secret, optionally prefixed with "sha256=".
+ * @param {string} signature - x-hub-signature header
+ * @param {string} rawBody - Raw request body
+ * @param {string} secret - Webhook secret from the Fireflies developer settings
+ * @returns {boolean} - True if valid
+ */
+function verifyFirefliesWebhook(signature, rawBody, secret) {
+  // If no secret configured, skip verification
+  if (!secret) {
+    log('warn', 'Fireflies webhook secret not configured, skipping verification');
+    return true;
+  }
+
+  if (!signature || !rawBody) {
+    log('warn', 'Fireflies webhook missing signature header or body');
+    return false;
+  }
+
+  const provided = Buffer.from(signature.replace(/^sha256=/, '').toLowerCase(), 'utf8');
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(rawBody).digest('hex'), 'utf8');
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+module.exports = {
+  fetchFirefliesTranscript,
+  verifyFirefliesWebhook
+};
@@ -8,6 +8,10 @@ const { log } = require('./logger');
 const { getConfig } = require('./config');
 const { addPendingLead, normalizeLinkedInUrl } = require('./heyreach-store');
 const { findPersonByLinkedIn, createConversationNote } = require('./attio');
+const { enterPipeline } = require('./attio-pipeline');
+const { getWorkspaceConfig } = require('./attio-workspaces');
+const { recordSyncOutcome } = require('./sync-history');
+const { stepFailures, syncsCompleted } = require('./metrics');
 
 /**
  * Handle incoming HeyReach webhook
@@ -16,6 +20,7 @@ const { findPersonByLinkedIn, createConversationNote } = require('./attio');
  */
 async function handleHeyReachWebhook(payload) {
   const config = getConfig();
+  let lead = null;
   
   try {
     log('info', 'Processing HeyReach webhook', { 
@@ -25,7 +30,7 @@ async function handleHeyReachWebhook(payload) {
 
     // Extract lead data from HeyReach payload
     // HeyReach webhook structure may vary - handle common formats
-    const lead = extractLeadData(payload);
+    lead = extractLeadData(payload);
     
     if (!lead.linkedinUrl) {
       log('warn', 'HeyReach webhook missing LinkedIn URL', { payload });
@@ -39,18 +44,24 @@ async function handleHeyReachWebhook(payload) {
     });
 
     // Store lead for Clay enrichment correlation
-    const normalizedUrl = addPendingLead(lead);
+    const normalizedUrl = await addPendingLead(lead);
     log('info', 'Added lead to pending store', { linkedinUrl: normalizedUrl });
 
-    // Also try to find existing Attio person and add conversation note immediately
-    // (Clay enrichment will update email/phone separately)
-    if (lead.conversation) {
+    // Also try to find existing Attio person and add conversation note / pipeline entry immediately
+    // (Clay enrichment will update email/phone separately, and does both for new people)
+    // The campaign decides which Attio workspace the lead belongs to
+    const workspaceConfig = getWorkspaceConfig(config, { source: 'heyreach', campaign: lead.campaign });
+    let pipeline = null;
+    if (lead.conversation || hasPipeline(workspaceConfig)) {
       try {
-        const personId = await findPersonByLinkedIn(lead.linkedinUrl, config);
+        const personId = await findPersonByLinkedIn(lead.linkedinUrl, workspaceConfig);
         
         if (personId) {
-          log('info', 'Found existing Attio person, adding conversation note', { personId });
-          await createConversationNote(personId, lead, config);
+          if (lead.conversation) {
+            log('info', 'Found existing Attio person, adding conversation note', { personId });
+            await createConversationNote(personId, lead, workspaceConfig);
+          }
+          pipeline = await enterPipeline(personId, lead, workspaceConfig);
         } else {
           log('info', 'No existing Attio person found, note will be added after Clay enrichment');
         }
@@ -62,9 +73,18 @@ async function handleHeyReachWebhook(payload) {
       }
     }
 
+    syncsCompleted.inc({ source: 'heyreach', account: 'default' });
+    await recordSyncOutcome({
+      source: 'heyreach',
+      status: 'success',
+      linkedinUrl: normalizedUrl
+    });
+
     return { 
       success: true, 
       linkedinUrl: normalizedUrl,
+      workspace: workspaceConfig.attioWorkspace,
+      pipeline,
       message: 'Lead stored, awaiting Clay enrichment'
     };
 
@@ -73,10 +93,24 @@ async function handleHeyReachWebhook(payload) {
       error: error.message,
       stack: error.stack
     });
+    stepFailures.inc({ source: 'heyreach', account: 'default', step: 'process' });
+    await recordSyncOutcome({
+      source: 'heyreach',
+      status: 'failed',
+      linkedinUrl: lead?.linkedinUrl,
+      error: error.message
+    });
     throw error;
   }
 }
 
+/**
+ * Whether any pipeline target is configured
+ */
+function hasPipeline(config) {
+  return !!config.pipeline.target || config.pipeline.rules.some(rule => rule.target);
+}
+
 /**
  * Extract lead data from various HeyReach payload formats
  * @param {object} payload - HeyReach webhook payload
@@ -121,7 +155,8 @@ function extractLeadData(payload) {
     title: lead.title || lead.job_title || lead.position || '',
     conversation: conversation,
     taggedAt: payload.tagged_at || payload.timestamp || new Date().toISOString(),
-    tag: payload.tag || payload.label || 'interested'
+    tag: payload.tag || payload.label || 'interested',
+    campaign: payload.campaign?.name || payload.campaign_name || lead.campaign_name || ''
   };
 }
 
@@ -1,11 +1,14 @@
 /**
  * HeyReach Lead Store
  * Stores lead info keyed by LinkedIn URL for Clay enrichment correlation
+ * Backed by the configured storage backend (memory, file or Redis)
  */
 
-// In-memory store for leads pending enrichment
-// Key: normalized LinkedIn URL, Value: lead data
-const pendingLeads = new Map();
+const { getStore } = require('./storage');
+
+// Leads pending enrichment - key: normalized LinkedIn URL, value: lead data
+// Leads don't expire; they are removed when Clay enrichment picks them up
+const NAMESPACE = 'pending_leads';
 
 /**
  * Normalize LinkedIn URL to consistent format
@@ -37,11 +40,11 @@ function normalizeLinkedInUrl(linkedinUrl) {
  * @param {string} lead.conversation - Full conversation transcript
  * @param {string} lead.taggedAt - When lead was tagged as interested
  */
-function addPendingLead(lead) {
+async function addPendingLead(lead) {
   const normalizedUrl = normalizeLinkedInUrl(lead.linkedinUrl);
   if (!normalizedUrl) return null;
   
-  pendingLeads.set(normalizedUrl, {
+  await getStore().set(NAMESPACE, normalizedUrl, {
     ...lead,
     linkedinUrl: normalizedUrl,
     addedAt: new Date().toISOString()
@@ -55,15 +58,21 @@ function addPendingLead(lead) {
  * @param {string} linkedinUrl - LinkedIn profile URL
  * @returns {object|null} - Lead data or null if not found
  */
-function getPendingLead(linkedinUrl) {
+async function getPendingLead(linkedinUrl) {
   const normalizedUrl = normalizeLinkedInUrl(linkedinUrl);
   if (!normalizedUrl) return null;
   
-  const lead = pendingLeads.get(normalizedUrl);
-  if (lead) {
-    pendingLeads.delete(normalizedUrl);
-  }
-  return lead;
+  return getStore().take(NAMESPACE, normalizedUrl);
+}
+
+/**
+ * Get a pending lead without removing it
+ * @param {string} linkedinUrl - LinkedIn profile URL
+ * @returns {object|null} - Lead data or null if not found
+ */
+async function peekPendingLead(linkedinUrl) {
+  const normalizedUrl = normalizeLinkedInUrl(linkedinUrl);
+  return normalizedUrl ? getStore().get(NAMESPACE, normalizedUrl) : null;
 }
 
 /**
@@ -71,23 +80,49 @@ function getPendingLead(linkedinUrl) {
  * @param {string} linkedinUrl - LinkedIn profile URL
  * @returns {boolean}
  */
-function hasPendingLead(linkedinUrl) {
+async function hasPendingLead(linkedinUrl) {
+  const normalizedUrl = normalizeLinkedInUrl(linkedinUrl);
+  return normalizedUrl ? (await getStore().get(NAMESPACE, normalizedUrl)) !== null : false;
+}
+
+/**
+ * List pending leads, optionally filtered by LinkedIn URL
+ * @param {object} filters - { linkedinUrl }
+ * @returns {object[]} - Lead records
+ */
+async function listPendingLeads({ linkedinUrl } = {}) {
+  const normalizedUrl = normalizeLinkedInUrl(linkedinUrl);
+  const entries = await getStore().list(NAMESPACE);
+  return entries
+    .map(entry => entry.value)
+    .filter(lead => !normalizedUrl || lead.linkedinUrl === normalizedUrl);
+}
+
+/**
+ * Remove a pending lead without processing it
+ * @param {string} linkedinUrl - LinkedIn profile URL
+ * @returns {boolean} - True if a lead was removed
+ */
+async function removePendingLead(linkedinUrl) {
   const normalizedUrl = normalizeLinkedInUrl(linkedinUrl);
-  return normalizedUrl ? pendingLeads.has(normalizedUrl) : false;
+  return normalizedUrl ? getStore().delete(NAMESPACE, normalizedUrl) : false;
 }
 
 /**
  * Get count of pending leads
  * @returns {number}
  */
-function getPendingCount() {
-  return pendingLeads.size;
+async function getPendingCount() {
+  return getStore().count(NAMESPACE);
 }
 
 module.exports = {
   normalizeLinkedInUrl,
   addPendingLead,
   getPendingLead,
+  peekPendingLead,
   hasPendingLead,
+  listPendingLeads,
+  removePendingLead,
   getPendingCount
 };
@@ -0,0 +1,301 @@
+/**
+ * Durable job queue
+ * Persists scheduled work to a JSON file so pending syncs survive restarts and deploys.
+ * Jobs run one at a time; a handler can ask to be re-run later via retryLater().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { log } = require('./logger');
+
+const RETRY = Symbol('retryLater');
+const FINISHED_RETENTION_MS = 1000 * 60 * 60 * 24 * 7; // keep finished jobs for 7 days
+
+const handlers = new Map(); // key: job type -> async handler(payload, job)
+const jobs = new Map();     // key: job id -> job record
+
+let storePath = null;
+let jobTimeoutMs = null;
+let timer = null;
+let ticking = false;
+
+/**
+ * Register the handler for a job type
+ * Handlers receive (payload, job) and either return a result, return retryLater(), or throw.
+ * @param {string} type - Job type, e.g. 'calendly.sync'
+ * @param {function} handler - Async handler
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Ask the queue to run the current job again after a delay
+ * @param {number} delayMs - Delay before the next attempt
+ * @param {string} reason - Why the job is being rescheduled (for logs)
+ * @returns {object} - Marker to return from a job handler
+ */
+function retryLater(delayMs, reason) {
+  return { [RETRY]: true, delayMs, reason };
+}
+
+/**
+ * Add a job to the queue
+ * If a job with the same id is already pending or running, the existing job is returned.
+ * @param {string} type - Job type
+ * @param {object} payload - JSON-serializable job data
+ * @param {object} options - { id, runAt }
+ * @returns {object} - The job record
+ */
+function enqueueJob(type, payload, options = {}) {
+  const id = options.id || crypto.randomUUID();
+  const existing = jobs.get(id);
+  if (existing && (existing.state === 'pending' || existing.state === 'running')) {
+    log('info', 'Job already queued', { jobId: id, type });
+    return existing;
+  }
+
+  const now = new Date().toISOString();
+  const runAt = options.runAt ? new Date(options.runAt) : new Date();
+  const job = {
+    id,
+    type,
+    payload,
+    state: 'pending',
+    runAt: isNaN(runAt) ? now : runAt.toISOString(),
+    attempts: 0,
+    lastError: null,
+    result: null,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  jobs.set(id, job);
+  persist();
+  log('info', 'Job enqueued', { jobId: id, type, runAt: job.runAt });
+  return job;
+}
+
+/**
+ * Get a job by id
+ * @param {string} id - Job id
+ * @returns {object|null}
+ */
+function getJob(id) {
+  return jobs.get(id) || null;
+}
+
+/**
+ * List jobs, optionally filtered by type and state
+ * @param {object} filters - { type, state }
+ * @returns {object[]} - Job records ordered by runAt
+ */
+function listJobs({ type, state } = {}) {
+  return [...jobs.values()]
+    .filter(job => (!type || job.type === type) && (!state || job.state === state))
+    .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+}
+
+/**
+ * Cancel a pending job so it never runs
+ * A job that is already running can't be interrupted and is left alone.
+ * @param {string} id - Job id
+ * @param {string} reason - Why the job was canceled (for logs)
+ * @returns {boolean} - True if a pending job was canceled
+ */
+function cancelJob(id, reason) {
+  const job = jobs.get(id);
+  if (!job || job.state !== 'pending') return false;
+
+  job.state = 'canceled';
+  job.lastError = reason || null;
+  job.updatedAt = new Date().toISOString();
+  persist();
+  log('info', 'Job canceled', { jobId: id, reason });
+  return true;
+}
+
+/**
+ * Load persisted jobs and start processing due jobs
+ * Jobs left in 'running' state by a crash are picked up again.
+ * @param {object} options - { storePath, pollIntervalMs, jobTimeoutMs }
+ *   jobTimeoutMs fails a run that takes longer, so one stalled job can't hold up the rest
+ */
+function startJobWorker(options) {
+  storePath = path.resolve(options.storePath);
+  jobTimeoutMs = options.jobTimeoutMs || null;
+  loadJobs();
+
+  let recovered = 0;
+  for (const job of jobs.values()) {
+    if (job.state === 'running') {
+      job.state = 'pending';
+      recovered++;
+    }
+  }
+  if (recovered > 0) persist();
+
+  const pending = [...jobs.values()].filter(j => j.state === 'pending').length;
+  log('info', 'Job worker started', { storePath, pending, recovered });
+
+  timer = setInterval(tick, options.pollIntervalMs);
+  tick();
+}
+
+/**
+ * Stop the polling timer (jobs stay persisted)
+ */
+function stopJobWorker() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Run every job that is due, one after another
+ */
+async function tick() {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const now = Date.now();
+    const due = [...jobs.values()]
+      .filter(j => j.state === 'pending' && new Date(j.runAt).getTime() <= now)
+      .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+
+    for (const job of due) {
+      await runJob(job);
+    }
+
+    prune(now);
+  } catch (error) {
+    // setInterval drops the promise, so an error here would be an unhandled rejection
+    log('error', 'Job queue tick failed', { error: error.message });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Run a single job and record the outcome
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    log('warn', 'No handler registered for job type', { jobId: job.id, type: job.type });
+    return;
+  }
+
+  job.state = 'running';
+  job.attempts += 1;
+  job.updatedAt = new Date().toISOString();
+  persist();
+
+  try {
+    const outcome = await withTimeout(handler(job.payload, job), jobTimeoutMs);
+
+    if (outcome && outcome[RETRY]) {
+      job.state = 'pending';
+      job.runAt = new Date(Date.now() + outcome.delayMs).toISOString();
+      log('info', 'Job rescheduled', {
+        jobId: job.id,
+        attempt: job.attempts,
+        runAt: job.runAt,
+        reason: outcome.reason
+      });
+    } else {
+      job.state = 'completed';
+      job.result = outcome === undefined ? null : outcome;
+    }
+  } catch (error) {
+    job.state = 'failed';
+    job.lastError = error.message;
+    log('error', 'Job failed', { jobId: job.id, type: job.type, error: error.message });
+  }
+
+  job.updatedAt = new Date().toISOString();
+  persist();
+}
+
+/**
+ * Reject when a handler runs longer than timeoutMs (the handler itself can't be stopped
+ * and finishes in the background; its outcome is ignored)
+ */
+function withTimeout(promise, timeoutMs) {
+  if (!timeoutMs) return promise;
+
+  let timeout;
+  const expired = new Promise((resolve, reject) => {
+    timeout = setTimeout(() => reject(new Error(`Job timed out after ${timeoutMs} ms`)), timeoutMs);
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timeout));
+}
+
+/**
+ * Drop finished jobs older than the retention window
+ */
+function prune(now = Date.now()) {
+  let removed = 0;
+  for (const [id, job] of jobs.entries()) {
+    const finished = ['completed', 'failed', 'canceled'].includes(job.state);
+    if (finished && now - new Date(job.updatedAt).getTime() > FINISHED_RETENTION_MS) {
+      jobs.delete(id);
+      removed++;
+    }
+  }
+  if (removed > 0) persist();
+}
+
+function loadJobs() {
+  jobs.clear();
+  if (!fs.existsSync(storePath)) return;
+
+  try {
+    const records = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    for (const job of records) jobs.set(job.id, job);
+  } catch (error) {
+    // Move the file aside so the next persist() doesn't overwrite the jobs it still holds
+    jobs.clear();
+    const corruptPath = `${storePath}.corrupt-${Date.now()}`;
+    try {
+      fs.renameSync(storePath, corruptPath);
+    } catch (renameError) {
+      log('error', 'Failed to move corrupt job queue aside', { storePath, error: renameError.message });
+      throw error;
+    }
+    log('error', 'Failed to load job queue, starting empty', { storePath, corruptPath, error: error.message });
+  }
+}
+
+/**
+ * Write all jobs to disk (temp file + rename so a crash never leaves a partial file)
+ * A failed write (disk full, read-only volume) is logged and the jobs stay in memory;
+ * the next successful write persists them.
+ * @returns {boolean} - True if written
+ */
+function persist() {
+  if (!storePath) return false;
+
+  try {
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tmpPath = `${storePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify([...jobs.values()], null, 2));
+    fs.renameSync(tmpPath, storePath);
+    return true;
+  } catch (error) {
+    log('error', 'Failed to persist job queue', { storePath, error: error.message });
+    return false;
+  }
+}
+
+module.exports = {
+  registerJobHandler,
+  retryLater,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  startJobWorker,
+  stopJobWorker
+};
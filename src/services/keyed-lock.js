@@ -0,0 +1,34 @@
+/**
+ * In-process keyed lock
+ * Serializes async work per key (e.g. one Attio upsert per email at a time),
+ * so concurrent webhooks for the same identity can't interleave.
+ */
+
+const tails = new Map(); // key: lock key -> promise that settles when the last holder finishes
+
+/**
+ * Run fn while holding the lock for key
+ * Callers for the same key run one after another, in arrival order.
+ * @param {string} key - Lock key
+ * @param {function} fn - Async function to run
+ * @returns {*} - fn's result
+ */
+async function withLock(key, fn) {
+  const previous = tails.get(key) || Promise.resolve();
+
+  let release;
+  const current = new Promise(resolve => { release = resolve; });
+  const tail = previous.then(() => current);
+  tails.set(key, tail);
+
+  await previous;
+  try {
+    return await fn();
+  } finally {
+    release();
+    // Last holder cleans up so the map doesn't grow forever
+    if (tails.get(key) === tail) tails.delete(key);
+  }
+}
+
+module.exports = { withLock };
@@ -0,0 +1,60 @@
+/**
+ * Anthropic Messages API provider
+ * Docs: https://docs.anthropic.com/en/api/messages
+ */
+
+const axios = require('axios');
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create an Anthropic provider
+ * @param {object} options - { name, apiKey, model, timeoutMs }
+ * @returns {object} - { name, model, complete(request) }
+ */
+function createAnthropicProvider({ name = 'anthropic', apiKey, model, timeoutMs }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': ANTHROPIC_VERSION
+  };
+
+  async function complete({ system, prompt, temperature, maxTokens, responseFormat = null }) {
+    const messages = [{ role: 'user', content: prompt }];
+    let systemPrompt = system;
+
+    // No response_format here: describe the JSON and prefill the opening brace instead
+    if (responseFormat) {
+      systemPrompt += responseFormat.type === 'json_schema'
+        ? `\n\nRespond with only a JSON object matching this JSON schema:\n${JSON.stringify(responseFormat.schema)}`
+        : '\n\nRespond with only a JSON object.';
+      messages.push({ role: 'assistant', content: '{' });
+    }
+
+    const response = await axios.post(
+      ANTHROPIC_URL,
+      { model, system: systemPrompt, temperature, max_tokens: maxTokens, messages },
+      { headers, timeout: timeoutMs }
+    );
+
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    const usage = response.data.usage || {};
+
+    return {
+      content: text ? (responseFormat ? `{${text}` : text) : null,
+      status: response.status,
+      usage: {
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0
+      }
+    };
+  }
+
+  return { name, model, complete };
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,26 @@
+/**
+ * Azure OpenAI provider (a chat model deployment)
+ * Docs: https://learn.microsoft.com/azure/ai-services/openai/reference
+ */
+
+const { toChatBody, postChatCompletion } = require('./openai');
+
+/**
+ * Create an Azure OpenAI provider
+ * @param {object} options - { name, apiKey, endpoint, deployment, apiVersion, timeoutMs }
+ * @returns {object} - { name, model, complete(request) }
+ */
+function createAzureOpenAIProvider({ name = 'azure-openai', apiKey, endpoint, deployment, apiVersion, timeoutMs }) {
+  const url = `${endpoint.replace(/\/+$/, '')}/openai/deployments/${encodeURIComponent(deployment)}` +
+    `/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
+  const headers = { 'Content-Type': 'application/json', 'api-key': apiKey };
+
+  return {
+    name,
+    // The deployment decides the model
+    model: deployment,
+    complete: request => postChatCompletion(url, headers, toChatBody(request), timeoutMs)
+  };
+}
+
+module.exports = { createAzureOpenAIProvider };
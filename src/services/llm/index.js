@@ -0,0 +1,152 @@
+/**
+ * LLM provider layer
+ * Summaries can run on OpenAI, Azure OpenAI, Anthropic or any OpenAI-compatible server.
+ * The provider is chosen globally (LLM_PROVIDER) or per source / account
+ * (LLM_PROVIDER_<SOURCE>[_<ACCOUNT>]), with an optional fallback used when the primary errors.
+ */
+
+const { log } = require('../logger');
+const { llmRequestDuration, llmTokens, llmFallbacks } = require('../metrics');
+const { createOpenAIProvider } = require('./openai');
+const { createAzureOpenAIProvider } = require('./azure-openai');
+const { createAnthropicProvider } = require('./anthropic');
+
+// key: provider name -> factory(options)
+const PROVIDER_FACTORIES = {
+  openai: createOpenAIProvider,
+  'azure-openai': createAzureOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  'openai-compatible': createOpenAIProvider
+};
+
+// key: provider name -> settings it can't run without
+const REQUIRED_PROVIDER_SETTINGS = {
+  openai: ['apiKey'],
+  'azure-openai': ['apiKey', 'endpoint', 'deployment'],
+  anthropic: ['apiKey'],
+  'openai-compatible': ['baseUrl']
+};
+
+/**
+ * Get the LLM client for a source / account
+ * @param {object} config - Configuration object
+ * @param {object} scope - { source, accountId, maxCalls } e.g. { source: 'fathom', accountId: 'datalabs' }
+ *   maxCalls caps the provider calls made through this client, fallback calls included
+ *   (one client per meeting sync, see meeting-pipeline.js); null for no cap
+ * @returns {object} - { provider, complete(request) }
+ *   request: { system, prompt, temperature, maxTokens, responseFormat }
+ *   responseFormat: null | { type: 'json_object' } | { type: 'json_schema', name, schema }
+ *   complete() resolves to the response text (or null when empty)
+ */
+function getLlm(config, { source = null, accountId = null, maxCalls = null } = {}) {
+  const providerName = resolveProviderName(config.llm, source, accountId);
+  const primary = createProvider(providerName, config.llm);
+
+  const fallbackName = config.llm.fallbackProvider;
+  const fallback = fallbackName && fallbackName !== providerName
+    ? createProvider(fallbackName, config.llm)
+    : null;
+
+  let calls = 0;
+  const hasCallsLeft = () => !maxCalls || calls < maxCalls;
+
+  async function complete(request) {
+    if (!hasCallsLeft()) {
+      throw new Error(`LLM call limit reached (${maxCalls} calls per meeting)`);
+    }
+
+    try {
+      calls++;
+      return await callProvider(primary, request);
+    } catch (error) {
+      if (!fallback) throw error;
+      if (!hasCallsLeft()) {
+        log('warn', 'LLM provider failed, call limit leaves no room for the fallback', {
+          provider: primary.name,
+          maxCalls
+        });
+        throw error;
+      }
+
+      calls++;
+      log('warn', 'LLM provider failed, using fallback', {
+        provider: primary.name,
+        fallback: fallback.name,
+        status: error.response?.status,
+        error: error.message
+      });
+      llmFallbacks.inc({ provider: primary.name, fallback: fallback.name });
+      return callProvider(fallback, request);
+    }
+  }
+
+  return { provider: providerName, complete };
+}
+
+/**
+ * Provider name for a scope: source + account override, then source override, then the default
+ */
+function resolveProviderName(llmConfig, source, accountId) {
+  const overrides = llmConfig.providerOverrides || {};
+  return (source && accountId && overrides[`${source}:${accountId}`]) ||
+    (source && overrides[source]) ||
+    llmConfig.provider;
+}
+
+/**
+ * Settings a provider is missing (checked at startup for every provider a source can use)
+ * @param {string} name - Provider name
+ * @param {object} llmConfig - config.llm
+ * @returns {string[]} - Problems, e.g. ['apiKey is not set']
+ */
+function checkProvider(name, llmConfig) {
+  if (!PROVIDER_FACTORIES[name]) {
+    return [`unknown provider (expected one of ${Object.keys(PROVIDER_FACTORIES).join(', ')})`];
+  }
+
+  const settings = llmConfig.providers[name] || {};
+  return (REQUIRED_PROVIDER_SETTINGS[name] || [])
+    .filter(setting => !settings[setting])
+    .map(setting => `${setting} is not set`);
+}
+
+function createProvider(name, llmConfig) {
+  const factory = PROVIDER_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${name} (expected one of ${Object.keys(PROVIDER_FACTORIES).join(', ')})`);
+  }
+  return factory({ name, timeoutMs: llmConfig.timeoutMs, ...llmConfig.providers[name] });
+}
+
+/**
+ * Call one provider, recording latency and token metrics
+ */
+async function callProvider(provider, request) {
+  const labels = { provider: provider.name, model: provider.model || 'unknown' };
+  const endTimer = llmRequestDuration.startTimer(labels);
+  let status = 'error';
+
+  try {
+    const result = await provider.complete(request);
+
+    status = result.status;
+    llmTokens.inc({ ...labels, type: 'prompt' }, result.usage.promptTokens);
+    llmTokens.inc({ ...labels, type: 'completion' }, result.usage.completionTokens);
+
+    return result.content;
+
+  } catch (error) {
+    status = error.response?.status || status;
+    log('error', 'LLM API error', {
+      ...labels,
+      status: error.response?.status,
+      error: error.message,
+      data: error.response?.data
+    });
+    throw error;
+  } finally {
+    endTimer({ status });
+  }
+}
+
+module.exports = { getLlm, resolveProviderName, checkProvider, PROVIDER_NAMES: Object.keys(PROVIDER_FACTORIES) };
@@ -0,0 +1,73 @@
+/**
+ * OpenAI chat completions provider
+ * Also used for any OpenAI-compatible server (Ollama, vLLM, LM Studio, ...) via baseUrl.
+ * Docs: https://platform.openai.com/docs/api-reference/chat
+ */
+
+const axios = require('axios');
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) provider
+ * @param {object} options - { name, apiKey, model, baseUrl, timeoutMs }
+ * @returns {object} - { name, model, complete(request) }
+ */
+function createOpenAIProvider({ name = 'openai', apiKey, model, baseUrl = OPENAI_BASE_URL, timeoutMs }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  const headers = { 'Content-Type': 'application/json' };
+  // Local servers usually don't need a key
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+  return {
+    name,
+    model,
+    complete: request => postChatCompletion(url, headers, { model, ...toChatBody(request) }, timeoutMs)
+  };
+}
+
+/**
+ * Build the chat completions body shared by OpenAI-style providers
+ * @param {object} request - { system, prompt, temperature, maxTokens, responseFormat }
+ */
+function toChatBody({ system, prompt, temperature, maxTokens, responseFormat = null }) {
+  const body = {
+    temperature,
+    max_tokens: maxTokens,
+    messages: [
+      { role: 'system', content: system },
+      { role: 'user', content: prompt }
+    ]
+  };
+
+  if (responseFormat?.type === 'json_schema') {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: responseFormat.name, strict: true, schema: responseFormat.schema }
+    };
+  } else if (responseFormat?.type === 'json_object') {
+    body.response_format = { type: 'json_object' };
+  }
+
+  return body;
+}
+
+/**
+ * POST a chat completion and normalize the response
+ * @returns {object} - { content, status, usage: { promptTokens, completionTokens } }
+ */
+async function postChatCompletion(url, headers, body, timeoutMs) {
+  const response = await axios.post(url, body, { headers, timeout: timeoutMs });
+  const usage = response.data.usage || {};
+
+  return {
+    content: response.data.choices?.[0]?.message?.content || null,
+    status: response.status,
+    usage: {
+      promptTokens: usage.prompt_tokens || 0,
+      completionTokens: usage.completion_tokens || 0
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider, toChatBody, postChatCompletion };
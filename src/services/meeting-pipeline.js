@@ -0,0 +1,201 @@
+/**
+ * Shared meeting pipeline
+ * Orchestrates the flow for every transcript source: source payload → Meeting → LLM summary → Attio
+ * A source adapter (services/sources) only turns its payload into a Meeting; correlation,
+ * summarization, Attio writes, metrics and failure handling all happen here.
+ */
+
+const { getConfig } = require('./config');
+const { log } = require('./logger');
+const { getTranscriptText, getHost, getGuest } = require('./meeting');
+const { summarizeTranscript } = require('./summarizer');
+const { getLlm } = require('./llm');
+const { upsertPersonAndNote } = require('./attio');
+const { advancePipeline } = require('./attio-pipeline');
+const { syncActionItems } = require('./action-items');
+const { applyFieldMapping } = require('./field-mapping');
+const { sendSlackError } = require('./slack');
+const { findMatch } = require('./meeting-store');
+const { getCompanyDomain } = require('./email-domains');
+const { getWorkspaceConfig } = require('./attio-workspaces');
+const { recordFailure } = require('./dead-letter');
+const { recordSyncOutcome } = require('./sync-history');
+const { stepFailures, syncsCompleted } = require('./metrics');
+
+/**
+ * Sync one meeting from a source to Attio
+ * @param {object} adapter - Source adapter (see services/sources)
+ * @param {object} input - Source payload (webhook body or job data)
+ * @param {object} options
+ * @param {string} options.accountId - Source account (e.g. a Fathom account); null for the default
+ * @param {object} options.job - Job record when running as a queued job (attempts is 1-based)
+ * @param {object} options.resume - { meeting, summary, summaryData } already produced by a failed run
+ * @param {string} options.failureId - Dead-letter id to record a failure under (a retried dead letter's own id)
+ * @returns {object|null} - Attio result, or null when the transcript isn't ready yet
+ */
+async function syncMeeting(adapter, input, { accountId = null, job = null, resume = {}, failureId = null } = {}) {
+  const config = getConfig();
+  const source = adapter.name;
+  const account = accountId || 'default';
+  let meeting = resume.meeting || null;
+  let summary = resume.summary || null;
+  let summaryData = resume.summaryData || null;
+  let currentStep = 'parse_payload';
+
+  try {
+    // Every call for this meeting - chunk notes, summary, action items, fallbacks - counts against the cap
+    const llm = getLlm(config, { source, accountId, maxCalls: config.llm.maxCallsPerMeeting });
+
+    // Step 1: Parse the source payload into a Meeting (fetches the transcript if needed)
+    if (!meeting) {
+      currentStep = adapter.parseStep;
+      meeting = await adapter.toMeeting(input, { accountId, job, config });
+      if (!meeting) return null;
+
+      if (!getTranscriptText(meeting)) {
+        throw new Error(`No transcript available from ${source}`);
+      }
+    }
+
+    const hostEmail = getHost(meeting)?.email || null;
+    const meetingDate = (meeting.startTime || new Date().toISOString()).split('T')[0];
+
+    // Correlate with a Calendly booking (best-effort; its event type can pick the prompt template,
+    // and it names the guest when the source doesn't know who attended)
+    const matched = adapter.correlate
+      ? await findMatch({
+        meetingUrl: meeting.meetingUrl,
+        guestEmail: getGuest(meeting)?.email || null,
+        hostEmail,
+        startTime: meeting.startTime
+      })
+      : null;
+
+    if (!getGuest(meeting) && matched?.guestEmail) {
+      meeting.attendees.push({ name: matched.guestName || null, email: matched.guestEmail.toLowerCase(), role: 'guest' });
+    }
+    if (!getGuest(meeting)) {
+      throw new Error(`No guest email found in ${source} meeting`);
+    }
+
+    const guest = getGuest(meeting);
+    const guestName = guest.name || 'Unknown Attendee';
+
+    log('info', 'Meeting parsed', {
+      source,
+      account,
+      meetingId: meeting.externalId,
+      guestEmail: guest.email,
+      segments: meeting.transcript.segments.length
+    });
+
+    // Step 2: Generate AI summary
+    if (!summary) {
+      currentStep = 'generate_summary';
+      log('info', 'Generating AI summary...', { source });
+      ({ summary, summaryData } = await summarizeTranscript(getTranscriptText(meeting), config, llm, {
+        source,
+        accountId,
+        guestName,
+        guestEmail: guest.email,
+        company: getCompanyDomain(guest.email, config),
+        meetingTitle: meeting.title,
+        meetingDate,
+        eventType: meeting.eventType || matched?.eventType,
+        hostEmail
+      }));
+
+      log('info', 'Summary generated', { length: summary.length });
+    }
+
+    const note = adapter.correlate ? `${summary}\n\n---\n${getCorrelationNote(matched)}` : summary;
+
+    // Step 3: Upsert to Attio (the workspace that owns the source account / host, if any)
+    currentStep = 'attio_upsert';
+    log('info', 'Upserting to Attio...');
+    const workspaceConfig = getWorkspaceConfig(config, { source, accountId, hostEmail });
+    const result = await upsertPersonAndNote(guest.email, guestName, note, workspaceConfig);
+
+    log('info', 'Successfully synced meeting to Attio', {
+      personId: result.personId,
+      personCreated: result.created,
+      noteId: result.noteId,
+      companyId: result.companyId,
+      workspace: workspaceConfig.attioWorkspace,
+      guestEmail: guest.email,
+      source,
+      account
+    });
+
+    // Steps 4-6: Pipeline stage, summary fields and action item tasks (best-effort)
+    currentStep = 'advance_pipeline';
+    await advancePipeline(result.personId, workspaceConfig.pipeline.callStage, workspaceConfig);
+
+    currentStep = 'field_mapping';
+    await applyFieldMapping(summaryData, result, workspaceConfig);
+
+    currentStep = 'action_items';
+    result.taskIds = await syncActionItems({
+      meetingKey: meeting.externalId ? adapter.getMeetingKey(meeting) : null,
+      summary,
+      personId: result.personId,
+      hostEmail,
+      meetingDate,
+      actionItems: summaryData?.action_items,
+      llm
+    }, workspaceConfig);
+
+    syncsCompleted.inc({ source, account });
+    await recordSyncOutcome({
+      source,
+      status: 'success',
+      email: guest.email,
+      personId: result.personId,
+      noteId: result.noteId
+    });
+
+    return result;
+
+  } catch (error) {
+    log('error', `${source} sync failed at step: ${currentStep}`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    // Send Slack notification if configured
+    await sendSlackError(currentStep, error, config);
+
+    stepFailures.inc({ source, account, step: currentStep });
+
+    // Keep what we already have so a retry can resume from the failed step
+    await recordFailure({
+      id: failureId || adapter.getFailureId(input, accountId),
+      source: adapter.deadLetterSource,
+      accountId,
+      payload: input,
+      failedStep: currentStep,
+      error,
+      context: { meeting, summary, summaryData }
+    });
+    await recordSyncOutcome({
+      source,
+      status: 'failed',
+      email: meeting ? getGuest(meeting)?.email : null,
+      failedStep: currentStep,
+      error: error.message
+    });
+
+    throw error;
+  }
+}
+
+/**
+ * Footer for the Attio note saying which Calendly booking the meeting was matched to
+ */
+function getCorrelationNote(matched) {
+  return matched
+    ? `Matched Calendly event: ${matched.eventUuid}\nMeeting URL: ${matched.meetingUrl || 'n/a'}\nStart: ${matched.startTime || 'n/a'}`
+    : 'No Calendly match found';
+}
+
+module.exports = { syncMeeting };
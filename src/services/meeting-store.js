@@ -1,54 +1,143 @@
 /**
- * Lightweight in-memory store for Calendly bookings to match with Fathom webhooks.
- * Not persisted; intended for short-lived correlation within ~24h.
+ * Store for Calendly bookings to match with recorded meetings (Fathom, Fireflies, tl;dv, Zoom).
+ * Backed by the configured storage backend (memory, file or Redis); a booking is kept until
+ * 24h after the meeting ends, so recordings that arrive late can still be matched.
  */
 
-const bookings = new Map(); // key: eventUuid -> record
-const TTL_MS = 1000 * 60 * 60 * 24; // 24 hours
+const { getStore } = require('./storage');
+const { correlationLookups } = require('./metrics');
+
+const NAMESPACE = 'bookings'; // key: inviteeUuid -> record
+const TTL_MS = 1000 * 60 * 60 * 24; // 24 hours past the meeting's end (see getBookingTtl)
+const MATCH_WINDOW_MS = 15 * 60 * 1000; // a recording starts within ±15 minutes of its booking
+
+/**
+ * Add a booking record from Calendly (one per invitee, a group event has several).
+ * @param {object} record - { inviteeUuid, eventUuid, meetingUrl, startTime, endTime, guestEmail, guestName, hostEmail, eventType }
+ */
+async function addBooking(record) {
+  await getStore().set(NAMESPACE, record.inviteeUuid, { ...record, createdAt: Date.now() }, getBookingTtl(record));
+}
+
+/**
+ * Time to keep a booking: until TTL_MS after the meeting ends - a meeting booked days ahead
+ * must still be there when its recording arrives - and never less than TTL_MS from now
+ */
+function getBookingTtl(record) {
+  const endMs = new Date(record.endTime).getTime();
+  if (!record.endTime || Number.isNaN(endMs)) return TTL_MS;
+  return Math.max(endMs + TTL_MS - Date.now(), TTL_MS);
+}
+
+/**
+ * Get a booking by Calendly invitee UUID
+ * @param {string} inviteeUuid - Calendly invitee UUID
+ * @returns {object|null}
+ */
+async function getBooking(inviteeUuid) {
+  return getStore().get(NAMESPACE, inviteeUuid);
+}
+
+/**
+ * Remove a booking (canceled or rescheduled meetings must not match later calls)
+ * @param {string} inviteeUuid - Calendly invitee UUID
+ * @returns {boolean} - True if a booking was removed
+ */
+async function removeBooking(inviteeUuid) {
+  return getStore().delete(NAMESPACE, inviteeUuid);
+}
+
+/**
+ * List stored bookings with their expiry, optionally filtered by guest/host email
+ * @param {object} filters - { email }
+ * @returns {object[]} - Booking records with expiresAt
+ */
+async function listBookings({ email } = {}) {
+  const needle = email?.toLowerCase();
+  const entries = await getStore().list(NAMESPACE);
+  return entries
+    .map(({ value, expiresAt }) => ({ ...value, expiresAt }))
+    .filter(rec => !needle ||
+      rec.guestEmail?.toLowerCase() === needle ||
+      rec.hostEmail?.toLowerCase() === needle);
+}
 
 /**
- * Add a booking record from Calendly.
- * @param {object} record - { eventUuid, meetingUrl, startTime, endTime, guestEmail, guestName, hostEmail }
+ * Count stored bookings
+ * @returns {number}
  */
-function addBooking(record) {
-  const now = Date.now();
-  bookings.set(record.eventUuid, { ...record, createdAt: now });
-  cleanup(now);
+async function countBookings() {
+  return getStore().count(NAMESPACE);
 }
 
 /**
- * Find a booking that best matches the incoming Fathom webhook.
+ * Find a booking that best matches an incoming recorded meeting.
  * Matching strategy:
- * 1) Exact meeting URL match (normalized, hash removed) with email alignment.
- * 2) Otherwise, start time within ±15 minutes with email alignment.
+ * 1) Same meeting URL (normalized, hash removed; Zoom links by meeting ID) with email alignment.
+ *    Without a guest email (Zoom recordings don't list attendees) the host must agree and the
+ *    booking must start within ±15 minutes - a Personal Meeting ID link is shared by all of a
+ *    host's bookings, so the link alone doesn't identify one.
+ * 2) Otherwise, start time within ±15 minutes with email alignment (needs the guest email).
+ * When several bookings qualify, the one starting closest to the meeting wins.
  */
-function findMatch({ meetingUrl, guestEmail, hostEmail, startTime }) {
-  const now = Date.now();
-  cleanup(now);
+async function findMatch({ meetingUrl, guestEmail, hostEmail, startTime }) {
+  const match = await findBooking({ meetingUrl, guestEmail, hostEmail, startTime });
+  correlationLookups.inc({ result: match ? 'hit' : 'miss' });
+  return match;
+}
+
+async function findBooking({ meetingUrl, guestEmail, hostEmail, startTime }) {
   if (!meetingUrl && !startTime) return null;
 
-  for (const [, rec] of bookings.entries()) {
-    // URL match
-    if (meetingUrl && rec.meetingUrl && normalizeUrl(rec.meetingUrl) === normalizeUrl(meetingUrl)) {
-      if (emailsAlign(rec, guestEmail, hostEmail)) return rec;
-    }
-
-    // Time proximity match (±15 minutes) with matching guest/host
-    if (startTime && rec.startTime) {
-      const delta = Math.abs(new Date(rec.startTime).getTime() - new Date(startTime).getTime());
-      if (delta <= 15 * 60 * 1000 && emailsAlign(rec, guestEmail, hostEmail)) return rec;
-    }
-  }
+  const records = (await getStore().list(NAMESPACE)).map(entry => entry.value);
+
+  const urlMatches = records.filter(rec =>
+    meetingUrl && rec.meetingUrl && isSameMeeting(rec.meetingUrl, meetingUrl) &&
+    (guestEmail
+      ? emailsAlign(rec, guestEmail, hostEmail)
+      : hostAligns(rec, hostEmail) && startsNear(rec, startTime))
+  );
+  if (urlMatches.length > 0) return closestTo(urlMatches, startTime);
+
+  const timeMatches = records.filter(rec => startsNear(rec, startTime) && emailsAlign(rec, guestEmail, hostEmail));
+  return closestTo(timeMatches, startTime);
+}
 
-  return null;
+function startsNear(rec, startTime) {
+  return Boolean(startTime && rec.startTime) && startDelta(rec, startTime) <= MATCH_WINDOW_MS;
+}
+
+function startDelta(rec, startTime) {
+  if (!startTime || !rec.startTime) return Infinity;
+  return Math.abs(new Date(rec.startTime).getTime() - new Date(startTime).getTime());
+}
+
+function closestTo(recs, startTime) {
+  if (recs.length === 0) return null;
+  return recs.reduce((best, rec) => (startDelta(rec, startTime) < startDelta(best, startTime) ? rec : best));
 }
 
 function emailsAlign(rec, guestEmail, hostEmail) {
   const matchGuest =
     rec.guestEmail && guestEmail && rec.guestEmail.toLowerCase() === guestEmail.toLowerCase();
-  const matchHost =
-    !rec.hostEmail || !hostEmail || rec.hostEmail.toLowerCase() === hostEmail.toLowerCase();
-  return matchGuest && matchHost;
+  return matchGuest && hostAligns(rec, hostEmail);
+}
+
+function hostAligns(rec, hostEmail) {
+  return !rec.hostEmail || !hostEmail || rec.hostEmail.toLowerCase() === hostEmail.toLowerCase();
+}
+
+function isSameMeeting(a, b) {
+  if (normalizeUrl(a) === normalizeUrl(b)) return true;
+
+  // Zoom links for one meeting differ in subdomain and ?pwd= (us02web.zoom.us/j/<id>?pwd=... vs zoom.us/j/<id>)
+  const zoomId = getZoomMeetingId(a);
+  return Boolean(zoomId) && zoomId === getZoomMeetingId(b);
+}
+
+function getZoomMeetingId(url) {
+  const match = String(url).match(/^https?:\/\/([\w-]+\.)*zoom\.us\/(?:j|w)\/(\d+)/i);
+  return match ? match[2] : null;
 }
 
 function normalizeUrl(url) {
@@ -61,11 +150,4 @@ function normalizeUrl(url) {
   }
 }
 
-function cleanup(now = Date.now()) {
-  for (const [key, rec] of bookings.entries()) {
-    if (now - rec.createdAt > TTL_MS) bookings.delete(key);
-  }
-}
-
-module.exports = { addBooking, findMatch };
-
+module.exports = { addBooking, getBooking, removeBooking, listBookings, countBookings, findMatch };
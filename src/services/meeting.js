@@ -0,0 +1,139 @@
+/**
+ * Normalized meeting model
+ * Every transcript source (Calendly, Fathom, Fireflies, tl;dv) turns its payload into this shape, so the
+ * shared pipeline (meeting-pipeline.js) never deals with provider formats:
+ *
+ *   {
+ *     source: 'fathom',               // source adapter name
+ *     accountId: 'datalabs' | null,   // source account (Fathom account etc.)
+ *     externalId: '123',              // the provider's meeting / recording / event ID
+ *     title, eventType, meetingUrl,
+ *     startTime, endTime,             // ISO strings or null
+ *     attendees: [{ name, email, role: 'host' | 'guest' }],
+ *     transcript: { segments: [{ speaker, text, startSeconds }], text },
+ *     metadata: {}                    // source-specific extras, kept for logs / dead letters
+ *   }
+ *
+ * A transcript has speaker segments when the provider gives them, otherwise plain text.
+ */
+
+const ROLES = ['host', 'guest'];
+
+/**
+ * Build a meeting, filling in defaults and dropping attendees without a name or email
+ * @param {object} fields - Meeting fields (see above)
+ * @returns {object} - Meeting
+ */
+function createMeeting({
+  source,
+  accountId = null,
+  externalId,
+  title = null,
+  eventType = null,
+  meetingUrl = null,
+  startTime = null,
+  endTime = null,
+  attendees = [],
+  transcript = null,
+  metadata = {}
+}) {
+  if (!source) throw new Error('Meeting needs a source');
+
+  return {
+    source,
+    accountId,
+    externalId: externalId != null ? String(externalId) : null,
+    title,
+    eventType,
+    meetingUrl,
+    startTime: toIsoString(startTime),
+    endTime: toIsoString(endTime),
+    attendees: attendees
+      .filter(attendee => attendee && (attendee.email || attendee.name))
+      .map(({ name = null, email = null, role = 'guest' }) => ({
+        name,
+        email: email ? email.trim().toLowerCase() : null,
+        role: ROLES.includes(role) ? role : 'guest'
+      })),
+    transcript: transcript || { segments: [], text: null },
+    metadata
+  };
+}
+
+/**
+ * Build a transcript from a provider value: plain text, or a list of segments
+ * Segment fields vary by provider (speaker / speaker_name, text / content / words,
+ * start_time / startTime / timestamp in seconds or milliseconds); they are normalized here.
+ * @param {string|object[]|null} value - Transcript as the provider returned it
+ * @returns {object} - { segments, text }
+ */
+function toTranscript(value) {
+  if (Array.isArray(value)) {
+    return {
+      segments: value.map(segment => ({
+        speaker: segment.speaker || segment.speaker_name || 'Speaker',
+        text: segment.text || segment.content || segment.words || '',
+        startSeconds: toSeconds(segment.start_time ?? segment.startTime ?? segment.timestamp)
+      })),
+      text: null
+    };
+  }
+
+  return { segments: [], text: typeof value === 'string' && value.trim() ? value : null };
+}
+
+/**
+ * The transcript as text for the summarizer: "(mm:ss) Speaker: text" per segment
+ * @param {object} meeting - Meeting
+ * @returns {string} - Transcript text ('' when there is none)
+ */
+function getTranscriptText(meeting) {
+  const { segments, text } = meeting.transcript;
+  if (text) return text;
+
+  return segments.map(segment => (segment.startSeconds != null
+    ? `(${formatSeconds(segment.startSeconds)}) ${segment.speaker}: ${segment.text}`
+    : `${segment.speaker}: ${segment.text}`
+  )).join('\n\n');
+}
+
+/**
+ * The host (first attendee with role host)
+ * @returns {object|null} - { name, email, role }
+ */
+function getHost(meeting) {
+  return meeting.attendees.find(attendee => attendee.role === 'host') || null;
+}
+
+/**
+ * The guest the meeting is synced to: the first guest with an email
+ * @returns {object|null} - { name, email, role }
+ */
+function getGuest(meeting) {
+  return meeting.attendees.find(attendee => attendee.role === 'guest' && attendee.email) || null;
+}
+
+/**
+ * Seconds from a number of seconds / milliseconds or a numeric string (null if unknown)
+ */
+function toSeconds(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value === 'number') return value > 10000 ? value / 1000 : value;
+
+  const seconds = parseFloat(value);
+  return Number.isNaN(seconds) ? null : seconds;
+}
+
+function formatSeconds(seconds) {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+}
+
+function toIsoString(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+module.exports = { createMeeting, toTranscript, getTranscriptText, getHost, getGuest };
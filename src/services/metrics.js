@@ -0,0 +1,146 @@
+/**
+ * Prometheus metrics for the sync pipeline
+ * Exposed on GET /metrics; all custom metrics are prefixed with attio_sync_
+ */
+
+const client = require('prom-client');
+const { log } = require('./logger');
+
+const PREFIX = 'attio_sync_';
+const registry = new client.Registry();
+
+client.collectDefaultMetrics({ register: registry, prefix: PREFIX });
+
+// Webhooks by source (calendly, fathom, heyreach, clay); account is the Fathom account or "default"
+const webhooksReceived = new client.Counter({
+  name: `${PREFIX}webhooks_received_total`,
+  help: 'Webhook requests received',
+  labelNames: ['source', 'account'],
+  registers: [registry]
+});
+
+const webhooksRejected = new client.Counter({
+  name: `${PREFIX}webhooks_rejected_total`,
+  help: 'Webhook requests rejected before processing (failed authentication)',
+  labelNames: ['source', 'account', 'reason'],
+  registers: [registry]
+});
+
+const webhooksDuplicate = new client.Counter({
+  name: `${PREFIX}webhooks_duplicate_total`,
+  help: 'Webhook deliveries acknowledged without processing because they were already handled',
+  labelNames: ['source'],
+  registers: [registry]
+});
+
+// Step failures keyed by the handler's currentStep
+const stepFailures = new client.Counter({
+  name: `${PREFIX}step_failures_total`,
+  help: 'Sync failures by source and failing step',
+  labelNames: ['source', 'account', 'step'],
+  registers: [registry]
+});
+
+const syncsCompleted = new client.Counter({
+  name: `${PREFIX}syncs_completed_total`,
+  help: 'Syncs that finished successfully',
+  labelNames: ['source', 'account'],
+  registers: [registry]
+});
+
+const transcriptPollAttempts = new client.Counter({
+  name: `${PREFIX}transcript_poll_attempts_total`,
+  help: 'Transcript fetch attempts by source and result (ready, not_ready, error)',
+  labelNames: ['source', 'result'],
+  registers: [registry]
+});
+
+// LLM calls by provider (openai, azure-openai, anthropic, openai-compatible)
+const llmRequestDuration = new client.Histogram({
+  name: `${PREFIX}llm_request_duration_seconds`,
+  help: 'LLM request latency',
+  labelNames: ['provider', 'model', 'status'],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120],
+  registers: [registry]
+});
+
+const llmTokens = new client.Counter({
+  name: `${PREFIX}llm_tokens_total`,
+  help: 'LLM tokens used by type (prompt, completion)',
+  labelNames: ['provider', 'model', 'type'],
+  registers: [registry]
+});
+
+const llmFallbacks = new client.Counter({
+  name: `${PREFIX}llm_fallbacks_total`,
+  help: 'LLM calls retried on the fallback provider after the primary failed',
+  labelNames: ['provider', 'fallback'],
+  registers: [registry]
+});
+
+const attioRequests = new client.Counter({
+  name: `${PREFIX}attio_requests_total`,
+  help: 'Attio API calls by method and HTTP status code',
+  labelNames: ['method', 'status'],
+  registers: [registry]
+});
+
+const correlationLookups = new client.Counter({
+  name: `${PREFIX}correlation_lookups_total`,
+  help: 'Calendly booking lookups from findMatch by result (hit, miss)',
+  labelNames: ['result'],
+  registers: [registry]
+});
+
+const pendingItems = new client.Gauge({
+  name: `${PREFIX}pending_items`,
+  help: 'Items currently held by the service by store',
+  labelNames: ['store'],
+  registers: [registry]
+});
+
+/**
+ * Register a function that reports pending-store sizes at scrape time
+ * Kept as a callback so this module doesn't depend on the stores.
+ * @param {function} collect - Async function returning { [store]: size }
+ */
+function setPendingSizesCollector(collect) {
+  pendingItems.collect = async function () {
+    const sizes = await collect();
+    for (const [store, size] of Object.entries(sizes)) {
+      this.set({ store }, size);
+    }
+  };
+}
+
+/**
+ * Express handler for GET /metrics
+ */
+async function metricsHandler(req, res) {
+  try {
+    const body = await registry.metrics();
+    res.set('Content-Type', registry.contentType);
+    res.end(body);
+  } catch (error) {
+    // e.g. the store behind the pending-sizes collector is down
+    log('error', 'Metrics collection failed', { error: error.message });
+    res.status(500).json({ error: 'Metrics collection failed' });
+  }
+}
+
+module.exports = {
+  registry,
+  webhooksReceived,
+  webhooksRejected,
+  webhooksDuplicate,
+  stepFailures,
+  syncsCompleted,
+  transcriptPollAttempts,
+  llmRequestDuration,
+  llmTokens,
+  llmFallbacks,
+  attioRequests,
+  correlationLookups,
+  setPendingSizesCollector,
+  metricsHandler
+};
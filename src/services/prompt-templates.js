@@ -0,0 +1,180 @@
+/**
+ * Summary prompt templates
+ * Templates are markdown files in config.prompts.dir with a system and a prompt part:
+ *
+ *   <!-- system -->
+ *   You are ...
+ *   <!-- prompt -->
+ *   Summarize this call with {{guestName}} ...
+ *
+ * The template for a meeting is picked by config.prompts.rules (first match on source, accountId,
+ * eventType, hostEmail), falling back to config.prompts.defaultTemplate. Templates are loaded and
+ * validated at startup so a typo fails the boot instead of a sync.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('./logger');
+
+const TEMPLATE_EXTENSION = '.md';
+const SECTION_MARKER = /^<!--\s*(system|prompt)\s*-->\s*$/gm;
+const VARIABLE = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Variables a template may use; values not known for a meeting render as "unknown"
+const VARIABLES = [
+  'guestName',
+  'guestEmail',
+  'company',
+  'meetingTitle',
+  'meetingDate',
+  'eventType',
+  'hostEmail',
+  'source',
+  'accountId'
+];
+
+// Fields a rule can match on
+const RULE_FIELDS = ['source', 'accountId', 'eventType', 'hostEmail'];
+
+// The templates with the rules and default they were validated against - swapped as one,
+// so a rule can never point at a template that isn't loaded
+let prompts = null; // { templates: Map(name -> { name, system, prompt }), defaultTemplate, rules }
+
+/**
+ * Load and validate every template and rule
+ * Nothing changes when there are problems - the previously loaded set stays in use.
+ * @param {object} config - Configuration object (uses config.prompts)
+ * @returns {string[]} - Problems found (empty when everything is valid)
+ */
+function loadPromptTemplates(config) {
+  const { loaded, errors } = readPromptTemplates(config);
+  if (errors.length > 0) return errors;
+
+  const { dir, defaultTemplate, rules } = config.prompts;
+  prompts = { templates: loaded, defaultTemplate, rules: rules || [] };
+  log('info', 'Loaded prompt templates', { dir, templates: [...loaded.keys()], rules: prompts.rules.length });
+  return [];
+}
+
+/**
+ * Check the templates and rules of a config without loading them
+ * @param {object} config - Configuration object (uses config.prompts)
+ * @returns {string[]} - Problems found (empty when everything is valid)
+ */
+function checkPromptTemplates(config) {
+  return readPromptTemplates(config).errors;
+}
+
+/**
+ * Read and validate the templates and rules of a config
+ * @returns {object} - { loaded: Map(name -> template), errors }
+ */
+function readPromptTemplates(config) {
+  const { dir, defaultTemplate, rules } = config.prompts;
+  const errors = [];
+  const loaded = new Map();
+
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter(file => file.endsWith(TEMPLATE_EXTENSION));
+  } catch (error) {
+    return { loaded, errors: [`Cannot read prompt template directory ${dir}: ${error.message}`] };
+  }
+
+  for (const file of files) {
+    const name = path.basename(file, TEMPLATE_EXTENSION);
+    try {
+      const template = parseTemplate(name, fs.readFileSync(path.join(dir, file), 'utf8'));
+      errors.push(...validateTemplate(template));
+      loaded.set(name, template);
+    } catch (error) {
+      errors.push(`Template "${name}": ${error.message}`);
+    }
+  }
+
+  if (!loaded.has(defaultTemplate)) {
+    errors.push(`Default template "${defaultTemplate}" not found in ${dir}`);
+  }
+
+  (rules || []).forEach((rule, index) => {
+    if (!rule.template) {
+      errors.push(`Prompt rule ${index + 1} has no "template"`);
+    } else if (!loaded.has(rule.template)) {
+      errors.push(`Prompt rule ${index + 1} uses unknown template "${rule.template}"`);
+    }
+    const unknownFields = Object.keys(rule).filter(key => key !== 'template' && !RULE_FIELDS.includes(key));
+    if (unknownFields.length > 0) {
+      errors.push(`Prompt rule ${index + 1} has unknown fields: ${unknownFields.join(', ')} (expected ${RULE_FIELDS.join(', ')})`);
+    }
+  });
+
+  return { loaded, errors };
+}
+
+/**
+ * Split a template file into its system and prompt parts
+ */
+function parseTemplate(name, content) {
+  const parts = {};
+  const markers = [...content.matchAll(SECTION_MARKER)];
+
+  markers.forEach((marker, i) => {
+    const end = i + 1 < markers.length ? markers[i + 1].index : content.length;
+    parts[marker[1]] = content.slice(marker.index + marker[0].length, end).trim();
+  });
+
+  return { name, system: parts.system || '', prompt: parts.prompt || '' };
+}
+
+function validateTemplate(template) {
+  const errors = [];
+  if (!template.system) errors.push(`Template "${template.name}" has no <!-- system --> part`);
+  if (!template.prompt) errors.push(`Template "${template.name}" has no <!-- prompt --> part`);
+
+  for (const text of [template.system, template.prompt]) {
+    for (const [, variable] of text.matchAll(VARIABLE)) {
+      if (!VARIABLES.includes(variable)) {
+        errors.push(`Template "${template.name}" uses unknown variable {{${variable}}} (available: ${VARIABLES.join(', ')})`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Render the template for a meeting
+ * @param {object} meeting - Template variables and selection fields (see VARIABLES)
+ * @param {object} config - Configuration object
+ * @returns {object} - { name, system, prompt }
+ */
+function renderPromptTemplate(meeting, config) {
+  if (!prompts) {
+    const errors = loadPromptTemplates(config);
+    if (errors.length > 0) throw new Error(`Invalid prompt templates: ${errors.join('; ')}`);
+  }
+
+  const name = selectTemplateName(meeting, prompts);
+  const template = prompts.templates.get(name);
+  const render = text => text.replace(VARIABLE, (_, variable) => {
+    const value = meeting[variable];
+    return value === null || value === undefined || value === '' ? 'unknown' : String(value);
+  });
+
+  return { name, system: render(template.system), prompt: render(template.prompt) };
+}
+
+/**
+ * First rule whose fields all match the meeting (case-insensitive), else the default
+ */
+function selectTemplateName(meeting, { rules, defaultTemplate }) {
+  const same = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+  const rule = (rules || []).find(candidate =>
+    RULE_FIELDS.every(field => candidate[field] === undefined || same(candidate[field], meeting[field]))
+  );
+
+  return rule ? rule.template : defaultTemplate;
+}
+
+module.exports = { loadPromptTemplates, checkPromptTemplates, renderPromptTemplate, VARIABLES };
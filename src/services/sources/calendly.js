@@ -0,0 +1,81 @@
+/**
+ * Calendly source adapter
+ * Turns a scheduled Calendly sync job into a Meeting. The job data comes from the booking
+ * webhook (webhook-handler.js); the transcript is polled from the Calendly API once per job attempt.
+ */
+
+const { log } = require('../logger');
+const { fetchTranscript } = require('../calendly');
+const { createMeeting, toTranscript } = require('../meeting');
+const { transcriptPollAttempts } = require('../metrics');
+
+const name = 'calendly';
+const deadLetterSource = 'calendly.sync';
+const parseStep = 'poll_transcript';
+const correlate = false;
+
+/**
+ * Build a Meeting from the sync job data
+ * @param {object} data - { eventUuid, inviteeUuid, guestEmail, guestName, hostEmail, eventType, startTime, endTime, meetingUrl }
+ * @param {object} options - { job, config } - job is null for a single manual attempt
+ * @returns {object|null} - Meeting, or null when the transcript isn't ready and the job has attempts left
+ */
+async function toMeeting(data, { job = null, config }) {
+  const { eventUuid, guestEmail, guestName, hostEmail = null, eventType = null } = data;
+  const { maxAttempts } = config.retry;
+  const attempt = job ? job.attempts : 1;
+
+  log('info', `Polling transcript attempt ${attempt}/${maxAttempts}`, { eventUuid });
+  const transcript = await fetchTranscript(eventUuid, config);
+  transcriptPollAttempts.inc({ source: name, result: transcript ? 'ready' : 'not_ready' });
+
+  if (!transcript) {
+    if (job && job.attempts < maxAttempts) return null;
+    throw new Error('Transcript not available after maximum retries');
+  }
+
+  log('info', 'Transcript retrieved', { length: transcript.length });
+
+  return createMeeting({
+    source: name,
+    externalId: eventUuid,
+    title: eventType,
+    eventType,
+    meetingUrl: data.meetingUrl || null,
+    startTime: data.startTime || null,
+    endTime: data.endTime || null,
+    attendees: [
+      { name: guestName || '', email: guestEmail, role: 'guest' },
+      { email: hostEmail, role: 'host' }
+    ],
+    transcript: toTranscript(transcript),
+    metadata: { inviteeUuid: data.inviteeUuid || null }
+  });
+}
+
+/**
+ * Dead-letter id: same as the sync job id, one record per invitee
+ * (jobs queued before bookings were kept per invitee only have the event UUID)
+ */
+function getFailureId(data) {
+  return `calendly:${data.inviteeUuid || data.eventUuid}`;
+}
+
+/**
+ * Key for the meeting's action-item tasks: per invitee, since each guest of a group event
+ * gets the tasks on their own Attio person
+ */
+function getMeetingKey(meeting) {
+  const inviteeUuid = meeting.metadata?.inviteeUuid;
+  return inviteeUuid ? `calendly:${meeting.externalId}:${inviteeUuid}` : `calendly:${meeting.externalId}`;
+}
+
+module.exports = {
+  name,
+  deadLetterSource,
+  parseStep,
+  correlate,
+  toMeeting,
+  getFailureId,
+  getMeetingKey
+};
@@ -0,0 +1,138 @@
+/**
+ * Fathom source adapter
+ * Turns a Fathom webhook into a Meeting; the transcript is fetched from the API when the
+ * webhook doesn't include it. Webhooks arrive per account (see getFathomAccounts()).
+ */
+
+const { getConfig, getFathomAccountConfig } = require('../config');
+const { log } = require('../logger');
+const { fetchFathomTranscript, verifyFathomWebhook } = require('../fathom');
+const { createMeeting, toTranscript } = require('../meeting');
+
+const name = 'fathom';
+const deadLetterSource = 'fathom.webhook';
+const parseStep = 'process_fathom';
+const correlate = true;
+
+/**
+ * Verify an incoming Fathom request against the account's webhook secrets
+ * Called by the route before acknowledging so forged requests get a 401.
+ * @param {object} headers - Request headers
+ * @param {string} rawBody - Raw request body
+ * @param {string} accountId - Account identifier (e.g. datalabs); null for the legacy single account
+ * @returns {boolean} - True if valid (or no secret configured); false for unknown accounts
+ */
+function verifyRequest(headers, rawBody, accountId = null) {
+  const config = getConfig();
+  const fathomConfig = getFathomAccountConfig(accountId);
+  if (!fathomConfig) return false;
+
+  return verifyFathomWebhook(
+    {
+      id: headers['webhook-id'],
+      timestamp: headers['webhook-timestamp'],
+      signature: headers['webhook-signature']
+    },
+    rawBody,
+    fathomConfig.webhookSecrets,
+    config.fathomWebhookToleranceSeconds
+  );
+}
+
+/**
+ * Build a Meeting from a Fathom webhook payload
+ * The signature must already be verified with verifyRequest().
+ * @param {object} payload - Webhook payload from Fathom
+ * @param {object} options - { accountId }
+ * @returns {object} - Meeting
+ */
+async function toMeeting(payload, { accountId = null } = {}) {
+  // The account may have been removed since a dead letter was recorded
+  const fathomConfig = getFathomAccountConfig(accountId);
+  if (!fathomConfig) {
+    throw new Error(`Unknown Fathom account: ${accountId}`);
+  }
+
+  log('info', 'Processing Fathom webhook', {
+    type: payload.event || payload.type,
+    meetingId: getMeetingId(payload),
+    account: accountId || 'default'
+  });
+
+  // Transcript from the payload if included, otherwise from the API
+  let transcript = payload.transcript || payload.transcription;
+  if (!transcript && payload.recording_id) {
+    transcript = await fetchFathomTranscript(payload.recording_id, fathomConfig);
+  }
+
+  return createMeeting({
+    source: name,
+    accountId,
+    externalId: getMeetingId(payload),
+    title: payload.title || payload.meeting_title || 'Fathom Meeting',
+    meetingUrl: payload.meeting_url || payload.meeting_join_url || payload.url || null,
+    startTime: payload.start_time || payload.meeting_start_time || null,
+    endTime: payload.end_time || payload.meeting_end_time || null,
+    attendees: getAttendees(payload),
+    transcript: toTranscript(transcript),
+    metadata: { recordingId: payload.recording_id || null, event: payload.event || payload.type || null }
+  });
+}
+
+/**
+ * Attendees with roles: the recorder is the host, everyone else a guest
+ * When no attendee has an email, the payload's guest_email / guest_name stand in for the guest.
+ */
+function getAttendees(payload) {
+  const hostEmail = payload.host_email || payload.recorded_by || null;
+  const attendees = (payload.attendees || payload.participants || []).map(a => {
+    const email = a.email || a.email_address || null;
+    return {
+      name: a.name || a.display_name || null,
+      email,
+      role: email && hostEmail && email.toLowerCase() === hostEmail.toLowerCase() ? 'host' : 'guest'
+    };
+  });
+
+  if (!attendees.some(a => a.role === 'guest' && a.email)) {
+    attendees.push({
+      name: payload.guest_name || attendees.find(a => a.role === 'guest')?.name || null,
+      email: payload.guest_email || null,
+      role: 'guest'
+    });
+  }
+  if (hostEmail && !attendees.some(a => a.role === 'host')) {
+    attendees.unshift({ name: null, email: hostEmail, role: 'host' });
+  }
+  return attendees;
+}
+
+function getMeetingId(payload) {
+  return payload.recording_id || payload.meeting_id || payload.id || null;
+}
+
+/**
+ * Dead-letter id: one record per account and meeting
+ */
+function getFailureId(payload, accountId = null) {
+  const meetingId = getMeetingId(payload);
+  return meetingId ? `${deadLetterSource}:${accountId || 'default'}:${meetingId}` : null;
+}
+
+/**
+ * Key for the meeting's action-item tasks
+ */
+function getMeetingKey(meeting) {
+  return `fathom:${meeting.accountId || 'default'}:${meeting.externalId}`;
+}
+
+module.exports = {
+  name,
+  deadLetterSource,
+  parseStep,
+  correlate,
+  verifyRequest,
+  toMeeting,
+  getFailureId,
+  getMeetingKey
+};
@@ -0,0 +1,112 @@
+/**
+ * Fireflies.ai source adapter
+ * Fireflies webhooks only say which meeting finished transcribing ("Transcription completed"),
+ * so the transcript and attendees are always fetched from the API.
+ */
+
+const { getConfig } = require('../config');
+const { log } = require('../logger');
+const { fetchFirefliesTranscript, verifyFirefliesWebhook } = require('../fireflies');
+const { createMeeting, toTranscript } = require('../meeting');
+
+const name = 'fireflies';
+const deadLetterSource = 'fireflies.webhook';
+const parseStep = 'process_fireflies';
+const correlate = true;
+
+const TRANSCRIPTION_COMPLETED = 'Transcription completed';
+
+/**
+ * Verify an incoming Fireflies request against FIREFLIES_WEBHOOK_SECRET
+ * @param {object} headers - Request headers
+ * @param {string} rawBody - Raw request body
+ * @returns {boolean} - True if valid (or no secret configured)
+ */
+function verifyRequest(headers, rawBody) {
+  return verifyFirefliesWebhook(headers['x-hub-signature'], rawBody, getConfig().firefliesWebhookSecret);
+}
+
+/**
+ * Build a Meeting from a Fireflies webhook payload
+ * @param {object} payload - { meetingId, eventType, clientReferenceId }
+ * @param {object} options - { config }
+ * @returns {object|null} - Meeting, or null for events other than "Transcription completed"
+ */
+async function toMeeting(payload, { config }) {
+  log('info', 'Processing Fireflies webhook', { type: payload.eventType, meetingId: payload.meetingId });
+
+  if (payload.eventType && payload.eventType !== TRANSCRIPTION_COMPLETED) {
+    log('info', 'Skipping Fireflies event', { type: payload.eventType });
+    return null;
+  }
+  if (!payload.meetingId) {
+    throw new Error('Missing required field: meetingId');
+  }
+
+  const transcript = await fetchFirefliesTranscript(payload.meetingId, config.firefliesApiKey);
+
+  return createMeeting({
+    source: name,
+    externalId: transcript.id || payload.meetingId,
+    title: transcript.title || 'Fireflies Meeting',
+    meetingUrl: transcript.meeting_link || null,
+    startTime: transcript.date || null,
+    endTime: transcript.date && transcript.duration
+      ? transcript.date + transcript.duration * 60 * 1000
+      : null,
+    attendees: getAttendees(transcript),
+    transcript: toTranscript(transcript.sentences || []),
+    metadata: { transcriptUrl: transcript.transcript_url || null, clientReferenceId: payload.clientReferenceId || null }
+  });
+}
+
+/**
+ * Attendees with roles: the organizer is the host, everyone else a guest
+ * meeting_attendees has names; participants is a plain email list that also covers dial-ins.
+ */
+function getAttendees(transcript) {
+  const hostEmail = (transcript.organizer_email || '').toLowerCase() || null;
+  const attendees = (transcript.meeting_attendees || []).map(a => ({
+    name: a.displayName || a.name || null,
+    email: a.email || null
+  }));
+
+  for (const email of transcript.participants || []) {
+    if (!attendees.some(a => a.email && a.email.toLowerCase() === email.toLowerCase())) {
+      attendees.push({ name: null, email });
+    }
+  }
+  if (hostEmail && !attendees.some(a => a.email && a.email.toLowerCase() === hostEmail)) {
+    attendees.unshift({ name: null, email: hostEmail });
+  }
+
+  return attendees.map(a => ({
+    ...a,
+    role: a.email && a.email.toLowerCase() === hostEmail ? 'host' : 'guest'
+  }));
+}
+
+/**
+ * Dead-letter id: one record per meeting
+ */
+function getFailureId(payload) {
+  return payload.meetingId ? `${deadLetterSource}:${payload.meetingId}` : null;
+}
+
+/**
+ * Key for the meeting's action-item tasks
+ */
+function getMeetingKey(meeting) {
+  return `fireflies:${meeting.externalId}`;
+}
+
+module.exports = {
+  name,
+  deadLetterSource,
+  parseStep,
+  correlate,
+  verifyRequest,
+  toMeeting,
+  getFailureId,
+  getMeetingKey
+};
@@ -0,0 +1,50 @@
+/**
+ * Meeting sources
+ * Each transcript provider is an adapter that only turns its payload into a normalized Meeting
+ * (services/meeting.js); the shared pipeline (services/meeting-pipeline.js) does the rest.
+ *
+ * Every adapter module exports:
+ *   name                              -> source name for logs, metrics, LLM / workspace / template scoping
+ *   deadLetterSource                  -> dead-letter source its failed syncs are recorded under
+ *   parseStep                         -> step name reported when toMeeting() fails
+ *   correlate                         -> true to match the meeting against stored Calendly bookings
+ *   toMeeting(input, { accountId, job, config })
+ *                                     -> Meeting | null (null = nothing to sync: transcript not ready
+ *                                        yet, or an event the source doesn't sync)
+ *   getFailureId(input, accountId)    -> dead-letter id (null for a random one)
+ *   getMeetingKey(meeting)            -> idempotency key for the meeting's action-item tasks
+ *   verifyRequest(headers, rawBody, accountId)
+ *                                     -> boolean (sources with native webhook signing)
+ */
+
+const { registerRetryHandler } = require('../dead-letter');
+const { syncMeeting } = require('../meeting-pipeline');
+
+// key: source name -> adapter
+const SOURCES = {
+  calendly: require('./calendly'),
+  fathom: require('./fathom'),
+  fireflies: require('./fireflies'),
+  tldv: require('./tldv'),
+  zoom: require('./zoom')
+};
+
+/**
+ * Get a source adapter by name
+ * @param {string} name - Source name (e.g. fathom)
+ * @returns {object} - Adapter
+ */
+function getSource(name) {
+  const adapter = SOURCES[name];
+  if (!adapter) throw new Error(`Unknown meeting source: ${name}`);
+  return adapter;
+}
+
+// Dead-letter retries resume the sync from its failed step (a new failure updates the same record)
+for (const adapter of Object.values(SOURCES)) {
+  registerRetryHandler(adapter.deadLetterSource, record =>
+    syncMeeting(adapter, record.payload, { accountId: record.accountId, resume: record.context, failureId: record.id })
+  );
+}
+
+module.exports = { getSource };
@@ -0,0 +1,97 @@
+/**
+ * tl;dv source adapter
+ * Syncs on the TranscriptReady webhook. The meeting (organizer, invitees, time) always comes from
+ * the API; the transcript comes from the webhook when it carries the segments, otherwise from the API.
+ */
+
+const { log } = require('../logger');
+const { fetchTldvMeeting, fetchTldvTranscript } = require('../tldv');
+const { createMeeting, toTranscript } = require('../meeting');
+
+const name = 'tldv';
+const deadLetterSource = 'tldv.webhook';
+const parseStep = 'process_tldv';
+const correlate = true;
+
+const TRANSCRIPT_READY = 'TranscriptReady';
+
+/**
+ * Build a Meeting from a tl;dv webhook payload
+ * @param {object} payload - { id, event, data: { id, meetingId, data: [segments] }, executedAt }
+ * @param {object} options - { config }
+ * @returns {object|null} - Meeting, or null for events other than TranscriptReady
+ */
+async function toMeeting(payload, { config }) {
+  const meetingId = getMeetingId(payload);
+  log('info', 'Processing tl;dv webhook', { type: payload.event, meetingId });
+
+  if (payload.event !== TRANSCRIPT_READY) {
+    log('info', 'Skipping tl;dv event', { type: payload.event });
+    return null;
+  }
+  if (!meetingId) {
+    throw new Error('Missing required field: meetingId');
+  }
+
+  const meeting = await fetchTldvMeeting(meetingId, config.tldvApiKey);
+  const segments = Array.isArray(payload.data?.data)
+    ? payload.data.data
+    : await fetchTldvTranscript(meetingId, config.tldvApiKey);
+
+  const organizer = meeting.organizer || {};
+  const hostEmail = (organizer.email || '').toLowerCase();
+  const attendees = [
+    { name: organizer.name || null, email: organizer.email || null, role: 'host' },
+    ...(meeting.invitees || [])
+      .filter(invitee => !invitee.email || invitee.email.toLowerCase() !== hostEmail)
+      .map(invitee => ({ name: invitee.name || null, email: invitee.email || null, role: 'guest' }))
+  ];
+
+  const startTime = meeting.happenedAt || null;
+  // duration is in seconds
+  const endTime = startTime && meeting.duration
+    ? new Date(new Date(startTime).getTime() + meeting.duration * 1000)
+    : null;
+
+  return createMeeting({
+    source: name,
+    externalId: meeting.id || meetingId,
+    title: meeting.name || 'tl;dv Meeting',
+    // meeting.url is the tl;dv recording page, not the call link, so correlation goes by time
+    meetingUrl: null,
+    startTime,
+    endTime,
+    attendees,
+    transcript: toTranscript(segments),
+    metadata: { recordingUrl: meeting.url || null, webhookId: payload.id || null }
+  });
+}
+
+function getMeetingId(payload) {
+  return payload.data?.meetingId || null;
+}
+
+/**
+ * Dead-letter id: one record per meeting
+ */
+function getFailureId(payload) {
+  const meetingId = getMeetingId(payload);
+  return meetingId ? `${deadLetterSource}:${meetingId}` : null;
+}
+
+/**
+ * Key for the meeting's action-item tasks
+ */
+function getMeetingKey(meeting) {
+  return `tldv:${meeting.externalId}`;
+}
+
+module.exports = {
+  name,
+  deadLetterSource,
+  parseStep,
+  correlate,
+  toMeeting,
+  getFailureId,
+  getMeetingKey
+};
@@ -0,0 +1,107 @@
+/**
+ * Zoom source adapter
+ * Syncs on recording.transcript_completed: downloads the cloud recording's VTT transcript and
+ * turns it into speaker segments. Zoom doesn't list the attendees, so the guest comes from the
+ * Calendly booking whose Zoom join_url has the same meeting ID.
+ */
+
+const { getConfig } = require('../config');
+const { log } = require('../logger');
+const { verifyZoomWebhook, getZoomAccessToken, downloadZoomTranscript, parseVtt } = require('../zoom');
+const { createMeeting } = require('../meeting');
+
+const name = 'zoom';
+const deadLetterSource = 'zoom.webhook';
+const parseStep = 'process_zoom';
+const correlate = true;
+
+const TRANSCRIPT_COMPLETED = 'recording.transcript_completed';
+
+/**
+ * Verify an incoming Zoom request against ZOOM_WEBHOOK_SECRET_TOKEN
+ * @param {object} headers - Request headers
+ * @param {string} rawBody - Raw request body
+ * @returns {boolean} - True if valid (or no secret token configured)
+ */
+function verifyRequest(headers, rawBody) {
+  const config = getConfig();
+  return verifyZoomWebhook(
+    {
+      signature: headers['x-zm-signature'],
+      timestamp: headers['x-zm-request-timestamp']
+    },
+    rawBody,
+    config.zoomWebhookSecretToken,
+    config.zoomWebhookToleranceSeconds
+  );
+}
+
+/**
+ * Build a Meeting from a Zoom recording webhook
+ * @param {object} body - { event, event_ts, download_token, payload: { account_id, object: recording } }
+ * @param {object} options - { config }
+ * @returns {object|null} - Meeting, or null for events other than recording.transcript_completed
+ */
+async function toMeeting(body, { config }) {
+  const recording = body.payload?.object || {};
+  log('info', 'Processing Zoom webhook', { type: body.event, meetingId: recording.id, uuid: recording.uuid });
+
+  if (body.event !== TRANSCRIPT_COMPLETED) {
+    log('info', 'Skipping Zoom event', { type: body.event });
+    return null;
+  }
+
+  const transcriptFile = (recording.recording_files || []).find(file =>
+    file.file_type === 'TRANSCRIPT' || file.recording_type === 'audio_transcript'
+  );
+  if (!transcriptFile?.download_url) {
+    throw new Error('No transcript file in Zoom recording');
+  }
+
+  const accessToken = await getZoomAccessToken(body.download_token, config);
+  const vtt = await downloadZoomTranscript(transcriptFile.download_url, accessToken);
+
+  // duration is in minutes
+  const endTime = recording.start_time && recording.duration
+    ? new Date(new Date(recording.start_time).getTime() + recording.duration * 60 * 1000)
+    : null;
+
+  return createMeeting({
+    source: name,
+    externalId: recording.uuid || recording.id,
+    title: recording.topic || 'Zoom Meeting',
+    // Matches the booking's join_url by meeting ID (see findMatch())
+    meetingUrl: recording.id ? `https://zoom.us/j/${recording.id}` : null,
+    startTime: recording.start_time || null,
+    endTime,
+    attendees: [{ email: recording.host_email || null, role: 'host' }],
+    transcript: { segments: parseVtt(vtt), text: null },
+    metadata: { meetingId: recording.id || null, shareUrl: recording.share_url || null }
+  });
+}
+
+/**
+ * Dead-letter id: one record per recording (a recurring meeting ID has a new UUID per occurrence)
+ */
+function getFailureId(body) {
+  const uuid = body.payload?.object?.uuid;
+  return uuid ? `${deadLetterSource}:${uuid}` : null;
+}
+
+/**
+ * Key for the meeting's action-item tasks
+ */
+function getMeetingKey(meeting) {
+  return `zoom:${meeting.externalId}`;
+}
+
+module.exports = {
+  name,
+  deadLetterSource,
+  parseStep,
+  correlate,
+  verifyRequest,
+  toMeeting,
+  getFailureId,
+  getMeetingKey
+};
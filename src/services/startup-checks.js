@@ -0,0 +1,160 @@
+/**
+ * Startup checks
+ * Every enabled integration must have what it needs before the server takes webhooks - otherwise a
+ * missing key only shows up when the first meeting fails to sync. Integrations are enabled by their
+ * credentials: Calendly by CALENDLY_PAT, Fathom by a registered account (or the legacy
+ * FATHOM_API_KEY / FATHOM_WEBHOOK_SECRET), Fireflies and tl;dv by their API key or webhook secret,
+ * Zoom by its webhook secret token or OAuth app; HeyReach and Clay only need Attio.
+ */
+
+const { resolveProviderName, checkProvider, PROVIDER_NAMES } = require('./llm');
+const { getConfigFilePath } = require('./config-file');
+
+/**
+ * Check each enabled integration's dependencies
+ * @param {object} config - Configuration object
+ * @returns {object} - { errors, warnings } - errors should stop the boot
+ */
+function checkIntegrations(config) {
+  const errors = [];
+  const warnings = [];
+
+  const checkLlm = (label, source, accountId = null) => {
+    const provider = resolveProviderName(config.llm, source, accountId);
+    checkProvider(provider, config.llm).forEach(problem =>
+      errors.push(`${label}: LLM provider "${provider}" ${problem}`)
+    );
+  };
+
+  if (config.calendlyPat) {
+    checkLlm('Calendly', 'calendly');
+    if (!config.calendlyWebhookSigningKey) {
+      warnings.push('Calendly: CALENDLY_WEBHOOK_SIGNING_KEY is not set, webhook signatures are not verified');
+    }
+  }
+
+  for (const account of getFathomAccounts(config)) {
+    const label = account.id ? `Fathom account "${account.id}"` : 'Fathom (legacy)';
+    checkLlm(label, 'fathom', account.id);
+    if (account.webhookSecrets.length === 0) {
+      warnings.push(`${label}: no webhook secret, signatures are not verified`);
+    }
+  }
+
+  // Their webhooks only carry IDs - without an API key there is nothing to summarize
+  if (config.firefliesApiKey || config.firefliesWebhookSecret) {
+    checkLlm('Fireflies', 'fireflies');
+    if (!config.firefliesApiKey) {
+      errors.push('Fireflies: FIREFLIES_API_KEY is required to fetch transcripts');
+    }
+    if (!config.firefliesWebhookSecret) {
+      warnings.push('Fireflies: FIREFLIES_WEBHOOK_SECRET is not set, webhook signatures are not verified');
+    }
+  }
+
+  if (config.tldvApiKey || config.tldvWebhookSecret) {
+    checkLlm('tl;dv', 'tldv');
+    if (!config.tldvApiKey) {
+      errors.push('tl;dv: TLDV_API_KEY is required to fetch meetings and transcripts');
+    }
+    if (!config.tldvWebhookSecret) {
+      warnings.push('tl;dv: TLDV_WEBHOOK_SECRET is not set, webhooks are not authenticated');
+    }
+  }
+
+  const zoomOAuth = [config.zoomAccountId, config.zoomClientId, config.zoomClientSecret];
+  if (config.zoomWebhookSecretToken || zoomOAuth.some(Boolean)) {
+    checkLlm('Zoom', 'zoom');
+    if (!config.zoomWebhookSecretToken) {
+      errors.push('Zoom: ZOOM_WEBHOOK_SECRET_TOKEN is required to answer Zoom\'s endpoint URL validation');
+    }
+    if (zoomOAuth.some(Boolean) && !zoomOAuth.every(Boolean)) {
+      errors.push('Zoom: set all of ZOOM_ACCOUNT_ID, ZOOM_CLIENT_ID and ZOOM_CLIENT_SECRET, or none');
+    }
+  }
+
+  if (config.llm.fallbackProvider) {
+    checkProvider(config.llm.fallbackProvider, config.llm).forEach(problem =>
+      errors.push(`LLM fallback provider "${config.llm.fallbackProvider}" ${problem}`)
+    );
+  }
+  for (const [scope, provider] of Object.entries(config.llm.providerOverrides || {})) {
+    if (!PROVIDER_NAMES.includes(provider)) {
+      errors.push(`LLM provider override for ${scope}: unknown provider "${provider}"`);
+    }
+  }
+
+  // Attio requires an owner on new deals
+  const pipelines = [['default', config.pipeline]]
+    .concat(Object.entries(config.attioWorkspaces).map(([name, workspace]) => [name, workspace.pipeline]));
+  for (const [workspace, pipeline] of pipelines) {
+    const targets = [pipeline.target, ...(pipeline.rules || []).map(rule => rule.target)];
+    if (targets.includes('deals') && !pipeline.dealOwnerEmail) {
+      errors.push(`Pipeline (workspace "${workspace}"): deals need an owner - set ATTIO_DEAL_OWNER_EMAIL / pipeline.dealOwnerEmail`);
+    }
+  }
+
+  if (config.storage.backend === 'redis' && !config.storage.redisUrl) {
+    errors.push('Storage: STORE_BACKEND=redis requires REDIS_URL');
+  }
+
+  if (!config.heyreachWebhookSecret) {
+    warnings.push('HeyReach: HEYREACH_WEBHOOK_SECRET is not set, webhooks are not authenticated');
+  }
+  if (!config.clayWebhookSecret) {
+    warnings.push('Clay: CLAY_WEBHOOK_SECRET is not set, webhooks are not authenticated');
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * One line per integration / subsystem, for the startup log
+ * @param {object} config - Configuration object
+ * @returns {string[]}
+ */
+function getStartupSummary(config) {
+  const llmFor = (source, accountId = null) => resolveProviderName(config.llm, source, accountId);
+  const auth = (secret, mode) => (secret ? `auth: ${mode}` : 'no auth');
+  const fathomAccounts = getFathomAccounts(config);
+
+  return [
+    `Calendly   ${config.calendlyPat
+      ? `enabled (LLM: ${llmFor('calendly')}, ${config.calendlyWebhookSigningKey ? 'signed' : 'unsigned'})`
+      : 'disabled (set CALENDLY_PAT)'}`,
+    `Fathom     ${fathomAccounts.length > 0
+      ? fathomAccounts.map(account => `${account.id || 'legacy'} (LLM: ${llmFor('fathom', account.id)})`).join(', ')
+      : 'no accounts'}`,
+    `Fireflies  ${config.firefliesApiKey
+      ? `enabled (LLM: ${llmFor('fireflies')}, ${config.firefliesWebhookSecret ? 'signed' : 'unsigned'})`
+      : 'disabled (set FIREFLIES_API_KEY)'}`,
+    `tl;dv      ${config.tldvApiKey
+      ? `enabled (LLM: ${llmFor('tldv')}, ${auth(config.tldvWebhookSecret, config.tldvWebhookAuth.mode)})`
+      : 'disabled (set TLDV_API_KEY)'}`,
+    `Zoom       ${config.zoomWebhookSecretToken
+      ? `enabled (LLM: ${llmFor('zoom')}, downloads: ${config.zoomClientId ? 'OAuth app' : 'webhook download_token'})`
+      : 'disabled (set ZOOM_WEBHOOK_SECRET_TOKEN)'}`,
+    `HeyReach   enabled (${auth(config.heyreachWebhookSecret, config.heyreachWebhookAuth.mode)})`,
+    `Clay       enabled (${auth(config.clayWebhookSecret, config.clayWebhookAuth.mode)})`,
+    `Attio      workspaces: ${['default', ...Object.keys(config.attioWorkspaces)].join(', ')}`,
+    `Summaries  ${config.llm.summaryMode}, LLM ${config.llm.provider}` +
+      (config.llm.fallbackProvider ? ` (fallback: ${config.llm.fallbackProvider})` : ''),
+    `Storage    ${config.storage.backend}`,
+    `Admin API  ${config.adminApiToken ? 'enabled' : 'disabled'}`,
+    `Slack      ${config.slackWebhookUrl ? 'enabled' : 'disabled'}`,
+    `Config     ${getConfigFilePath() || 'environment only'}`
+  ];
+}
+
+/**
+ * Fathom accounts in use: the registered ones, plus the legacy single account when its keys are set
+ */
+function getFathomAccounts(config) {
+  const accounts = Object.entries(config.fathomAccounts).map(([id, account]) => ({ id, ...account }));
+  if (config.fathomApiKey || config.fathomWebhookSecrets.length > 0) {
+    accounts.unshift({ id: null, apiKey: config.fathomApiKey, webhookSecrets: config.fathomWebhookSecrets });
+  }
+  return accounts;
+}
+
+module.exports = { checkIntegrations, getStartupSummary };
@@ -0,0 +1,49 @@
+/**
+ * File store backend
+ * Keeps data in memory and snapshots it to a JSON file after every write.
+ * Survives restarts; suitable for a single instance with a persistent volume.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { log } = require('../logger');
+const { createMemoryStore } = require('./memory');
+
+/**
+ * Create a file-backed store
+ * @param {object} options - { filePath }
+ * @returns {object} - Store implementing the storage interface
+ */
+function createFileStore({ filePath }) {
+  const resolvedPath = path.resolve(filePath);
+  const store = createMemoryStore({ onChange: persist });
+
+  if (fs.existsSync(resolvedPath)) {
+    try {
+      store.restore(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+    } catch (error) {
+      log('error', 'Failed to load store file, starting empty', {
+        filePath: resolvedPath,
+        error: error.message
+      });
+    }
+  }
+
+  // Write to a temp file and rename so a crash never leaves a partial file.
+  // A failed write (disk full, read-only volume) is logged and the data stays in memory,
+  // so lookups keep working; the next successful write persists it.
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+      const tmpPath = `${resolvedPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(store.dump()));
+      fs.renameSync(tmpPath, resolvedPath);
+    } catch (error) {
+      log('error', 'Failed to persist store file', { filePath: resolvedPath, error: error.message });
+    }
+  }
+
+  return store;
+}
+
+module.exports = { createFileStore };
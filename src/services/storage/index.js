@@ -0,0 +1,56 @@
+/**
+ * Pluggable key-value storage
+ * Backs the correlation stores (Calendly bookings, HeyReach pending leads).
+ *
+ * Every backend implements the same async interface, grouped by namespace:
+ *   get(namespace, key)               -> value | null
+ *   set(namespace, key, value, ttlMs) -> void (ttlMs null = no expiry)
+ *   setIfAbsent(namespace, key, value, ttlMs)
+ *                                     -> boolean (false = key already set; atomic across instances)
+ *   delete(namespace, key)            -> boolean
+ *   take(namespace, key)              -> value | null (get and remove)
+ *   list(namespace)                   -> [{ key, value, expiresAt }]
+ *   count(namespace)                  -> number
+ *
+ * Backend is selected with STORE_BACKEND: memory (default), file, redis.
+ */
+
+const { getConfig } = require('../config');
+const { log } = require('../logger');
+const { createMemoryStore } = require('./memory');
+const { createFileStore } = require('./file');
+const { createRedisStore } = require('./redis');
+
+let store = null;
+
+/**
+ * Get the shared store, creating it from config on first use
+ * @returns {object} - Store implementing the storage interface
+ */
+function getStore() {
+  if (store) return store;
+
+  const { storage } = getConfig();
+
+  switch (storage.backend) {
+    case 'memory':
+      store = createMemoryStore();
+      break;
+    case 'file':
+      store = createFileStore({ filePath: storage.filePath });
+      break;
+    case 'redis':
+      if (!storage.redisUrl) {
+        throw new Error('STORE_BACKEND=redis requires REDIS_URL');
+      }
+      store = createRedisStore({ url: storage.redisUrl, keyPrefix: storage.redisKeyPrefix });
+      break;
+    default:
+      throw new Error(`Unknown STORE_BACKEND: ${storage.backend}`);
+  }
+
+  log('info', 'Storage backend initialized', { backend: storage.backend });
+  return store;
+}
+
+module.exports = { getStore };
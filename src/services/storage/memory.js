@@ -0,0 +1,126 @@
+/**
+ * In-memory store backend
+ * Process-local; data is lost on restart (the original behavior)
+ * Expired entries are dropped when read and by a periodic sweep, so keys that are
+ * written once and never read again (e.g. delivery ids) don't pile up.
+ */
+
+const SWEEP_INTERVAL_MS = 1000 * 60 * 10; // 10 minutes
+
+/**
+ * Create an in-memory store
+ * @param {object} options - { onChange } called after every write (used by the file backend)
+ * @returns {object} - Store implementing the storage interface
+ */
+function createMemoryStore(options = {}) {
+  const namespaces = new Map(); // key: namespace -> Map(key -> { value, expiresAt })
+  const onChange = options.onChange || (() => {});
+
+  function bucket(namespace) {
+    if (!namespaces.has(namespace)) namespaces.set(namespace, new Map());
+    return namespaces.get(namespace);
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return entry.expiresAt !== null && entry.expiresAt <= now;
+  }
+
+  // Returns the number of expired entries removed
+  function cleanup(namespace) {
+    const now = Date.now();
+    const entries = bucket(namespace);
+    let removed = 0;
+    for (const [key, entry] of entries.entries()) {
+      if (isExpired(entry, now)) {
+        entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  function sweep() {
+    let removed = 0;
+    for (const namespace of namespaces.keys()) removed += cleanup(namespace);
+    if (removed > 0) onChange();
+  }
+
+  // unref: the sweep alone must not keep the process alive
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+  return {
+    async get(namespace, key) {
+      const entries = bucket(namespace);
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        entries.delete(key);
+        onChange();
+        return null;
+      }
+      return entry.value;
+    },
+
+    async set(namespace, key, value, ttlMs = null) {
+      bucket(namespace).set(key, {
+        value,
+        expiresAt: ttlMs ? Date.now() + ttlMs : null
+      });
+      onChange();
+    },
+
+    async setIfAbsent(namespace, key, value, ttlMs = null) {
+      const entry = bucket(namespace).get(key);
+      if (entry && !isExpired(entry)) return false;
+      await this.set(namespace, key, value, ttlMs);
+      return true;
+    },
+
+    async delete(namespace, key) {
+      const deleted = bucket(namespace).delete(key);
+      if (deleted) onChange();
+      return deleted;
+    },
+
+    async take(namespace, key) {
+      const entries = bucket(namespace);
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      onChange();
+      return isExpired(entry) ? null : entry.value;
+    },
+
+    async list(namespace) {
+      if (cleanup(namespace) > 0) onChange();
+      return [...bucket(namespace).entries()].map(([key, entry]) => ({
+        key,
+        value: entry.value,
+        expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null
+      }));
+    },
+
+    async count(namespace) {
+      if (cleanup(namespace) > 0) onChange();
+      return bucket(namespace).size;
+    },
+
+    // Used by the file backend to snapshot / restore
+    dump() {
+      const data = {};
+      for (const [namespace, entries] of namespaces.entries()) {
+        data[namespace] = Object.fromEntries(entries);
+      }
+      return data;
+    },
+
+    restore(data) {
+      namespaces.clear();
+      for (const [namespace, entries] of Object.entries(data || {})) {
+        namespaces.set(namespace, new Map(Object.entries(entries)));
+      }
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
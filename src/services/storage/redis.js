@@ -0,0 +1,87 @@
+/**
+ * Redis store backend
+ * Shared across instances; TTLs are enforced by Redis itself.
+ * Keys look like `<prefix><namespace>:<key>` and values are JSON.
+ */
+
+/**
+ * Create a Redis-backed store
+ * @param {object} options - { url, keyPrefix }
+ * @returns {object} - Store implementing the storage interface
+ */
+function createRedisStore({ url, keyPrefix }) {
+  // Loaded lazily so the other backends don't need a Redis client
+  const Redis = require('ioredis');
+  const redis = new Redis(url);
+
+  const fullKey = (namespace, key) => `${keyPrefix}${namespace}:${key}`;
+
+  async function scanKeys(namespace) {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await redis.scan(cursor, 'MATCH', `${keyPrefix}${namespace}:*`, 'COUNT', 200);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  return {
+    async get(namespace, key) {
+      const raw = await redis.get(fullKey(namespace, key));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async set(namespace, key, value, ttlMs = null) {
+      const raw = JSON.stringify(value);
+      if (ttlMs) {
+        await redis.set(fullKey(namespace, key), raw, 'PX', ttlMs);
+      } else {
+        await redis.set(fullKey(namespace, key), raw);
+      }
+    },
+
+    async setIfAbsent(namespace, key, value, ttlMs = null) {
+      const raw = JSON.stringify(value);
+      const reply = ttlMs
+        ? await redis.set(fullKey(namespace, key), raw, 'PX', ttlMs, 'NX')
+        : await redis.set(fullKey(namespace, key), raw, 'NX');
+      return reply === 'OK';
+    },
+
+    async delete(namespace, key) {
+      return (await redis.del(fullKey(namespace, key))) > 0;
+    },
+
+    async take(namespace, key) {
+      // GETDEL keeps "get and remove" atomic across instances
+      const raw = await redis.getdel(fullKey(namespace, key));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async list(namespace) {
+      const keys = await scanKeys(namespace);
+      const prefix = `${keyPrefix}${namespace}:`;
+      const results = [];
+
+      for (const redisKey of keys) {
+        const [raw, ttl] = await Promise.all([redis.get(redisKey), redis.pttl(redisKey)]);
+        if (!raw) continue; // expired between SCAN and GET
+        results.push({
+          key: redisKey.slice(prefix.length),
+          value: JSON.parse(raw),
+          expiresAt: ttl > 0 ? new Date(Date.now() + ttl).toISOString() : null
+        });
+      }
+
+      return results;
+    },
+
+    async count(namespace) {
+      return (await scanKeys(namespace)).length;
+    }
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,92 @@
+/**
+ * Structured call summaries
+ * JSON schema for LLM structured outputs, and rendering of the JSON back into the
+ * markdown note (same sections as the free-form summary).
+ */
+
+const nullable = type => ({ type: [type, 'null'] });
+
+// Strict mode: every property required, no extra properties - "missing" is null / []
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: [
+    'overview',
+    'key_points',
+    'background',
+    'interest',
+    'action_items',
+    'sales_intelligence',
+    'relationship',
+    'fields'
+  ],
+  properties: {
+    overview: { type: 'string', description: 'Who was on the call, what company they represent, and the purpose of the meeting' },
+    key_points: { type: 'array', items: { type: 'string' }, description: 'All major topics discussed, with specific numbers, pain points and context' },
+    background: { type: 'string', description: 'Their business, current situation, challenges, budget, team size, tools' },
+    interest: { type: 'string', description: 'What they are interested in and the concerns they raised' },
+    action_items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['text', 'owner', 'due_date'],
+        properties: {
+          text: { type: 'string', description: 'Short imperative task' },
+          owner: { ...nullable('string'), description: 'Person responsible, as named on the call' },
+          due_date: { ...nullable('string'), description: 'YYYY-MM-DD, only when a date or timeframe was mentioned' }
+        }
+      }
+    },
+    sales_intelligence: { type: 'string', description: 'Deal potential, recommended follow-up timing, key leverage points' },
+    relationship: { type: 'string', description: 'Overall tone of the call, rapport level, buying signals or red flags' },
+    fields: {
+      type: 'object',
+      additionalProperties: false,
+      required: ['sentiment', 'deal_likelihood', 'budget', 'team_size', 'tools_used', 'objections', 'next_meeting_date'],
+      properties: {
+        sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'] },
+        deal_likelihood: { type: 'integer', description: 'Likelihood to close, 0-100' },
+        budget: { ...nullable('string'), description: 'Budget as stated, e.g. "$20k/year"' },
+        team_size: { ...nullable('integer'), description: 'Number of people on their team' },
+        tools_used: { type: 'array', items: { type: 'string' } },
+        objections: { type: 'array', items: { type: 'string' } },
+        next_meeting_date: { ...nullable('string'), description: 'YYYY-MM-DD if a follow-up meeting was agreed' }
+      }
+    }
+  }
+};
+
+/**
+ * Render a structured summary as the markdown note
+ * @param {object} data - Object matching SUMMARY_SCHEMA
+ * @returns {string} - Markdown
+ */
+function renderSummaryMarkdown(data) {
+  const fields = data.fields || {};
+  const bullets = items => (items && items.length > 0 ? items.map(item => `- ${item}`).join('\n') : '_None_');
+
+  const actionItems = (data.action_items || []).map(item => {
+    const details = [item.owner && `owner: ${item.owner}`, item.due_date && `due: ${item.due_date}`].filter(Boolean);
+    return details.length > 0 ? `${item.text} (${details.join(', ')})` : item.text;
+  });
+
+  return [
+    `## Meeting Overview\n${data.overview}`,
+    `## Key Discussion Points\n${bullets(data.key_points)}`,
+    `## Prospect/Client Background\n${data.background}`,
+    `## Interest & Objections\n${data.interest}\n\n**Objections:**\n${bullets(fields.objections)}`,
+    `## Action Items & Next Steps\n${bullets(actionItems)}`,
+    `## Sales Intelligence\n${data.sales_intelligence}`,
+    `## Sentiment & Relationship\n${data.relationship}`,
+    `## Key Facts\n` +
+      `- **Sentiment:** ${fields.sentiment || 'n/a'}\n` +
+      `- **Deal likelihood:** ${fields.deal_likelihood ?? 'n/a'}${fields.deal_likelihood != null ? '%' : ''}\n` +
+      `- **Budget:** ${fields.budget || 'n/a'}\n` +
+      `- **Team size:** ${fields.team_size ?? 'n/a'}\n` +
+      `- **Tools used:** ${fields.tools_used?.length ? fields.tools_used.join(', ') : 'n/a'}\n` +
+      `- **Next meeting:** ${fields.next_meeting_date || 'n/a'}`
+  ].join('\n\n');
+}
+
+module.exports = { SUMMARY_SCHEMA, renderSummaryMarkdown };
@@ -0,0 +1,234 @@
+/**
+ * Meeting summarization
+ * Generates meeting summaries (and action items) from transcripts with the configured LLM provider
+ */
+
+const { log } = require('./logger');
+const { getLlm } = require('./llm');
+const { SUMMARY_SCHEMA, renderSummaryMarkdown } = require('./structured-summary');
+const { estimateTokens, chunkTranscript } = require('./transcript-chunker');
+const { renderPromptTemplate } = require('./prompt-templates');
+
+/**
+ * Generate a markdown summary from a transcript with the meeting's prompt template
+ * Long transcripts are condensed chunk by chunk first (see condenseTranscript).
+ * @param {string} transcript - The meeting transcript
+ * @param {object} config - Configuration object
+ * @param {object} llm - LLM client from getLlm() (default: the global provider)
+ * @param {object} meeting - Template variables / selection fields, e.g. { source, accountId, guestName }
+ * @returns {string} - Markdown-formatted summary
+ */
+async function generateSummary(transcript, config, llm = getLlm(config), meeting = {}) {
+  const { temperature, maxTokens } = config.llm;
+  const template = renderPromptTemplate(meeting, config);
+  const input = await condenseTranscript(transcript, config, llm, template.prompt);
+
+  log('info', 'Generating summary', { template: template.name, source: meeting.source });
+
+  const summary = await llm.complete({
+    system: template.system,
+    prompt: `${template.prompt}\n\n${input.label}:\n${input.text}`,
+    temperature,
+    maxTokens
+  });
+
+  if (!summary) {
+    throw new Error('LLM returned empty response');
+  }
+
+  return summary;
+}
+
+/**
+ * Generate a summary as JSON (structured outputs with a JSON schema) - sections plus fields
+ * such as sentiment, deal likelihood, budget and team size
+ * The meeting's prompt template is used like in markdown mode, with the JSON instructions appended.
+ * @param {string} transcript - The meeting transcript
+ * @param {object} config - Configuration object
+ * @param {object} llm - LLM client from getLlm() (default: the global provider)
+ * @param {object} meeting - Template variables / selection fields, e.g. { source, accountId, guestName }
+ * @returns {object} - Object matching SUMMARY_SCHEMA
+ */
+async function generateStructuredSummary(transcript, config, llm = getLlm(config), meeting = {}) {
+  const { temperature, maxTokens } = config.llm;
+  const template = renderPromptTemplate(meeting, config);
+  const input = await condenseTranscript(transcript, config, llm, template.prompt);
+
+  log('info', 'Generating structured summary', { template: template.name, source: meeting.source });
+
+  const systemPrompt = `${template.system}
+
+Answer in the requested JSON structure instead of Markdown, putting the content the instructions ask for into its matching fields and sections. Be thorough and specific - include names, numbers, dates, and specific details mentioned. Use null (or an empty list) for anything that was not discussed - never guess.`;
+
+  const userPrompt = `${template.prompt}
+
+Respond with JSON in the requested structure - it will be used as the primary record of this conversation.
+
+${input.label}:
+${input.text}`;
+
+  const content = await llm.complete({
+    system: systemPrompt,
+    prompt: userPrompt,
+    temperature,
+    // The JSON carries the same content as the markdown note plus the extracted fields
+    maxTokens: maxTokens * 2,
+    responseFormat: { type: 'json_schema', name: 'call_summary', schema: SUMMARY_SCHEMA }
+  });
+
+  if (!content) {
+    throw new Error('LLM returned empty response');
+  }
+
+  return parseJsonResponse(content);
+}
+
+/**
+ * Map step for long transcripts: turn each chunk into detailed notes
+ * A transcript within the chunk budget is returned as-is (one LLM call in total). Otherwise it is
+ * split along speaker turns and each chunk becomes notes, which the summary (reduce) call then
+ * works from - at most config.llm.maxCallsPerMeeting calls including the reduce and, in markdown
+ * mode with action item tasks, the extraction call.
+ * @param {string} transcript - The meeting transcript
+ * @param {object} config - Configuration object
+ * @param {object} llm - LLM client from getLlm()
+ * @param {string} instructions - The summary prompt, so the notes capture what it asks for
+ * @returns {object} - { label, text } - what the summary prompt should work from
+ */
+async function condenseTranscript(transcript, config, llm, instructions) {
+  const { chunkTokens, maxCallsPerMeeting } = config.llm;
+
+  if (estimateTokens(transcript) <= chunkTokens) {
+    return { label: 'TRANSCRIPT', text: transcript };
+  }
+
+  // Keep one call for the reduce pass, and one for action items unless the structured summary has them
+  const reserved = config.actionItemTasks && config.llm.summaryMode !== 'structured' ? 2 : 1;
+  const chunks = chunkTranscript(transcript, chunkTokens, Math.max(maxCallsPerMeeting - reserved, 1));
+  log('info', 'Summarizing long transcript in chunks', {
+    estimatedTokens: estimateTokens(transcript),
+    chunks: chunks.length
+  });
+
+  const notes = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunkNotes = await summarizeChunk(chunks[i], i + 1, chunks.length, instructions, config, llm);
+    notes.push(`### Part ${i + 1} of ${chunks.length}\n\n${chunkNotes}`);
+  }
+
+  return {
+    label: 'NOTES FROM CONSECUTIVE PARTS OF THE CALL (combine them into one summary; later parts supersede earlier ones)',
+    text: notes.join('\n\n')
+  };
+}
+
+/**
+ * Extract detailed notes from one chunk of a transcript
+ */
+async function summarizeChunk(chunk, part, totalParts, instructions, config, llm) {
+  const { maxTokens } = config.llm;
+
+  const systemPrompt = `You are an expert meeting analyst taking notes on one part of a longer call. Your notes will be merged with notes from the other parts into the final summary, so keep every specific detail - names, numbers, prices, dates, objections, commitments and who owns them. Output valid Markdown.`;
+
+  const userPrompt = `This is part ${part} of ${totalParts} of a call transcript. The final summary will be written with the instructions below - take detailed notes on everything from this part that it asks for, leaving out what this part doesn't cover.
+
+FINAL SUMMARY INSTRUCTIONS:
+${instructions}
+
+TRANSCRIPT (PART ${part} OF ${totalParts}):
+${chunk}`;
+
+  const notes = await llm.complete({
+    system: systemPrompt,
+    prompt: userPrompt,
+    temperature: 0.2,
+    maxTokens
+  });
+
+  if (!notes) {
+    throw new Error(`LLM returned empty notes for transcript part ${part}`);
+  }
+
+  return notes;
+}
+
+/**
+ * Summarize a transcript in the configured mode (config.llm.summaryMode)
+ * @param {string} transcript - The meeting transcript
+ * @param {object} config - Configuration object
+ * @param {object} llm - LLM client from getLlm() (default: the global provider)
+ * @param {object} meeting - Template variables / selection fields, e.g. { source, accountId, guestName }
+ * @returns {object} - { summary, summaryData } - markdown note, and the structured JSON (null in markdown mode)
+ */
+async function summarizeTranscript(transcript, config, llm = getLlm(config), meeting = {}) {
+  if (config.llm.summaryMode !== 'structured') {
+    return { summary: await generateSummary(transcript, config, llm, meeting), summaryData: null };
+  }
+
+  const summaryData = await generateStructuredSummary(transcript, config, llm, meeting);
+  return { summary: renderSummaryMarkdown(summaryData), summaryData };
+}
+
+/**
+ * Extract action items from a meeting summary as structured data
+ * @param {string} summary - Markdown summary from generateSummary()
+ * @param {object} config - Configuration object
+ * @param {string} meetingDate - ISO date of the meeting, to resolve relative due dates
+ * @param {object} llm - LLM client from getLlm() (default: the global provider)
+ * @returns {object[]} - [{ text, owner, dueDate }] (owner / dueDate null when not mentioned)
+ */
+async function extractActionItems(summary, config, meetingDate = null, llm = getLlm(config)) {
+  const systemPrompt = `You extract action items from meeting notes. Respond with JSON only.`;
+
+  const userPrompt = `List every action item / next step from these meeting notes.
+
+Respond with a JSON object: {"action_items": [{"text": string, "owner": string|null, "due_date": "YYYY-MM-DD"|null}]}
+- text: the action, written as a short imperative task
+- owner: the person responsible, as named in the notes, or null
+- due_date: only when a date or timeframe is mentioned${meetingDate ? ` (the meeting was on ${meetingDate})` : ''}, otherwise null
+Return {"action_items": []} if there are none.
+
+MEETING NOTES:
+${summary}`;
+
+  const content = await llm.complete({
+    system: systemPrompt,
+    prompt: userPrompt,
+    temperature: 0,
+    maxTokens: config.llm.maxTokens,
+    responseFormat: { type: 'json_object' }
+  });
+
+  return normalizeActionItems(parseJsonResponse(content || '{}').action_items);
+}
+
+/**
+ * Normalize model-produced action items, dropping empty ones and unparseable dates
+ * @param {object[]} items - [{ text, owner, due_date }]
+ * @returns {object[]} - [{ text, owner, dueDate }]
+ */
+function normalizeActionItems(items) {
+  return (Array.isArray(items) ? items : [])
+    .filter(item => item && typeof item.text === 'string' && item.text.trim())
+    .map(item => ({
+      text: item.text.trim(),
+      owner: item.owner || null,
+      dueDate: /^\d{4}-\d{2}-\d{2}$/.test(item.due_date || '') ? item.due_date : null
+    }));
+}
+
+/**
+ * Parse a JSON response, tolerating a markdown code fence around it (some local models add one)
+ */
+function parseJsonResponse(content) {
+  const fenced = content.trim().match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  return JSON.parse(fenced ? fenced[1] : content);
+}
+
+module.exports = {
+  generateSummary,
+  generateStructuredSummary,
+  summarizeTranscript,
+  extractActionItems,
+  normalizeActionItems
+};
@@ -0,0 +1,56 @@
+/**
+ * Recent sync outcomes
+ * One record per finished sync (success or failure) so operators can see what
+ * happened to a given email or LinkedIn profile without digging through logs.
+ */
+
+const crypto = require('crypto');
+const { getStore } = require('./storage');
+const { log } = require('./logger');
+
+const NAMESPACE = 'sync_outcomes'; // key: random id -> outcome
+const TTL_MS = 1000 * 60 * 60 * 24 * 7; // 7 days
+
+/**
+ * Record the outcome of a sync (best-effort, never throws)
+ * @param {object} outcome - { source, status: 'success' | 'failed', email, linkedinUrl, personId, noteId, failedStep, error }
+ */
+async function recordSyncOutcome(outcome) {
+  const record = {
+    source: outcome.source,
+    status: outcome.status,
+    email: outcome.email || null,
+    linkedinUrl: outcome.linkedinUrl || null,
+    personId: outcome.personId || null,
+    noteId: outcome.noteId || null,
+    failedStep: outcome.failedStep || null,
+    error: outcome.error || null,
+    at: new Date().toISOString()
+  };
+
+  try {
+    await getStore().set(NAMESPACE, crypto.randomUUID(), record, TTL_MS);
+  } catch (error) {
+    log('warn', 'Failed to record sync outcome', { error: error.message });
+  }
+}
+
+/**
+ * List recent outcomes, newest first
+ * @param {object} filters - { source, email, linkedinUrl, limit }
+ * @returns {object[]}
+ */
+async function listSyncOutcomes({ source, email, linkedinUrl, limit = 100 } = {}) {
+  const needle = email?.toLowerCase();
+  const entries = await getStore().list(NAMESPACE);
+
+  return entries
+    .map(entry => entry.value)
+    .filter(rec => !source || rec.source === source)
+    .filter(rec => !needle || rec.email?.toLowerCase() === needle)
+    .filter(rec => !linkedinUrl || rec.linkedinUrl === linkedinUrl)
+    .sort((a, b) => new Date(b.at) - new Date(a.at))
+    .slice(0, limit);
+}
+
+module.exports = { recordSyncOutcome, listSyncOutcomes };
@@ -0,0 +1,72 @@
+/**
+ * tl;dv integration
+ * Meeting and transcript fetching
+ * (the webhook payload is parsed by the tl;dv source adapter, services/sources/tldv.js;
+ * tl;dv doesn't sign webhooks, so the route is authenticated by the webhook-auth middleware)
+ * Docs: https://doc.tldv.io
+ */
+
+const axios = require('axios');
+const { log } = require('./logger');
+const { transcriptPollAttempts } = require('./metrics');
+
+const TLDV_API_BASE = 'https://pasta.tldv.io/v1alpha1';
+const REQUEST_TIMEOUT_MS = 30000; // a stalled API must not hang the sync
+
+/**
+ * Fetch a meeting from the tl;dv API
+ * @param {string} meetingId - tl;dv meeting ID
+ * @param {string} apiKey - tl;dv API key
+ * @returns {object} - { id, name, happenedAt, url, duration, organizer: { name, email }, invitees: [{ name, email }] }
+ */
+async function fetchTldvMeeting(meetingId, apiKey) {
+  log('info', 'Fetching meeting from tl;dv API', { meetingId });
+
+  try {
+    const response = await axios.get(`${TLDV_API_BASE}/meetings/${meetingId}`, {
+      headers: { 'x-api-key': apiKey },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    return response.data;
+
+  } catch (error) {
+    log('error', 'Failed to fetch tl;dv meeting', {
+      status: error.response?.status,
+      message: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Fetch a meeting's transcript from the tl;dv API
+ * @param {string} meetingId - tl;dv meeting ID
+ * @param {string} apiKey - tl;dv API key
+ * @returns {object[]} - Speaker segments: [{ speaker, text, startTime, endTime }]
+ */
+async function fetchTldvTranscript(meetingId, apiKey) {
+  log('info', 'Fetching transcript from tl;dv API', { meetingId });
+
+  try {
+    const response = await axios.get(`${TLDV_API_BASE}/meetings/${meetingId}/transcript`, {
+      headers: { 'x-api-key': apiKey },
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    transcriptPollAttempts.inc({ source: 'tldv', result: 'ready' });
+    return response.data?.data || [];
+
+  } catch (error) {
+    transcriptPollAttempts.inc({ source: 'tldv', result: 'error' });
+    log('error', 'Failed to fetch tl;dv transcript', {
+      status: error.response?.status,
+      message: error.message
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  fetchTldvMeeting,
+  fetchTldvTranscript
+};
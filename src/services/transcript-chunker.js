@@ -0,0 +1,130 @@
+/**
+ * Transcript chunking for map-reduce summarization
+ * Splits a transcript into chunks of whole speaker turns that fit a token budget.
+ * Tokens are estimated (~4 characters per token for English) - close enough for budgeting
+ * without shipping a tokenizer.
+ */
+
+const { log } = require('./logger');
+
+const CHARS_PER_TOKEN = 4;
+
+// "Speaker: text", "(12:34) Speaker: text" or "[00:12:34] Speaker: text" starts a new turn
+const SPEAKER_LINE = /^\s*(?:[([]?\d{1,2}(?::\d{2}){1,2}[)\]]?\s*)?[^:\n]{1,60}:\s/;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Split a transcript into speaker turns
+ * Lines that don't start a new turn are continuations of the previous one.
+ * @param {string} transcript
+ * @returns {string[]}
+ */
+function splitSpeakerTurns(transcript) {
+  const turns = [];
+
+  for (const line of transcript.split('\n')) {
+    if (!line.trim()) continue;
+
+    if (turns.length === 0 || SPEAKER_LINE.test(line)) {
+      turns.push(line);
+    } else {
+      turns[turns.length - 1] += `\n${line}`;
+    }
+  }
+
+  return turns;
+}
+
+/**
+ * Split a transcript into chunks of at most `maxTokens` (estimated)
+ * Chunks break between speaker turns; a single turn longer than the budget is split
+ * between sentences (or words). When that gives more than `maxChunks` chunks, the
+ * budget is raised until it fits, so the number of LLM calls stays capped.
+ * @param {string} transcript
+ * @param {number} maxTokens - Token budget per chunk
+ * @param {number} maxChunks - Maximum number of chunks
+ * @returns {string[]}
+ */
+function chunkTranscript(transcript, maxTokens, maxChunks = Infinity) {
+  const turns = splitSpeakerTurns(transcript);
+  let budget = maxTokens;
+  let chunks = packTurns(turns, budget);
+
+  while (chunks.length > maxChunks) {
+    budget = Math.max(Math.ceil(estimateTokens(transcript) / maxChunks), Math.ceil(budget * 1.1));
+    chunks = packTurns(turns, budget);
+  }
+
+  if (budget !== maxTokens) {
+    log('warn', 'Raised transcript chunk size to stay within the LLM call cap', {
+      chunkTokens: maxTokens,
+      raisedTo: budget,
+      chunks: chunks.length
+    });
+  }
+
+  return chunks;
+}
+
+/**
+ * Greedily pack turns into chunks within the budget
+ */
+function packTurns(turns, maxTokens) {
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    if (current.length > 0) chunks.push(current.join('\n\n'));
+    current = [];
+    currentTokens = 0;
+  };
+
+  for (const turn of turns) {
+    const pieces = estimateTokens(turn) > maxTokens ? splitLongText(turn, maxTokens) : [turn];
+
+    for (const piece of pieces) {
+      const tokens = estimateTokens(piece);
+      if (currentTokens + tokens > maxTokens) flush();
+      current.push(piece);
+      currentTokens += tokens;
+    }
+  }
+
+  flush();
+  return chunks;
+}
+
+/**
+ * Split one oversized turn between sentences, falling back to words
+ */
+function splitLongText(text, maxTokens) {
+  const maxChars = maxTokens * CHARS_PER_TOKEN;
+  const units = text.split(/(?<=[.!?])\s+/).flatMap(sentence =>
+    sentence.length > maxChars ? sentence.split(/\s+/) : [sentence]
+  );
+
+  const pieces = [];
+  let current = '';
+
+  for (const unit of units) {
+    if (current && current.length + unit.length + 1 > maxChars) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current} ${unit}` : unit;
+  }
+
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+module.exports = { estimateTokens, splitSpeakerTurns, chunkTranscript };
@@ -1,21 +1,37 @@
 /**
  * Main webhook handler
- * Orchestrates the full flow: Calendly → OpenAI → Attio
+ * Handles Calendly bookings: stores them for correlation and schedules a durable sync job
+ * that runs after the meeting ends, through the shared meeting pipeline (Calendly → LLM summary → Attio).
  */
 
 const { getConfig } = require('./config');
 const { log } = require('./logger');
-const { pollForTranscript } = require('./calendly');
-const { generateSummary } = require('./openai');
-const { upsertPersonAndNote } = require('./attio');
+const { getTranscriptRetryDelay } = require('./calendly');
+const { addNoteToPersonByEmail } = require('./attio');
+const { advancePipelineForEmail } = require('./attio-pipeline');
 const { sendSlackError } = require('./slack');
-const { addBooking } = require('./meeting-store');
+const { addBooking, removeBooking } = require('./meeting-store');
+const { getWorkspaceConfig } = require('./attio-workspaces');
+const { syncMeeting } = require('./meeting-pipeline');
+const { getSource } = require('./sources');
+const { registerJobHandler, enqueueJob, cancelJob, retryLater } = require('./job-queue');
+const { recordFailure, registerRetryHandler } = require('./dead-letter');
+const { stepFailures } = require('./metrics');
+
+const SYNC_JOB_TYPE = 'calendly.sync';
+const WEBHOOK_SOURCE = 'calendly.webhook';
 
 /**
  * Handle incoming Calendly webhook
- * This is the main orchestration function
+ * - invitee.created: stores the booking for correlation and schedules the sync job
+ *   (for a reschedule, the old invitee's booking and sync are released first)
+ * - invitee.canceled: cancels the invitee's pending sync and drops their booking
+ * Bookings and sync jobs are kept per invitee, so one guest canceling a group event
+ * doesn't drop the other guests' syncs.
+ * @param {object} payload - Calendly webhook body
+ * @param {object} options - { failureId } - dead-letter id to record a failure under (when retrying one)
  */
-async function handleCalendlyWebhook(payload) {
+async function handleCalendlyWebhook(payload, { failureId = null } = {}) {
   const config = getConfig();
   let currentStep = 'parse_payload';
 
@@ -23,17 +39,24 @@ async function handleCalendlyWebhook(payload) {
     // Step 1: Parse the webhook payload
     log('info', 'Processing Calendly webhook', { event: payload.event });
 
-    // Only process invitee.created events
+    if (payload.event === 'invitee.canceled') {
+      currentStep = 'handle_cancellation';
+      return await handleInviteeCanceled(payload.payload, config);
+    }
+
     if (payload.event !== 'invitee.created') {
       log('info', 'Skipping non-invitee event', { event: payload.event });
       return;
     }
 
     const eventData = payload.payload;
-    const eventUri = eventData.scheduled_event?.uri;
-    const eventUuid = eventUri?.split('/').pop();
+    const eventUuid = getEventUuid(eventData.scheduled_event?.uri);
+    const inviteeUuid = getInviteeUuid(eventData.uri);
+    // Set when this booking replaces an earlier one (Calendly reschedule): the old invitee
+    const rescheduledFrom = getInviteeUuid(eventData.old_invitee);
     const guestEmail = eventData.email;
     const guestName = eventData.name || '';
+    const eventType = eventData.scheduled_event?.name || null;
     const endTime = new Date(eventData.scheduled_event?.end_time);
     const startTime = new Date(eventData.scheduled_event?.start_time);
     const location = eventData.scheduled_event?.location || {};
@@ -44,67 +67,58 @@ async function handleCalendlyWebhook(payload) {
       location.data?.join_url ||
       location.data?.url ||
       null;
-    const hostEmail =
-      (eventData.scheduled_event?.event_memberships || [])
-        .map(m => m.user?.email || m.email)
-        .find(Boolean) || null;
+    const hostEmail = getHostEmail(eventData);
 
-    if (!eventUuid || !guestEmail) {
-      throw new Error('Missing required fields: eventUuid or guestEmail');
+    if (!eventUuid || !inviteeUuid || !guestEmail) {
+      throw new Error('Missing required fields: eventUuid, inviteeUuid or guestEmail');
     }
 
-    log('info', 'Parsed webhook data', { eventUuid, guestEmail, endTime });
+    log('info', 'Parsed webhook data', { eventUuid, inviteeUuid, guestEmail, endTime });
 
     // Store booking context for later Fathom correlation
-    addBooking({
+    await addBooking({
+      inviteeUuid,
       eventUuid,
       meetingUrl,
       startTime: startTime?.toISOString(),
       endTime: endTime?.toISOString(),
       guestEmail,
       guestName,
-      hostEmail
+      hostEmail,
+      eventType,
+      rescheduledFrom
     });
 
-    // Step 2: Wait for meeting to end (if not already)
-    currentStep = 'wait_for_meeting';
-    const now = new Date();
-    if (now < endTime) {
-      const waitMs = endTime - now + 60000; // Wait until end + 1 minute
-      log('info', `Meeting not ended, waiting ${waitMs}ms`);
-      await sleep(waitMs);
-    }
-
-    // Step 3: Poll for transcript
-    currentStep = 'poll_transcript';
-    log('info', 'Polling for transcript...');
-    const transcript = await pollForTranscript(eventUuid, config);
-
-    if (!transcript) {
-      throw new Error('Transcript not available after maximum retries');
+    if (rescheduledFrom) {
+      currentStep = 'link_reschedule';
+      await releaseBooking(rescheduledFrom, `Rescheduled to ${inviteeUuid}`);
+      log('info', 'Meeting rescheduled', { from: rescheduledFrom, to: inviteeUuid, eventUuid, endTime });
     }
 
-    log('info', 'Transcript retrieved', { length: transcript.length });
+    // Move the person's pipeline entry forward (best-effort, only if they're already in it)
+    const workspaceConfig = getWorkspaceConfig(config, { source: 'calendly', hostEmail });
+    await advancePipelineForEmail(guestEmail, workspaceConfig.pipeline.bookedStage, workspaceConfig);
 
-    // Step 4: Generate AI summary
-    currentStep = 'generate_summary';
-    log('info', 'Generating AI summary...');
-    const summary = await generateSummary(transcript, config);
+    // Step 2: Schedule the sync for when the meeting ends (+ 1 minute)
+    currentStep = 'schedule_sync';
+    const runAt = isNaN(endTime) ? new Date() : new Date(endTime.getTime() + 60000);
+    const job = enqueueJob(
+      SYNC_JOB_TYPE,
+      {
+        eventUuid,
+        inviteeUuid,
+        guestEmail,
+        guestName,
+        hostEmail,
+        eventType,
+        startTime: isNaN(startTime) ? null : startTime.toISOString(),
+        endTime: isNaN(endTime) ? null : endTime.toISOString(),
+        meetingUrl
+      },
+      { id: getSyncJobId(inviteeUuid), runAt }
+    );
 
-    log('info', 'Summary generated', { length: summary.length });
-
-    // Step 5: Upsert to Attio
-    currentStep = 'attio_upsert';
-    log('info', 'Upserting to Attio...');
-    const result = await upsertPersonAndNote(guestEmail, guestName, summary, config);
-
-    log('info', 'Successfully synced to Attio', {
-      personId: result.personId,
-      noteId: result.noteId,
-      guestEmail
-    });
-
-    return result;
+    return { jobId: job.id, runAt: job.runAt };
 
   } catch (error) {
     log('error', `Failed at step: ${currentStep}`, {
@@ -115,15 +129,129 @@ async function handleCalendlyWebhook(payload) {
     // Send Slack notification if configured
     await sendSlackError(currentStep, error, config);
 
+    stepFailures.inc({ source: 'calendly', account: 'default', step: currentStep });
+    await recordFailure({
+      id: failureId || (payload.payload?.uri ? `${WEBHOOK_SOURCE}:${payload.event}:${payload.payload.uri}` : null),
+      source: WEBHOOK_SOURCE,
+      payload,
+      failedStep: currentStep,
+      error
+    });
+
     throw error;
   }
 }
 
 /**
- * Sleep helper
+ * Handle invitee.canceled
+ * A reschedule also arrives as a cancellation (rescheduled: true) of the old invitee;
+ * the new invitee's invitee.created schedules its own sync.
+ * @param {object} eventData - Calendly invitee payload
+ * @param {object} config - Configuration object
+ * @returns {object} - { eventUuid, inviteeUuid, status, ... }
  */
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
+async function handleInviteeCanceled(eventData, config) {
+  const eventUuid = getEventUuid(eventData.scheduled_event?.uri);
+  const inviteeUuid = getInviteeUuid(eventData.uri);
+  if (!inviteeUuid) {
+    throw new Error('Missing required field: inviteeUuid');
+  }
+
+  if (eventData.rescheduled) {
+    const newInviteeUuid = getInviteeUuid(eventData.new_invitee);
+    await releaseBooking(inviteeUuid, `Rescheduled to ${newInviteeUuid}`);
+    log('info', 'Meeting rescheduled, old sync released', { from: inviteeUuid, to: newInviteeUuid, eventUuid });
+    return { eventUuid, inviteeUuid, status: 'rescheduled', rescheduledTo: newInviteeUuid };
+  }
+
+  const cancellation = eventData.cancellation || {};
+  await releaseBooking(inviteeUuid, 'Meeting canceled');
+  log('info', 'Meeting canceled', { eventUuid, inviteeUuid, reason: cancellation.reason || null });
+
+  let noteId = null;
+  if (config.calendlyCancellationNotes && eventData.email) {
+    const startTime = eventData.scheduled_event?.start_time || 'n/a';
+    const content =
+      `## Meeting canceled\n\n` +
+      `**Scheduled for:** ${startTime}\n` +
+      `**Canceled by:** ${cancellation.canceled_by || 'n/a'} (${cancellation.canceler_type || 'unknown'})\n` +
+      `**Reason:** ${cancellation.reason || '_No reason given_'}\n`;
+    const today = new Date().toISOString().split('T')[0];
+    const workspaceConfig = getWorkspaceConfig(config, { source: 'calendly', hostEmail: getHostEmail(eventData) });
+    const note = await addNoteToPersonByEmail(eventData.email, `Meeting Canceled - ${today}`, content, workspaceConfig);
+    noteId = note?.noteId || null;
+  }
+
+  return { eventUuid, inviteeUuid, status: 'canceled', noteId };
+}
+
+/**
+ * Cancel the pending sync for an invitee and drop their booking
+ * @param {string} inviteeUuid - Calendly invitee UUID
+ * @param {string} reason - Why (for logs)
+ */
+async function releaseBooking(inviteeUuid, reason) {
+  const jobCanceled = cancelJob(getSyncJobId(inviteeUuid), reason);
+  const bookingRemoved = await removeBooking(inviteeUuid);
+  log('info', 'Released Calendly booking', { inviteeUuid, jobCanceled, bookingRemoved, reason });
 }
 
-module.exports = { handleCalendlyWebhook };
+/**
+ * Id of an invitee's sync job
+ */
+function getSyncJobId(inviteeUuid) {
+  return `calendly:${inviteeUuid}`;
+}
+
+/**
+ * Email of the event's (first) host
+ */
+function getHostEmail(eventData) {
+  return (eventData.scheduled_event?.event_memberships || [])
+    .map(m => m.user?.email || m.email)
+    .find(Boolean) || null;
+}
+
+/**
+ * Extract the event UUID from a scheduled event or invitee URI
+ * e.g. .../scheduled_events/<uuid> or .../scheduled_events/<uuid>/invitees/<invitee>
+ */
+function getEventUuid(uri) {
+  if (!uri) return null;
+  const match = uri.match(/scheduled_events\/([^/?#]+)/);
+  return match ? match[1] : uri.split('/').pop() || null;
+}
+
+/**
+ * Extract the invitee UUID from an invitee URI
+ * e.g. .../scheduled_events/<uuid>/invitees/<invitee>
+ */
+function getInviteeUuid(uri) {
+  if (!uri) return null;
+  const match = uri.match(/invitees\/([^/?#]+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Run the Calendly sync job: transcript → summary → Attio (see meeting-pipeline.js)
+ * Each transcript poll is one job attempt; the job reschedules itself until the
+ * transcript is ready or the retry budget is spent.
+ * @param {object} data - { eventUuid, inviteeUuid, guestEmail, guestName, hostEmail, eventType, startTime, endTime, meetingUrl }
+ * @param {object} job - Job record (attempts is 1-based)
+ */
+async function runCalendlySync(data, job) {
+  const config = getConfig();
+  const result = await syncMeeting(getSource('calendly'), data, { job });
+  if (!result) {
+    return retryLater(getTranscriptRetryDelay(job.attempts, config.retry), 'Transcript not ready');
+  }
+  return result;
+}
+
+registerJobHandler(SYNC_JOB_TYPE, runCalendlySync);
+
+// Dead-letter retries: a failed webhook is handled again from the original payload
+// (failed syncs are retried by the meeting pipeline, see services/sources)
+registerRetryHandler(WEBHOOK_SOURCE, record => handleCalendlyWebhook(record.payload, { failureId: record.id }));
+
+module.exports = { handleCalendlyWebhook, runCalendlySync };
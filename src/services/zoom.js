@@ -0,0 +1,188 @@
+/**
+ * Zoom cloud recording integration
+ * Webhook verification (signature + endpoint URL validation), transcript download and VTT parsing
+ * (the webhook payload is parsed by the Zoom source adapter, services/sources/zoom.js)
+ * Docs: https://developers.zoom.us/docs/api/webhooks/
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { log } = require('./logger');
+const { transcriptPollAttempts } = require('./metrics');
+
+const ZOOM_OAUTH_URL = 'https://zoom.us/oauth/token';
+const REQUEST_TIMEOUT_MS = 30000; // a stalled API must not hang the sync
+
+// Server-to-Server OAuth token, reused until shortly before it expires
+let cachedToken = null;
+
+/**
+ * Verify Zoom webhook signature
+ * x-zm-signature is "v0=" + hex HMAC-SHA256 of "v0:<x-zm-request-timestamp>:<raw body>",
+ * keyed with the app's secret token.
+ * @param {object} headers - { signature, timestamp } from x-zm-signature / x-zm-request-timestamp
+ * @param {string} rawBody - Raw request body
+ * @param {string} secretToken - Webhook secret token of the Zoom app
+ * @param {number} toleranceSeconds - Max age of the timestamp (replay protection)
+ * @returns {boolean} - True if valid
+ */
+function verifyZoomWebhook({ signature, timestamp }, rawBody, secretToken, toleranceSeconds) {
+  // If no secret configured, skip verification
+  if (!secretToken) {
+    log('warn', 'Zoom webhook secret token not configured, skipping verification');
+    return true;
+  }
+
+  if (!signature || !timestamp || !rawBody) {
+    log('warn', 'Zoom webhook missing signature headers or body');
+    return false;
+  }
+
+  const ageSeconds = Math.abs(Date.now() / 1000 - parseInt(timestamp, 10));
+  if (!(ageSeconds <= toleranceSeconds)) {
+    log('warn', 'Zoom webhook timestamp outside tolerance', { ageSeconds, toleranceSeconds });
+    return false;
+  }
+
+  const expected = Buffer.from(
+    `v0=${crypto.createHmac('sha256', secretToken).update(`v0:${timestamp}:${rawBody}`).digest('hex')}`,
+    'utf8'
+  );
+  const provided = Buffer.from(signature, 'utf8');
+
+  return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+}
+
+/**
+ * Response to Zoom's endpoint.url_validation challenge
+ * Zoom sends it when the webhook is saved and every few days after; the endpoint is
+ * disabled if it isn't answered.
+ * @param {string} plainToken - payload.plainToken from the challenge
+ * @param {string} secretToken - Webhook secret token of the Zoom app
+ * @returns {object} - { plainToken, encryptedToken }
+ */
+function getUrlValidationResponse(plainToken, secretToken) {
+  return {
+    plainToken,
+    encryptedToken: crypto.createHmac('sha256', secretToken).update(plainToken).digest('hex')
+  };
+}
+
+/**
+ * Get an access token for recording downloads
+ * Uses the webhook's download_token when Zoom included one (valid 24h), otherwise a
+ * Server-to-Server OAuth token from ZOOM_ACCOUNT_ID / ZOOM_CLIENT_ID / ZOOM_CLIENT_SECRET.
+ * @param {string|null} downloadToken - download_token from the webhook body
+ * @param {object} config - Configuration object
+ * @returns {string} - Access token
+ */
+async function getZoomAccessToken(downloadToken, config) {
+  if (downloadToken) return downloadToken;
+
+  const { zoomAccountId, zoomClientId, zoomClientSecret } = config;
+  if (!zoomAccountId || !zoomClientId || !zoomClientSecret) {
+    throw new Error('Zoom webhook has no download_token and ZOOM_ACCOUNT_ID / ZOOM_CLIENT_ID / ZOOM_CLIENT_SECRET are not set');
+  }
+
+  if (cachedToken && cachedToken.expiresAt > Date.now()) {
+    return cachedToken.accessToken;
+  }
+
+  const response = await axios.post(ZOOM_OAUTH_URL, null, {
+    params: { grant_type: 'account_credentials', account_id: zoomAccountId },
+    auth: { username: zoomClientId, password: zoomClientSecret },
+    timeout: REQUEST_TIMEOUT_MS
+  });
+
+  cachedToken = {
+    accessToken: response.data.access_token,
+    // Renew a minute early
+    expiresAt: Date.now() + ((response.data.expires_in || 3600) - 60) * 1000
+  };
+  return cachedToken.accessToken;
+}
+
+/**
+ * Download a recording's VTT transcript
+ * @param {string} downloadUrl - download_url of the TRANSCRIPT recording file
+ * @param {string} accessToken - Token from getZoomAccessToken()
+ * @returns {string} - WebVTT text
+ */
+async function downloadZoomTranscript(downloadUrl, accessToken) {
+  log('info', 'Downloading transcript from Zoom');
+
+  try {
+    const response = await axios.get(downloadUrl, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      responseType: 'text',
+      timeout: REQUEST_TIMEOUT_MS
+    });
+
+    transcriptPollAttempts.inc({ source: 'zoom', result: 'ready' });
+    return response.data;
+
+  } catch (error) {
+    transcriptPollAttempts.inc({ source: 'zoom', result: 'error' });
+    log('error', 'Failed to download Zoom transcript', {
+      status: error.response?.status,
+      message: error.message
+    });
+    throw error;
+  }
+}
+
+/**
+ * Parse a Zoom WebVTT transcript into speaker segments
+ * Zoom writes one cue per utterance with the speaker as a "Name: " prefix:
+ *
+ *   1
+ *   00:00:01.230 --> 00:00:04.560
+ *   Jane Doe: Thanks for joining.
+ *
+ * Consecutive cues from the same speaker are merged into one segment.
+ * @param {string} vtt - WebVTT text
+ * @returns {object[]} - [{ speaker, text, startSeconds }]
+ */
+function parseVtt(vtt) {
+  const segments = [];
+
+  for (const block of String(vtt || '').replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.split('\n').map(line => line.trim()).filter(Boolean);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue; // WEBVTT header, NOTE or STYLE blocks
+
+    const cue = lines.slice(timingIndex + 1).join(' ');
+    if (!cue) continue;
+
+    const speakerMatch = cue.match(/^([^:]{1,80}):\s+(.*)$/);
+    const speaker = speakerMatch ? speakerMatch[1] : 'Speaker';
+    const text = speakerMatch ? speakerMatch[2] : cue;
+    const startSeconds = parseVttTime(lines[timingIndex].split('-->')[0]);
+
+    const previous = segments[segments.length - 1];
+    if (previous && previous.speaker === speaker) {
+      previous.text += ` ${text}`;
+    } else {
+      segments.push({ speaker, text, startSeconds });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Seconds from a VTT timestamp ("hh:mm:ss.mmm" or "mm:ss.mmm")
+ */
+function parseVttTime(value) {
+  const parts = value.trim().split(':').map(parseFloat);
+  if (parts.some(Number.isNaN)) return null;
+  return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+module.exports = {
+  verifyZoomWebhook,
+  getUrlValidationResponse,
+  getZoomAccessToken,
+  downloadZoomTranscript,
+  parseVtt
+};
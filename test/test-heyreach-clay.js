@@ -71,8 +71,9 @@ const sampleClayPayload = {
 
 /**
  * Send a POST request to the webhook endpoint
+ * Sends the shared secret (header mode) when one is set in the environment
  */
-function sendWebhook(endpoint, payload) {
+function sendWebhook(endpoint, payload, secret = null) {
   return new Promise((resolve, reject) => {
     const url = new URL(endpoint, SERVER_URL);
     const data = JSON.stringify(payload);
@@ -84,7 +85,8 @@ function sendWebhook(endpoint, payload) {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        'Content-Length': Buffer.byteLength(data)
+        'Content-Length': Buffer.byteLength(data),
+        ...(secret ? { 'x-webhook-secret': secret } : {})
       }
     };
 
@@ -122,7 +124,7 @@ async function runTests() {
     console.log(`   Lead: ${sampleHeyReachPayload.lead.name}`);
     console.log(`   Messages: ${sampleHeyReachPayload.messages.length} messages`);
     
-    const heyreachRes = await sendWebhook('/webhook/heyreach', sampleHeyReachPayload);
+    const heyreachRes = await sendWebhook('/webhook/heyreach', sampleHeyReachPayload, process.env.HEYREACH_WEBHOOK_SECRET);
     console.log(`   Response: ${heyreachRes.statusCode} - ${JSON.stringify(heyreachRes.body)}`);
 
     // Give it a moment to process
@@ -135,7 +137,7 @@ async function runTests() {
     console.log(`   Email: ${sampleClayPayload.data.email}`);
     console.log(`   Phone: ${sampleClayPayload.data.phone}`);
     
-    const clayRes = await sendWebhook('/webhook/clay', sampleClayPayload);
+    const clayRes = await sendWebhook('/webhook/clay', sampleClayPayload, process.env.CLAY_WEBHOOK_SECRET);
     console.log(`   Response: ${clayRes.statusCode} - ${JSON.stringify(clayRes.body)}`);
 
     console.log('\n' + '='.repeat(60));
@@ -3,11 +3,13 @@
  * Run with: npm test
  */
 
+const crypto = require('crypto');
 const axios = require('axios');
 
 const TEST_PAYLOAD = {
   event: 'invitee.created',
   payload: {
+    uri: 'https://api.calendly.com/scheduled_events/TEST-EVENT-123/invitees/TEST-INVITEE-123',
     email: 'test@example.com',
     name: 'Test User',
     scheduled_event: {
@@ -18,15 +20,36 @@ const TEST_PAYLOAD = {
   }
 };
 
+/**
+ * Build request headers, signing the body like Calendly does when
+ * CALENDLY_WEBHOOK_SIGNING_KEY is set
+ */
+function buildHeaders(body) {
+  const headers = { 'Content-Type': 'application/json' };
+  const signingKey = process.env.CALENDLY_WEBHOOK_SIGNING_KEY;
+
+  if (signingKey) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto
+      .createHmac('sha256', signingKey)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+    headers['Calendly-Webhook-Signature'] = `t=${timestamp},v1=${signature}`;
+  }
+
+  return headers;
+}
+
 async function testWebhook() {
   const url = process.env.WEBHOOK_URL || 'http://localhost:3000/webhook/calendly';
+  const body = JSON.stringify(TEST_PAYLOAD);
 
   console.log('Sending test webhook to:', url);
   console.log('Payload:', JSON.stringify(TEST_PAYLOAD, null, 2));
 
   try {
-    const response = await axios.post(url, TEST_PAYLOAD, {
-      headers: { 'Content-Type': 'application/json' }
+    const response = await axios.post(url, body, {
+      headers: buildHeaders(body)
     });
 
     console.log('\n✅ Webhook accepted');
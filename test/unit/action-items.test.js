@@ -0,0 +1,130 @@
+/**
+ * Action items → Attio tasks: one task per item, however often a meeting is re-processed
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+process.env.STORE_BACKEND = 'memory';
+
+// Attio: the host is a workspace member; task creation fails while `failTasks` is set
+const axios = require(require.resolve('axios', { paths: [path.join(__dirname, '../../src/services')] }));
+const createAxios = axios.create;
+let tasks = [];
+let failTasks = false;
+axios.create = () => ({
+  request: async ({ method, url, data }) => {
+    if (method === 'GET' && url === '/workspace_members') {
+      return { status: 200, data: { data: [{ id: { workspace_member_id: 'member-1' }, email_address: 'Host@acme.com' }] } };
+    }
+    if (method === 'POST' && url === '/tasks') {
+      if (failTasks) {
+        const error = new Error('Request failed with status code 500');
+        error.response = { status: 500, data: {}, headers: {} };
+        throw error;
+      }
+      tasks.push(data.data);
+      return { status: 200, data: { data: { id: { task_id: `task-${tasks.length}` } } } };
+    }
+    throw new Error(`Unexpected request ${method} ${url}`);
+  }
+});
+
+const { syncActionItems } = require('../../src/services/action-items');
+
+const config = { attioApiKey: 'test-key', actionItemTasks: true, llm: { maxTokens: 1000 } };
+
+// LLM client returning the same two action items on every call
+function fakeLlm() {
+  const llm = {
+    calls: 0,
+    complete: async () => {
+      llm.calls++;
+      return JSON.stringify({
+        action_items: [
+          { text: 'Send the proposal', owner: 'Host', due_date: '2026-10-23' },
+          { text: 'Book a follow-up', owner: null, due_date: 'next week' }
+        ]
+      });
+    }
+  };
+  return llm;
+}
+
+let meetingCount = 0;
+const meeting = llm => ({
+  meetingKey: `test:meeting-${++meetingCount}`,
+  summary: '## Next steps\n- Send the proposal\n- Book a follow-up',
+  personId: 'p1',
+  hostEmail: 'host@acme.com',
+  llm
+});
+
+describe('syncActionItems', () => {
+  beforeEach(() => {
+    tasks = [];
+    failTasks = false;
+  });
+
+  after(() => {
+    axios.create = createAxios;
+  });
+
+  it('creates one task per action item, assigned to the host', async () => {
+    const created = await syncActionItems(meeting(fakeLlm()), config);
+
+    assert.deepEqual(created, ['task-1', 'task-2']);
+    assert.equal(tasks[0].content, 'Send the proposal (owner: Host)');
+    assert.equal(tasks[0].deadline_at, new Date('2026-10-23').toISOString());
+    assert.equal(tasks[1].deadline_at, null);
+    assert.deepEqual(tasks[0].assignees, [{ referenced_actor_type: 'workspace-member', referenced_actor_id: 'member-1' }]);
+  });
+
+  it('creates no duplicate tasks when the meeting is processed again', async () => {
+    const llm = fakeLlm();
+    const details = meeting(llm);
+
+    await syncActionItems(details, config);
+    assert.deepEqual(await syncActionItems(details, config), []);
+    assert.equal(tasks.length, 2);
+    assert.equal(llm.calls, 1);
+  });
+
+  it('creates no duplicates when the same meeting is processed concurrently', async () => {
+    const details = meeting(fakeLlm());
+    const results = await Promise.all([syncActionItems(details, config), syncActionItems(details, config)]);
+
+    assert.deepEqual(results.flat().sort(), ['task-1', 'task-2']);
+    assert.equal(tasks.length, 2);
+  });
+
+  it('creates only the missing tasks after a failed run', async () => {
+    const details = meeting(fakeLlm());
+
+    failTasks = true;
+    assert.deepEqual(await syncActionItems(details, config), []);
+    assert.equal(tasks.length, 0);
+
+    failTasks = false;
+    assert.deepEqual(await syncActionItems(details, config), ['task-1', 'task-2']);
+    assert.deepEqual(await syncActionItems(details, config), []);
+  });
+
+  it('uses the action items of a structured summary without an LLM call', async () => {
+    const llm = fakeLlm();
+    const details = { ...meeting(llm), actionItems: [{ text: 'Share the deck', owner: null, due_date: null }, { text: ' ' }] };
+
+    assert.deepEqual(await syncActionItems(details, config), ['task-1']);
+    assert.equal(tasks[0].content, 'Share the deck');
+    assert.equal(llm.calls, 0);
+  });
+
+  it('does nothing when disabled or without a person', async () => {
+    const llm = fakeLlm();
+    assert.deepEqual(await syncActionItems(meeting(llm), { ...config, actionItemTasks: false }), []);
+    assert.deepEqual(await syncActionItems({ ...meeting(llm), personId: null }, config), []);
+    assert.equal(llm.calls, 0);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Attio client: retries, Retry-After, create safety and typed errors
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Every client created below sends its requests to `respond`
+const axios = require(require.resolve('axios', { paths: [path.join(__dirname, '../../src/services')] }));
+const createAxios = axios.create;
+let requests = [];
+let replies = [];
+axios.create = () => ({
+  request: async req => {
+    requests.push(req);
+    const reply = replies.shift();
+    if (reply instanceof Error) throw reply;
+    return reply;
+  }
+});
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attio-client-'));
+const configPath = path.join(dir, 'config.json');
+fs.writeFileSync(configPath, JSON.stringify({
+  attio: { timeoutMs: 1000, maxRetries: 2, baseDelayMs: 1, maxDelayMs: 50, readRatePerSec: 1000, writeRatePerSec: 1000 }
+}));
+require('../../src/services/config-file').loadConfigFile(configPath);
+
+const {
+  getAttioClient,
+  AttioError,
+  AttioNotFoundError,
+  AttioConflictError,
+  AttioValidationError,
+  AttioRateLimitError
+} = require('../../src/services/attio-client');
+
+const ok = data => ({ status: 200, data });
+
+function httpError(status, { data = {}, headers = {} } = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, data, headers };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  return error;
+}
+
+let keyCount = 0;
+const newClient = () => getAttioClient(`test-key-${++keyCount}`);
+
+describe('Attio client', () => {
+  beforeEach(() => {
+    requests = [];
+    replies = [];
+  });
+
+  after(() => {
+    axios.create = createAxios;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('retries reads on 5xx and network errors', async () => {
+    replies = [httpError(503), networkError('ECONNRESET'), ok({ data: { id: 'p1' } })];
+    assert.deepEqual(await newClient().get('/objects/people/records/p1'), { data: { id: 'p1' } });
+    assert.equal(requests.length, 3);
+  });
+
+  it('gives up after maxRetries', async () => {
+    replies = [httpError(500), httpError(500), httpError(500), ok({})];
+    await assert.rejects(newClient().get('/self'), AttioError);
+    assert.equal(requests.length, 3);
+  });
+
+  it('retries record queries like reads', async () => {
+    replies = [httpError(502), ok({ data: [] })];
+    await newClient().post('/objects/people/records/query', { filter: {} });
+    assert.equal(requests.length, 2);
+  });
+
+  it('waits for Retry-After, capped at maxDelayMs', async () => {
+    replies = [httpError(429, { headers: { 'retry-after': '0.03' } }), ok({})];
+    let started = Date.now();
+    await newClient().get('/self');
+    assert.ok(Date.now() - started >= 25);
+
+    replies = [httpError(429, { headers: { 'retry-after': '120' } }), ok({})];
+    started = Date.now();
+    await newClient().get('/self');
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('does not retry a create that Attio may have processed', async () => {
+    replies = [httpError(500)];
+    await assert.rejects(newClient().post('/notes', { data: {} }), AttioError);
+    assert.equal(requests.length, 1);
+
+    requests = [];
+    replies = [networkError('ETIMEDOUT')];
+    await assert.rejects(newClient().post('/tasks', { data: {} }), AttioError);
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries a create that never reached Attio or was rate limited', async () => {
+    replies = [networkError('ECONNREFUSED'), httpError(429), ok({ data: { id: { note_id: 'n1' } } })];
+    await newClient().post('/notes', { data: {} });
+    assert.equal(requests.length, 3);
+  });
+
+  it('throws typed errors', async () => {
+    const client = newClient();
+    const cases = [
+      [httpError(404), AttioNotFoundError],
+      [httpError(409), AttioConflictError],
+      [httpError(400, { data: { code: 'uniqueness_conflict', message: 'taken' } }), AttioConflictError],
+      [httpError(422, { data: { message: 'bad value' } }), AttioValidationError],
+      [httpError(400), AttioValidationError]
+    ];
+    for (const [reply, ErrorClass] of cases) {
+      replies = [reply];
+      await assert.rejects(client.patch('/objects/people/records/p1', {}), ErrorClass);
+    }
+
+    replies = [httpError(429), httpError(429), httpError(429)];
+    const error = await client.get('/self').catch(e => e);
+    assert.ok(error instanceof AttioRateLimitError);
+    assert.equal(error.status, 429);
+  });
+
+  it('includes the Attio error message', async () => {
+    replies = [httpError(400, { data: { code: 'validation_type', message: 'email_addresses is invalid' } })];
+    await assert.rejects(newClient().put('/objects/people/records', {}), {
+      name: 'AttioValidationError',
+      code: 'validation_type',
+      message: /PUT \/objects\/people\/records failed: email_addresses is invalid/
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Attio pipeline: entering leads and moving stages forward only
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// A person with one deal and one list entry, each at `stages[target]`
+const axios = require(require.resolve('axios', { paths: [path.join(__dirname, '../../src/services')] }));
+const createAxios = axios.create;
+let stages = {};
+let writes = [];
+const status = title => (title ? [{ status: { title } }] : []);
+axios.create = () => ({
+  request: async ({ method, url, data }) => {
+    if (url === '/objects/deals/records/query') {
+      return { status: 200, data: { data: stages.deals === undefined ? [] : [{ id: { record_id: 'deal-1' }, values: { stage: status(stages.deals) } }] } };
+    }
+    if (url === '/objects/people/records/p1/entries') {
+      return { status: 200, data: { data: stages.leads === undefined ? [] : [{ list_api_slug: 'leads', entry_id: 'entry-1' }] } };
+    }
+    if (url === '/lists/leads/entries/entry-1' && method === 'GET') {
+      return { status: 200, data: { data: { entry_values: { stage: status(stages.leads) } } } };
+    }
+    writes.push({ method, url, data });
+    if (url === '/objects/deals/records') return { status: 200, data: { data: { id: { record_id: 'deal-new' } } } };
+    if (url === '/lists/leads/entries') return { status: 200, data: { data: { id: { entry_id: 'entry-new' } } } };
+    return { status: 200, data: { data: {} } };
+  }
+});
+
+const { enterPipeline, advancePipeline } = require('../../src/services/attio-pipeline');
+
+after(() => {
+  axios.create = createAxios;
+});
+
+const pipelineConfig = (pipeline = {}) => ({
+  attioApiKey: 'test-key',
+  pipeline: {
+    target: 'deals',
+    stageAttribute: 'stage',
+    stages: ['Lead', 'Replied', 'Call booked', 'Call held', 'Won'],
+    rules: [],
+    dealOwnerEmail: null,
+    ...pipeline
+  }
+});
+
+describe('advancePipeline', () => {
+  beforeEach(() => {
+    stages = {};
+    writes = [];
+  });
+
+  it('moves an entry forward to a later stage', async () => {
+    stages = { deals: 'Call booked' };
+    const results = await advancePipeline('p1', 'Call held', pipelineConfig());
+
+    assert.deepEqual(results, [{ target: 'deals', entryId: 'deal-1', stage: 'Call held', changed: true }]);
+    assert.deepEqual(writes, [{
+      method: 'PATCH',
+      url: '/objects/deals/records/deal-1',
+      data: { data: { values: { stage: 'Call held' } } }
+    }]);
+  });
+
+  it('never moves an entry back or to the stage it is already at', async () => {
+    for (const [current, next] of [['Won', 'Call held'], ['Call held', 'call held']]) {
+      stages = { deals: current };
+      const results = await advancePipeline('p1', next, pipelineConfig());
+      assert.deepEqual(results, [{ target: 'deals', entryId: 'deal-1', stage: current, changed: false }]);
+    }
+    assert.deepEqual(writes, []);
+  });
+
+  it('moves stages outside the configured order and entries without a stage', async () => {
+    stages = { deals: 'Nurture' };
+    assert.equal((await advancePipeline('p1', 'Call held', pipelineConfig()))[0].changed, true);
+
+    stages = { deals: null };
+    assert.equal((await advancePipeline('p1', 'Call held', pipelineConfig()))[0].changed, true);
+  });
+
+  it('leaves people who are not in the pipeline alone', async () => {
+    assert.deepEqual(await advancePipeline('p1', 'Call held', pipelineConfig()), []);
+    assert.deepEqual(writes, []);
+  });
+
+  it('advances every target the person is in', async () => {
+    stages = { deals: 'Won', leads: 'Replied' };
+    const config = pipelineConfig({ rules: [{ tag: 'warm', stage: 'Replied', target: 'leads' }] });
+    const results = await advancePipeline('p1', 'Call booked', config);
+
+    assert.deepEqual(results.map(r => [r.target, r.stage, r.changed]), [['deals', 'Won', false], ['leads', 'Call booked', true]]);
+    assert.deepEqual(writes.map(w => `${w.method} ${w.url}`), ['PATCH /lists/leads/entries/entry-1']);
+  });
+
+  it('does nothing without a stage', async () => {
+    stages = { deals: 'Lead' };
+    assert.deepEqual(await advancePipeline('p1', null, pipelineConfig()), []);
+  });
+});
+
+describe('enterPipeline', () => {
+  beforeEach(() => {
+    stages = {};
+    writes = [];
+  });
+
+  it('creates an entry at the stage of the matching rule', async () => {
+    const config = pipelineConfig({ rules: [{ tag: 'Warm', stage: 'Replied' }] });
+    const result = await enterPipeline('p1', { tag: 'warm ', name: 'Jane', company: 'Acme' }, config);
+
+    assert.deepEqual(result, { target: 'deals', entryId: 'deal-new', stage: 'Replied', changed: true });
+    assert.equal(writes[0].data.data.values.name, 'Jane (Acme)');
+  });
+
+  it('does not move an existing entry back', async () => {
+    stages = { deals: 'Call held' };
+    const config = pipelineConfig({ rules: [{ stage: 'Lead' }] });
+    const result = await enterPipeline('p1', { tag: null }, config);
+
+    assert.equal(result.changed, false);
+    assert.deepEqual(writes, []);
+  });
+
+  it('skips leads no rule matches', async () => {
+    const config = pipelineConfig({ rules: [{ campaign: 'Q3 outbound', stage: 'Lead' }] });
+    assert.equal(await enterPipeline('p1', { campaign: 'Other' }, config), null);
+  });
+});
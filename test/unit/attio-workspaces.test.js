@@ -0,0 +1,92 @@
+/**
+ * Attio workspace routing: which workspace's key, pipeline and field mapping a sync uses
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { buildConfig } = require('../../src/services/config');
+const { getWorkspaceConfig } = require('../../src/services/attio-workspaces');
+
+// Config with the default workspace plus `attioWorkspaces`, normalized like the config file's
+const configWith = attioWorkspaces => buildConfig({
+  attioApiKey: 'default-key',
+  companySync: true,
+  actionItemTasks: false,
+  fieldMapping: { people: { sentiment: 'sentiment' } },
+  attioWorkspaces
+});
+
+describe('getWorkspaceConfig', () => {
+  afterEach(() => {
+    delete process.env.ATTIO_DATA_LABS_API_KEY;
+  });
+
+  it('keeps the default workspace when no workspace claims the account', () => {
+    const config = configWith({ datalabs: { apiKey: 'datalabs-key', match: [{ source: 'fathom', accountId: 'datalabs' }] } });
+
+    assert.equal(getWorkspaceConfig(config, { source: 'fathom', accountId: 'sales' }), config);
+    assert.equal(getWorkspaceConfig(config), config);
+  });
+
+  it('routes a matching account to its workspace without inheriting pipeline or field mapping', () => {
+    const config = configWith({
+      datalabs: {
+        apiKey: 'datalabs-key',
+        match: [{ source: 'fathom', accountId: 'datalabs' }],
+        pipeline: { target: 'deals', stages: ['Lead', 'Won'] },
+        actionItemTasks: true
+      }
+    });
+    const routed = getWorkspaceConfig(config, { source: 'Fathom', accountId: 'DataLabs' });
+
+    assert.equal(routed.attioWorkspace, 'datalabs');
+    assert.equal(routed.attioApiKey, 'datalabs-key');
+    assert.equal(routed.pipeline.target, 'deals');
+    assert.equal(routed.pipeline.stageAttribute, 'stage');
+    assert.deepEqual(routed.fieldMapping, {});
+    assert.equal(routed.actionItemTasks, true);
+    assert.equal(routed.companySync, true);
+    assert.equal(config.attioApiKey, 'default-key');
+  });
+
+  it('needs every field of a match entry, and any one entry', () => {
+    const config = configWith({
+      datalabs: {
+        apiKey: 'datalabs-key',
+        match: [{ source: 'heyreach', campaign: 'DataLabs Q3' }, { source: 'zoom', accountId: 'dl' }]
+      }
+    });
+    const workspace = scope => getWorkspaceConfig(config, scope).attioWorkspace;
+
+    assert.equal(workspace({ source: 'heyreach', campaign: 'datalabs q3' }), 'datalabs');
+    assert.equal(workspace({ source: 'heyreach', campaign: 'Other' }), 'default');
+    assert.equal(workspace({ source: 'zoom', accountId: 'dl' }), 'datalabs');
+    assert.equal(workspace({ source: 'fathom', accountId: 'dl' }), 'default');
+  });
+
+  it('matches a Calendly organization by host email domain', () => {
+    const config = configWith({ datalabs: { apiKey: 'datalabs-key', match: [{ source: 'calendly', hostEmail: '@DataLabs.io' }] } });
+    const workspace = hostEmail => getWorkspaceConfig(config, { source: 'calendly', hostEmail }).attioWorkspace;
+
+    assert.equal(workspace('sam@datalabs.io'), 'datalabs');
+    assert.equal(workspace('sam@acme.com'), 'default');
+    assert.equal(workspace(null), 'default');
+  });
+
+  it('uses the first workspace that matches', () => {
+    const config = configWith({
+      first: { apiKey: 'first-key', match: [{ source: 'fathom' }] },
+      second: { apiKey: 'second-key', match: [{ source: 'fathom', accountId: 'datalabs' }] }
+    });
+    assert.equal(getWorkspaceConfig(config, { source: 'fathom', accountId: 'datalabs' }).attioWorkspace, 'first');
+  });
+
+  it('reads a workspace API key from ATTIO_<WORKSPACE>_API_KEY', () => {
+    process.env.ATTIO_DATA_LABS_API_KEY = 'env-key';
+    const config = configWith({ 'data-labs': { match: [{ source: 'fathom' }] } });
+
+    assert.equal(getWorkspaceConfig(config, { source: 'fathom' }).attioApiKey, 'env-key');
+  });
+});
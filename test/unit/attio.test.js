@@ -0,0 +1,83 @@
+/**
+ * Attio person upsert: whether the sync created the person or matched an existing one
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Attio responses for the person query and assert, per test
+const axios = require(require.resolve('axios', { paths: [path.join(__dirname, '../../src/services')] }));
+const createAxios = axios.create;
+let existing = [];
+let assertedCreatedAt = null;
+let requests = [];
+axios.create = () => ({
+  request: async req => {
+    requests.push(`${req.method} ${req.url}`);
+    if (req.url === '/objects/people/records/query') return { status: 200, data: { data: existing } };
+    if (req.url === '/objects/people/records') {
+      return { status: 200, data: { data: { id: { record_id: 'asserted' }, created_at: assertedCreatedAt } } };
+    }
+    if (req.url === '/notes') return { status: 200, data: { data: { id: { note_id: 'n1' } } } };
+    throw new Error(`Unexpected request ${req.method} ${req.url}`);
+  }
+});
+
+const { upsertPersonAndNote } = require('../../src/services/attio');
+
+const config = { attioApiKey: 'test-key', attioWorkspace: 'default', companySync: false };
+
+describe('upsertPersonAndNote', () => {
+  beforeEach(() => {
+    existing = [];
+    assertedCreatedAt = null;
+    requests = [];
+  });
+
+  after(() => {
+    axios.create = createAxios;
+  });
+
+  it('reports an existing person found by the query as not created', async () => {
+    existing = [{ id: { record_id: 'found' } }];
+    const result = await upsertPersonAndNote('jane@acme.com', 'Jane Doe', 'Summary', config);
+
+    assert.equal(result.personId, 'found');
+    assert.equal(result.created, false);
+    assert.deepEqual(requests, ['POST /objects/people/records/query', 'POST /notes']);
+  });
+
+  it('reports a person the assert just created as created', async () => {
+    assertedCreatedAt = new Date().toISOString();
+    const result = await upsertPersonAndNote('jane@acme.com', 'Jane Doe', 'Summary', config);
+
+    assert.equal(result.personId, 'asserted');
+    assert.equal(result.created, true);
+    assert.deepEqual(result.noteId, { note_id: 'n1' });
+  });
+
+  it('reports a person the assert matched from before the request as not created', async () => {
+    // Created by another instance between our query and our assert
+    assertedCreatedAt = new Date(Date.now() - 60000).toISOString();
+    const result = await upsertPersonAndNote('jane@acme.com', 'Jane Doe', 'Summary', config);
+
+    assert.equal(result.created, false);
+  });
+
+  it('tolerates a few seconds of clock skew', async () => {
+    assertedCreatedAt = new Date(Date.now() - 2000).toISOString();
+    const result = await upsertPersonAndNote('jane@acme.com', 'Jane Doe', 'Summary', config);
+
+    assert.equal(result.created, true);
+  });
+
+  it('counts a missing or unparseable created_at as created', async () => {
+    for (const createdAt of [null, 'not a date']) {
+      assertedCreatedAt = createdAt;
+      const result = await upsertPersonAndNote('jane@acme.com', 'Jane Doe', 'Summary', config);
+      assert.equal(result.created, true);
+    }
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Calendly webhook signature verification
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { verifyCalendlyWebhook } = require('../../src/services/calendly');
+
+const BODY = JSON.stringify({ event: 'test', payload: { id: 1 } });
+const now = () => Math.floor(Date.now() / 1000);
+const hmacHex = (key, content) => crypto.createHmac('sha256', key).update(content).digest('hex');
+
+describe('verifyCalendlyWebhook', () => {
+  const key = 'calendly-signing-key';
+  const header = (timestamp, body = BODY) => `t=${timestamp},v1=${hmacHex(key, `${timestamp}.${body}`)}`;
+
+  it('accepts a valid signature', () => {
+    assert.equal(verifyCalendlyWebhook(header(now()), BODY, key, 180), true);
+  });
+
+  it('rejects a tampered body', () => {
+    assert.equal(verifyCalendlyWebhook(header(now()), `${BODY} `, key, 180), false);
+  });
+
+  it('rejects a timestamp outside the tolerance', () => {
+    assert.equal(verifyCalendlyWebhook(header(now() - 600), BODY, key, 180), false);
+  });
+
+  it('rejects a missing or malformed header', () => {
+    assert.equal(verifyCalendlyWebhook(undefined, BODY, key, 180), false);
+    assert.equal(verifyCalendlyWebhook('v1=abc', BODY, key, 180), false);
+  });
+
+  it('skips verification without a signing key', () => {
+    assert.equal(verifyCalendlyWebhook(undefined, BODY, null, 180), true);
+  });
+});
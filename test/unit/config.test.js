@@ -0,0 +1,126 @@
+/**
+ * Config merging (env settings + config file), config file validation and reload
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { getConfig, mergeSettings } = require('../../src/services/config');
+const { loadConfigFile, reloadConfigFile } = require('../../src/services/config-file');
+const { CONFIG_SCHEMA, validateValue } = require('../../src/services/config-schema');
+
+describe('mergeSettings', () => {
+  it('merges objects key by key and replaces everything else', () => {
+    const base = { retry: { maxAttempts: 5, baseDelayMs: 30000 }, freeEmailDomains: ['gmail.com'], companySync: true };
+    const merged = mergeSettings(base, { retry: { maxAttempts: 3 }, freeEmailDomains: ['proton.me'] });
+
+    assert.deepEqual(merged, {
+      retry: { maxAttempts: 3, baseDelayMs: 30000 },
+      freeEmailDomains: ['proton.me'],
+      companySync: true
+    });
+  });
+
+  it('treats null and undefined as not set', () => {
+    const base = { retry: { maxAttempts: 5 }, pipeline: { callStage: 'Call held' } };
+    assert.deepEqual(mergeSettings(base, { retry: null, pipeline: { callStage: undefined } }), base);
+  });
+
+  it('keeps false and 0 from the overrides', () => {
+    assert.deepEqual(mergeSettings({ companySync: true, retry: { baseDelayMs: 500 } }, { companySync: false, retry: { baseDelayMs: 0 } }),
+      { companySync: false, retry: { baseDelayMs: 0 } });
+  });
+
+  it('does not modify its inputs', () => {
+    const base = { retry: { maxAttempts: 5 } };
+    mergeSettings(base, { retry: { maxAttempts: 3 } });
+    assert.deepEqual(base, { retry: { maxAttempts: 5 } });
+  });
+});
+
+describe('validateValue', () => {
+  it('accepts a valid config', () => {
+    const { errors } = validateValue(CONFIG_SCHEMA, {
+      retry: { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 60000 },
+      storage: { backend: 'file', filePath: 'data/store.json' },
+      companySync: false,
+      freeEmailDomains: ['gmail.com']
+    });
+    assert.deepEqual(errors, []);
+  });
+
+  it('coerces strings from env interpolation', () => {
+    const { value, errors } = validateValue(CONFIG_SCHEMA, { retry: { maxAttempts: '3' }, companySync: 'false' });
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { retry: { maxAttempts: 3 }, companySync: false });
+  });
+
+  it('accepts null anywhere as not set', () => {
+    assert.deepEqual(validateValue(CONFIG_SCHEMA, { retry: null, storage: { filePath: null } }).errors, []);
+  });
+
+  it('reports unknown settings with their path', () => {
+    assert.deepEqual(validateValue(CONFIG_SCHEMA, { retry: { maxAttempt: 3 } }).errors, ['retry.maxAttempt: unknown setting']);
+  });
+
+  it('reports wrong types, enum values and minimums', () => {
+    const { errors } = validateValue(CONFIG_SCHEMA, {
+      companySync: 'yes',
+      storage: { backend: 'sqlite' },
+      retry: { maxAttempts: 0 },
+      freeEmailDomains: 'gmail.com'
+    });
+
+    assert.equal(errors.length, 4);
+    assert.ok(errors.some(error => error.startsWith('companySync:')));
+    assert.ok(errors.some(error => error.startsWith('storage.backend:')));
+    assert.ok(errors.some(error => error.startsWith('retry.maxAttempts:')));
+    assert.ok(errors.some(error => error.startsWith('freeEmailDomains:')));
+  });
+
+  it('requires an object at the root', () => {
+    assert.deepEqual(validateValue(CONFIG_SCHEMA, ['retry']).errors, ['(root): expected an object']);
+  });
+});
+
+describe('config file reload', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-'));
+  const configPath = path.join(dir, 'config.json');
+  const writeConfig = settings => fs.writeFileSync(configPath, JSON.stringify(settings));
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('reads the port from the config file', () => {
+    writeConfig({ port: 4100 });
+    assert.deepEqual(loadConfigFile(configPath), []);
+    assert.equal(getConfig().port, 4100);
+  });
+
+  it('applies webhook tolerances on reload and keeps secrets and restart-only settings', () => {
+    writeConfig({ port: 4100, calendlyWebhookSigningKey: 'old-key', calendlyWebhookToleranceSeconds: 180 });
+    loadConfigFile(configPath);
+
+    writeConfig({ port: 4200, calendlyWebhookSigningKey: 'new-key', calendlyWebhookToleranceSeconds: 300 });
+    const { errors, kept } = reloadConfigFile();
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(kept.sort(), ['calendlyWebhookSigningKey', 'port']);
+    const config = getConfig();
+    assert.equal(config.calendlyWebhookToleranceSeconds, 300);
+    assert.equal(config.calendlyWebhookSigningKey, 'old-key');
+    assert.equal(config.port, 4100);
+  });
+
+  it('keeps the current settings when the reloaded file is invalid', () => {
+    writeConfig({ calendlyWebhookToleranceSeconds: 180 });
+    loadConfigFile(configPath);
+
+    writeConfig({ calendlyWebhookToleranceSeconds: 0 });
+    assert.equal(reloadConfigFile().errors.length, 1);
+    assert.equal(getConfig().calendlyWebhookToleranceSeconds, 180);
+  });
+});
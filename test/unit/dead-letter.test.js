@@ -0,0 +1,119 @@
+/**
+ * Dead-letter store: recording failed syncs, retrying and resuming them
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-'));
+process.env.STORE_BACKEND = 'memory';
+process.env.DEAD_LETTER_FILE_PATH = path.join(dir, 'dead-letters.json');
+
+const {
+  registerRetryHandler,
+  recordFailure,
+  listDeadLetters,
+  getDeadLetter,
+  discardDeadLetter,
+  retryDeadLetter
+} = require('../../src/services/dead-letter');
+
+describe('dead letters', () => {
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('records a failure with its payload, step and context', async () => {
+    const record = await recordFailure({
+      id: 'test.sync:record',
+      source: 'test.sync',
+      accountId: 'acme',
+      payload: { meetingId: 'm1' },
+      failedStep: 'generate_summary',
+      error: new Error('LLM timeout'),
+      context: { meeting: { externalId: 'm1' }, summary: null }
+    });
+
+    assert.equal(record.attempts, 1);
+    assert.deepEqual(await getDeadLetter('test.sync:record'), record);
+  });
+
+  it('updates the same record when the same id fails again', async () => {
+    const failure = { id: 'test.sync:again', source: 'test.sync', payload: {}, failedStep: 'attio_upsert' };
+    const first = await recordFailure({ ...failure, error: new Error('first') });
+    const second = await recordFailure({ ...failure, error: new Error('second') });
+
+    assert.equal(second.attempts, 2);
+    assert.equal(second.error, 'second');
+    assert.equal(second.createdAt, first.createdAt);
+    assert.equal((await listDeadLetters({ source: 'test.sync' })).filter(r => r.id === 'test.sync:again').length, 1);
+  });
+
+  it('gives a failure without an id a random one', async () => {
+    const a = await recordFailure({ id: null, source: 'test.random', payload: {}, failedStep: 'parse', error: new Error('x') });
+    const b = await recordFailure({ id: null, source: 'test.random', payload: {}, failedStep: 'parse', error: new Error('x') });
+
+    assert.match(a.id, /^test\.random:/);
+    assert.notEqual(a.id, b.id);
+  });
+
+  it('keeps dead letters in their own file with the memory backend', async () => {
+    await recordFailure({ id: 'test.sync:durable', source: 'test.sync', payload: {}, failedStep: 'parse', error: new Error('x') });
+    const saved = JSON.parse(fs.readFileSync(process.env.DEAD_LETTER_FILE_PATH, 'utf8'));
+    assert.ok(saved.dead_letters['test.sync:durable']);
+  });
+
+  it('resumes a retry from the stored context and removes the record on success', async () => {
+    let received = null;
+    registerRetryHandler('test.resume', async record => {
+      received = record;
+      return { personId: 'p1' };
+    });
+
+    await recordFailure({
+      id: 'test.resume:1',
+      source: 'test.resume',
+      accountId: 'acme',
+      payload: { meetingId: 'm1' },
+      failedStep: 'attio_upsert',
+      error: new Error('Attio down'),
+      context: { summary: 'already generated' }
+    });
+
+    assert.deepEqual(await retryDeadLetter('test.resume:1'), { personId: 'p1' });
+    assert.deepEqual(received.payload, { meetingId: 'm1' });
+    assert.equal(received.accountId, 'acme');
+    assert.deepEqual(received.context, { summary: 'already generated' });
+    assert.equal(await getDeadLetter('test.resume:1'), null);
+  });
+
+  it('keeps a single record under the original id when a retry fails again', async () => {
+    // Handlers record a repeated failure under record.id (see registerRetryHandler)
+    registerRetryHandler('test.refail', async record => {
+      const error = new Error('still failing');
+      await recordFailure({ id: record.id, source: 'test.refail', payload: record.payload, failedStep: 'attio_upsert', error });
+      throw error;
+    });
+
+    const original = await recordFailure({ id: null, source: 'test.refail', payload: {}, failedStep: 'attio_upsert', error: new Error('x') });
+    await assert.rejects(retryDeadLetter(original.id), /still failing/);
+
+    const records = await listDeadLetters({ source: 'test.refail' });
+    assert.deepEqual(records.map(r => [r.id, r.attempts]), [[original.id, 2]]);
+  });
+
+  it('rejects retries of unknown records or sources', async () => {
+    await assert.rejects(retryDeadLetter('missing'), /Dead letter not found/);
+
+    await recordFailure({ id: 'test.nohandler:1', source: 'test.nohandler', payload: {}, failedStep: 'parse', error: new Error('x') });
+    await assert.rejects(retryDeadLetter('test.nohandler:1'), /No retry handler/);
+  });
+
+  it('discards a record without retrying it', async () => {
+    await recordFailure({ id: 'test.sync:discard', source: 'test.sync', payload: {}, failedStep: 'parse', error: new Error('x') });
+    assert.equal(await discardDeadLetter('test.sync:discard'), true);
+    assert.equal(await discardDeadLetter('test.sync:discard'), false);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Webhook delivery ledger (duplicate deliveries)
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+process.env.STORE_BACKEND = 'memory';
+
+const { getDeliveryKey, isDuplicateDelivery, processDelivery } = require('../../src/services/delivery-ledger');
+const { getStore } = require('../../src/services/storage');
+
+const uniqueKey = () => `test:${crypto.randomUUID()}`;
+
+describe('getDeliveryKey', () => {
+  it('uses the provider event ID', () => {
+    const uri = 'https://api.calendly.com/scheduled_events/E1/invitees/I1';
+    assert.equal(
+      getDeliveryKey('calendly', { body: { event: 'invitee.created', payload: { uri } }, headers: {} }),
+      `calendly:invitee.created:${uri}`
+    );
+    assert.equal(getDeliveryKey('fathom', { body: {}, headers: { 'webhook-id': 'msg_1' } }), 'fathom:msg_1');
+    assert.equal(
+      getDeliveryKey('zoom', { body: { event: 'recording.transcript_completed', payload: { object: { uuid: 'u1' } } }, headers: {} }),
+      'zoom:recording.transcript_completed:u1'
+    );
+  });
+
+  it('falls back to a hash of the raw body', () => {
+    const rawBody = '{"hello":"world"}';
+    const hash = crypto.createHash('sha256').update(rawBody).digest('hex');
+    assert.equal(getDeliveryKey('heyreach', { body: {}, rawBody, headers: {} }), `heyreach:sha256:${hash}`);
+  });
+});
+
+describe('processDelivery', () => {
+  it('runs a delivery once and returns the recorded result for repeats', async () => {
+    const key = uniqueKey();
+    let runs = 0;
+    const handler = async () => ({ run: ++runs });
+
+    assert.deepEqual(await processDelivery(key, handler), { duplicate: false, result: { run: 1 } });
+    assert.equal(await isDuplicateDelivery(key), true);
+    assert.deepEqual(await processDelivery(key, handler), { duplicate: true, result: { run: 1 } });
+    assert.equal(runs, 1);
+  });
+
+  it('lets a concurrent duplicate wait for the first run', async () => {
+    const key = uniqueKey();
+    let runs = 0;
+    const handler = async () => {
+      runs++;
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return 'done';
+    };
+
+    const [first, second] = await Promise.all([processDelivery(key, handler), processDelivery(key, handler)]);
+    assert.deepEqual(first, { duplicate: false, result: 'done' });
+    assert.deepEqual(second, { duplicate: true, result: 'done' });
+    assert.equal(runs, 1);
+  });
+
+  it('processes a failed delivery again on retry', async () => {
+    const key = uniqueKey();
+    await assert.rejects(processDelivery(key, async () => { throw new Error('Attio down'); }), /Attio down/);
+    assert.equal(await isDuplicateDelivery(key), false);
+
+    assert.deepEqual(await processDelivery(key, async () => 'ok'), { duplicate: false, result: 'ok' });
+    const record = await getStore().get('deliveries', key);
+    assert.equal(record.status, 'completed');
+    assert.equal(record.attempts, 2);
+  });
+
+  it('skips a delivery claimed by another instance', async () => {
+    const key = uniqueKey();
+    await getStore().setIfAbsent('delivery-claims', key, { claimedAt: new Date().toISOString() }, 60000);
+
+    let ran = false;
+    assert.deepEqual(await processDelivery(key, async () => { ran = true; }), { duplicate: true, result: null });
+    assert.equal(ran, false);
+  });
+
+  it('releases its claim when done', async () => {
+    const key = uniqueKey();
+    await processDelivery(key, async () => 'ok');
+    assert.equal(await getStore().get('delivery-claims', key), null);
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Fathom webhook signature verification (Standard Webhooks)
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { verifyFathomWebhook } = require('../../src/services/fathom');
+
+const BODY = JSON.stringify({ event: 'test', payload: { id: 1 } });
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('verifyFathomWebhook', () => {
+  const secret = `whsec_${Buffer.from('fathom-secret').toString('base64')}`;
+  const sign = (secretValue, id, timestamp) => crypto
+    .createHmac('sha256', Buffer.from(secretValue.replace(/^whsec_/, ''), 'base64'))
+    .update(`${id}.${timestamp}.${BODY}`)
+    .digest('base64');
+  const headers = (timestamp = now(), secretValue = secret) =>
+    ({ id: 'msg_1', timestamp: String(timestamp), signature: `v1,${sign(secretValue, 'msg_1', timestamp)}` });
+
+  it('accepts a valid signature', () => {
+    assert.equal(verifyFathomWebhook(headers(), BODY, [secret], 300), true);
+  });
+
+  it('accepts any of several signatures and secrets (rotation)', () => {
+    const oldSecret = `whsec_${Buffer.from('old-secret').toString('base64')}`;
+    const signed = headers(now(), oldSecret);
+    signed.signature = `v1,bm90LWEtc2lnbmF0dXJl ${signed.signature}`;
+    assert.equal(verifyFathomWebhook(signed, BODY, [secret, oldSecret], 300), true);
+  });
+
+  it('rejects a signature from another secret', () => {
+    const other = `whsec_${Buffer.from('other').toString('base64')}`;
+    assert.equal(verifyFathomWebhook(headers(now(), other), BODY, [secret], 300), false);
+  });
+
+  it('rejects a timestamp outside the tolerance', () => {
+    assert.equal(verifyFathomWebhook(headers(now() - 600), BODY, [secret], 300), false);
+  });
+
+  it('rejects missing headers', () => {
+    assert.equal(verifyFathomWebhook({ id: 'msg_1' }, BODY, [secret], 300), false);
+  });
+
+  it('skips verification without secrets', () => {
+    assert.equal(verifyFathomWebhook({}, BODY, [], 300), true);
+  });
+});
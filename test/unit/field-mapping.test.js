@@ -0,0 +1,101 @@
+/**
+ * Structured summary fields → custom Attio attributes
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+// Attio: the person has deal-1 unless `hasDeal` is false; company updates fail while `failCompanies` is set
+const axios = require(require.resolve('axios', { paths: [path.join(__dirname, '../../src/services')] }));
+const createAxios = axios.create;
+let patches = [];
+let hasDeal = true;
+let failCompanies = false;
+axios.create = () => ({
+  request: async ({ method, url, data }) => {
+    if (url === '/objects/deals/records/query') {
+      return { status: 200, data: { data: hasDeal ? [{ id: { record_id: 'deal-1' }, values: {} }] : [] } };
+    }
+    if (method === 'PATCH') {
+      if (failCompanies && url.startsWith('/objects/companies/')) {
+        const error = new Error('Request failed with status code 400');
+        error.response = { status: 400, data: { message: 'Unknown attribute' }, headers: {} };
+        throw error;
+      }
+      patches.push({ url, values: data.data.values });
+      return { status: 200, data: { data: {} } };
+    }
+    throw new Error(`Unexpected request ${method} ${url}`);
+  }
+});
+
+const { applyFieldMapping } = require('../../src/services/field-mapping');
+
+const summaryData = {
+  fields: {
+    sentiment: 'positive',
+    deal_likelihood: 70,
+    budget: null,
+    team_size: 12,
+    tools_used: ['HubSpot', 'Sheets'],
+    objections: [],
+    next_meeting_date: null
+  }
+};
+
+const config = fieldMapping => ({ attioApiKey: 'test-key', pipeline: { stageAttribute: 'stage' }, fieldMapping });
+
+describe('applyFieldMapping', () => {
+  beforeEach(() => {
+    patches = [];
+    hasDeal = true;
+    failCompanies = false;
+  });
+
+  after(() => {
+    axios.create = createAxios;
+  });
+
+  it('writes mapped fields to the person, company and deal', async () => {
+    const written = await applyFieldMapping(summaryData, { personId: 'p1', companyId: 'c1' }, config({
+      people: { sentiment: 'last_call_sentiment', tools_used: 'tools' },
+      companies: { team_size: 'team_size' },
+      deals: { deal_likelihood: 'likelihood' }
+    }));
+
+    assert.deepEqual(written, { people: ['last_call_sentiment', 'tools'], companies: ['team_size'], deals: ['likelihood'] });
+    assert.deepEqual(patches, [
+      { url: '/objects/people/records/p1', values: { last_call_sentiment: 'positive', tools: 'HubSpot, Sheets' } },
+      { url: '/objects/companies/records/c1', values: { team_size: 12 } },
+      { url: '/objects/deals/records/deal-1', values: { likelihood: 70 } }
+    ]);
+  });
+
+  it('never clears an attribute with an empty field', async () => {
+    const written = await applyFieldMapping(summaryData, { personId: 'p1' }, config({
+      people: { budget: 'budget', objections: 'objections', next_meeting_date: 'next_meeting' }
+    }));
+
+    assert.deepEqual(written, {});
+    assert.deepEqual(patches, []);
+  });
+
+  it('skips objects without a record and keeps going after a failure', async () => {
+    hasDeal = false;
+    failCompanies = true;
+    const written = await applyFieldMapping(summaryData, { personId: 'p1', companyId: 'c1' }, config({
+      companies: { team_size: 'team_size' },
+      deals: { deal_likelihood: 'likelihood' },
+      people: { sentiment: 'last_call_sentiment' }
+    }));
+
+    assert.deepEqual(written, { people: ['last_call_sentiment'] });
+  });
+
+  it('does nothing in markdown mode', async () => {
+    assert.deepEqual(await applyFieldMapping(null, { personId: 'p1' }, config({ people: { sentiment: 'sentiment' } })), {});
+    assert.deepEqual(patches, []);
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Fireflies webhook signature verification
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { verifyFirefliesWebhook } = require('../../src/services/fireflies');
+
+const BODY = JSON.stringify({ event: 'test', payload: { id: 1 } });
+const hmacHex = (key, content) => crypto.createHmac('sha256', key).update(content).digest('hex');
+
+describe('verifyFirefliesWebhook', () => {
+  const secret = 'fireflies-secret';
+
+  it('accepts a valid signature, with or without the sha256= prefix', () => {
+    const signature = hmacHex(secret, BODY);
+    assert.equal(verifyFirefliesWebhook(signature, BODY, secret), true);
+    assert.equal(verifyFirefliesWebhook(`sha256=${signature.toUpperCase()}`, BODY, secret), true);
+  });
+
+  it('rejects a tampered body', () => {
+    assert.equal(verifyFirefliesWebhook(hmacHex(secret, BODY), `${BODY} `, secret), false);
+  });
+
+  it('rejects a missing signature', () => {
+    assert.equal(verifyFirefliesWebhook(undefined, BODY, secret), false);
+  });
+
+  it('skips verification without a secret', () => {
+    assert.equal(verifyFirefliesWebhook(undefined, BODY, null), true);
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Durable job queue: retries, cancellation, crash recovery and time limits
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  registerJobHandler,
+  retryLater,
+  enqueueJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  startJobWorker,
+  stopJobWorker
+} = require('../../src/services/job-queue');
+
+const POLL_INTERVAL_MS = 20;
+
+let dir;
+let storePath;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait until a job reaches one of the given states
+async function waitForState(id, states, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (states.includes(getJob(id)?.state)) return getJob(id);
+    await sleep(POLL_INTERVAL_MS);
+  }
+  throw new Error(`Job ${id} never reached ${states.join('/')} (state: ${getJob(id)?.state})`);
+}
+
+const readStore = () => JSON.parse(fs.readFileSync(storePath, 'utf8'));
+
+describe('job queue', () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-queue-'));
+    storePath = path.join(dir, 'jobs.json');
+  });
+
+  afterEach(() => {
+    stopJobWorker();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('runs a due job and persists its result', async () => {
+    registerJobHandler('test.ok', async payload => ({ doubled: payload.n * 2 }));
+    startJobWorker({ storePath, pollIntervalMs: POLL_INTERVAL_MS });
+
+    enqueueJob('test.ok', { n: 21 }, { id: 'ok-1' });
+    const job = await waitForState('ok-1', ['completed']);
+
+    assert.deepEqual(job.result, { doubled: 42 });
+    assert.equal(job.attempts, 1);
+    assert.equal(readStore().find(j => j.id === 'ok-1').state, 'completed');
+  });
+
+  it('reschedules a job that asks to be retried later', async () => {
+    registerJobHandler('test.retry', async (payload, job) => (job.attempts < 3 ? retryLater(10, 'not ready') : 'ready'));
+    startJobWorker({ storePath, pollIntervalMs: POLL_INTERVAL_MS });
+
+    enqueueJob('test.retry', {}, { id: 'retry-1' });
+    const job = await waitForState('retry-1', ['completed']);
+
+    assert.equal(job.attempts, 3);
+    assert.equal(job.result, 'ready');
+  });
+
+  it('marks a job that throws as failed', async () => {
+    registerJobHandler('test.fail', async () => { throw new Error('Attio down'); });
+    startJobWorker({ storePath, pollIntervalMs: POLL_INTERVAL_MS });
+
+    enqueueJob('test.fail', {}, { id: 'fail-1' });
+    const job = await waitForState('fail-1', ['failed']);
+    assert.equal(job.lastError, 'Attio down');
+  });
+
+  it('returns the existing job for a duplicate id', () => {
+    startJobWorker({ storePath, pollIntervalMs: 60000 });
+    const runAt = new Date(Date.now() + 60000);
+
+    const first = enqueueJob('test.ok', { n: 1 }, { id: 'dup-1', runAt });
+    const second = enqueueJob('test.ok', { n: 2 }, { id: 'dup-1', runAt });
+    assert.equal(second, first);
+    assert.deepEqual(second.payload, { n: 1 });
+  });
+
+  it('cancels a pending job so it never runs', async () => {
+    let ran = false;
+    registerJobHandler('test.cancel', async () => { ran = true; });
+    startJobWorker({ storePath, pollIntervalMs: POLL_INTERVAL_MS });
+
+    enqueueJob('test.cancel', {}, { id: 'cancel-1', runAt: new Date(Date.now() + 100) });
+    assert.equal(cancelJob('cancel-1', 'Meeting canceled'), true);
+    assert.equal(cancelJob('cancel-1', 'again'), false);
+    assert.equal(cancelJob('missing', 'nothing to cancel'), false);
+
+    await sleep(200);
+    assert.equal(ran, false);
+    assert.equal(getJob('cancel-1').state, 'canceled');
+    assert.equal(getJob('cancel-1').lastError, 'Meeting canceled');
+  });
+
+  it('resumes pending jobs and jobs left running by a crash after a restart', async () => {
+    const now = new Date().toISOString();
+    const job = (id, state) => ({
+      id, type: 'test.resume', payload: {}, state, runAt: now, attempts: 1,
+      lastError: null, result: null, createdAt: now, updatedAt: now
+    });
+    fs.writeFileSync(storePath, JSON.stringify([job('crashed', 'running'), job('waiting', 'pending'), job('done', 'completed')]));
+
+    const ran = [];
+    registerJobHandler('test.resume', async (payload, j) => { ran.push(j.id); });
+    startJobWorker({ storePath, pollIntervalMs: POLL_INTERVAL_MS });
+
+    await waitForState('crashed', ['completed']);
+    await waitForState('waiting', ['completed']);
+    assert.deepEqual(ran.sort(), ['crashed', 'waiting']);
+    assert.equal(getJob('crashed').attempts, 2);
+  });
+
+  it('moves a corrupt jobs file aside and starts empty', () => {
+    fs.writeFileSync(storePath, '[{"id":');
+    startJobWorker({ storePath, pollIntervalMs: 60000 });
+
+    assert.deepEqual(listJobs(), []);
+    assert.ok(fs.readdirSync(dir).some(name => name.startsWith('jobs.json.corrupt-')));
+  });
+
+  it('fails a job that runs past the time limit and moves on', async () => {
+    registerJobHandler('test.stall', () => new Promise(() => {}));
+    registerJobHandler('test.ok', async () => 'ok');
+    startJobWorker({ storePath, pollIntervalMs: POLL_INTERVAL_MS, jobTimeoutMs: 50 });
+
+    enqueueJob('test.stall', {}, { id: 'stall-1' });
+    enqueueJob('test.ok', {}, { id: 'after-stall', runAt: new Date(Date.now() + 1) });
+
+    const stalled = await waitForState('stall-1', ['failed']);
+    assert.match(stalled.lastError, /timed out/);
+    await waitForState('after-stall', ['completed']);
+  });
+});
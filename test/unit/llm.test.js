@@ -0,0 +1,168 @@
+/**
+ * LLM provider layer (call cap, fallback, provider selection), against a local OpenAI-compatible server
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const path = require('path');
+
+const { getLlm, resolveProviderName, checkProvider } = require('../../src/services/llm');
+const { generateSummary, extractActionItems } = require('../../src/services/summarizer');
+
+// Local server: each request body is kept; `reply` decides the status and content
+let server;
+let baseUrl;
+let received = [];
+let reply = () => ({ status: 200, content: 'ok' });
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = JSON.parse(body);
+      received.push({ path: req.url, authorization: req.headers.authorization, ...request });
+      const { status, content } = reply(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(status === 200
+        ? { choices: [{ message: { content } }], usage: { prompt_tokens: 10, completion_tokens: 5 } }
+        : { error: { message: 'server error' } }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+  reply = () => ({ status: 200, content: 'ok' });
+});
+
+const llmConfig = (llm = {}) => ({
+  actionItemTasks: true,
+  llm: {
+    provider: 'openai-compatible',
+    fallbackProvider: null,
+    providerOverrides: {},
+    timeoutMs: 5000,
+    temperature: 0.3,
+    maxTokens: 1000,
+    chunkTokens: 250,
+    maxCallsPerMeeting: 4,
+    summaryMode: 'markdown',
+    providers: { 'openai-compatible': { baseUrl, model: 'local-model' } },
+    ...llm
+  },
+  prompts: { dir: path.join(__dirname, '../../prompts'), defaultTemplate: 'default', rules: [] }
+});
+
+describe('LLM call cap', () => {
+  it('refuses calls past maxCalls', async () => {
+    const llm = getLlm(llmConfig(), { maxCalls: 2 });
+    await llm.complete({ system: 's', prompt: 'p' });
+    await llm.complete({ system: 's', prompt: 'p' });
+
+    await assert.rejects(llm.complete({ system: 's', prompt: 'p' }), /LLM call limit reached \(2 calls per meeting\)/);
+    assert.equal(received.length, 2);
+  });
+
+  it('has no cap without maxCalls', async () => {
+    const llm = getLlm(llmConfig());
+    for (let i = 0; i < 5; i++) await llm.complete({ system: 's', prompt: 'p' });
+    assert.equal(received.length, 5);
+  });
+
+  it('fits a long markdown summary and its action items into the per-meeting cap', async () => {
+    const config = llmConfig();
+    const transcript = Array.from({ length: 20 }, (_, i) => `Speaker ${i}: ${'word '.repeat(77)}end.`).join('\n');
+    reply = request => ({
+      status: 200,
+      content: request.response_format ? '{"action_items": [{"text": "Send the proposal"}]}' : 'notes'
+    });
+
+    const llm = getLlm(config, { maxCalls: config.llm.maxCallsPerMeeting });
+    const summary = await generateSummary(transcript, config, llm);
+    const items = await extractActionItems(summary, config, null, llm);
+
+    assert.deepEqual(items, [{ text: 'Send the proposal', owner: null, dueDate: null }]);
+    assert.equal(received.length, 4);
+  });
+});
+
+describe('provider fallback', () => {
+  // Primary: the local server as openai-compatible; fallback: the same server as "openai"
+  const fallbackConfig = () => llmConfig({
+    fallbackProvider: 'openai',
+    providers: {
+      'openai-compatible': { baseUrl, model: 'local-model' },
+      openai: { apiKey: 'fallback-key', baseUrl, model: 'fallback-model' }
+    }
+  });
+
+  it('answers from the fallback when the primary fails', async () => {
+    reply = request => (request.model === 'local-model' ? { status: 500 } : { status: 200, content: 'from fallback' });
+    const llm = getLlm(fallbackConfig());
+
+    assert.equal(await llm.complete({ system: 's', prompt: 'p' }), 'from fallback');
+    assert.deepEqual(received.map(r => [r.model, r.authorization]), [['local-model', undefined], ['fallback-model', 'Bearer fallback-key']]);
+  });
+
+  it('does not call the fallback when the primary answers', async () => {
+    const llm = getLlm(fallbackConfig());
+    await llm.complete({ system: 's', prompt: 'p' });
+    assert.deepEqual(received.map(r => r.model), ['local-model']);
+  });
+
+  it('fails with the primary error without a fallback', async () => {
+    reply = () => ({ status: 500 });
+    await assert.rejects(getLlm(llmConfig()).complete({ system: 's', prompt: 'p' }), /status code 500/);
+  });
+
+  it('counts fallback calls against the call cap', async () => {
+    reply = request => (request.model === 'local-model' ? { status: 500 } : { status: 200, content: 'from fallback' });
+
+    const capped = getLlm(fallbackConfig(), { maxCalls: 1 });
+    await assert.rejects(capped.complete({ system: 's', prompt: 'p' }), /status code 500/);
+    assert.equal(received.length, 1);
+
+    const llm = getLlm(fallbackConfig(), { maxCalls: 2 });
+    assert.equal(await llm.complete({ system: 's', prompt: 'p' }), 'from fallback');
+    await assert.rejects(llm.complete({ system: 's', prompt: 'p' }), /LLM call limit reached/);
+  });
+});
+
+describe('provider selection', () => {
+  const overrides = { fathom: 'anthropic', 'fathom:datalabs': 'openai-compatible' };
+
+  it('prefers the source + account override, then the source override, then the default', () => {
+    const llm = { provider: 'openai', providerOverrides: overrides };
+
+    assert.equal(resolveProviderName(llm, 'fathom', 'datalabs'), 'openai-compatible');
+    assert.equal(resolveProviderName(llm, 'fathom', 'other'), 'anthropic');
+    assert.equal(resolveProviderName(llm, 'calendly', null), 'openai');
+  });
+
+  it('reports missing provider settings and unknown providers', () => {
+    const llm = { providers: { 'azure-openai': { apiKey: 'k' }, 'openai-compatible': {} } };
+
+    assert.deepEqual(checkProvider('azure-openai', llm), ['endpoint is not set', 'deployment is not set']);
+    assert.deepEqual(checkProvider('openai-compatible', llm), ['baseUrl is not set']);
+    assert.match(checkProvider('gemini', llm)[0], /unknown provider/);
+  });
+
+  it('sends the request to the provider chosen for the source', async () => {
+    const config = llmConfig({ provider: 'openai', providerOverrides: { zoom: 'openai-compatible' } });
+    const llm = getLlm(config, { source: 'zoom' });
+
+    assert.equal(llm.provider, 'openai-compatible');
+    await llm.complete({ system: 'sys', prompt: 'hello', temperature: 0, maxTokens: 50, responseFormat: { type: 'json_object' } });
+    assert.equal(received[0].path, '/v1/chat/completions');
+    assert.deepEqual(received[0].messages, [{ role: 'system', content: 'sys' }, { role: 'user', content: 'hello' }]);
+    assert.deepEqual(received[0].response_format, { type: 'json_object' });
+    assert.equal(received[0].max_tokens, 50);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Shared meeting pipeline: a fake source through summary and Attio, failures attributed to
+ * their step in the dead-letter store, and retries resuming from that step
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'meeting-pipeline-'));
+process.env.STORE_BACKEND = 'memory';
+process.env.DEAD_LETTER_FILE_PATH = path.join(dir, 'dead-letters.json');
+
+// LLM (axios.post to the provider) and Attio (axios.create client) answers, switched per test
+const axios = require(require.resolve('axios', { paths: [path.join(__dirname, '../../src/services')] }));
+const { post: axiosPost, create: createAxios } = axios;
+let llmDown = false;
+let attioDown = false;
+let llmCalls = 0;
+let attioWrites = [];
+
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: {}, headers: {} }
+});
+
+axios.post = async (url, body) => {
+  llmCalls++;
+  if (llmDown) throw httpError(400);
+  const content = body.response_format
+    ? '{"action_items": [{"text": "Send the proposal", "owner": null, "due_date": null}]}'
+    : '## Meeting Overview\nIntro call.';
+  return { status: 200, data: { choices: [{ message: { content } }], usage: {} } };
+};
+
+axios.create = () => ({
+  request: async ({ method, url }) => {
+    if (attioDown) throw httpError(400);
+    if (url === '/objects/people/records/query' || url === '/objects/deals/records/query') {
+      return { status: 200, data: { data: [] } };
+    }
+    if (url === '/workspace_members') return { status: 200, data: { data: [] } };
+    attioWrites.push(`${method} ${url}`);
+    if (url === '/objects/people/records') {
+      return { status: 200, data: { data: { id: { record_id: 'p1' }, created_at: new Date().toISOString() } } };
+    }
+    return { status: 200, data: { data: { id: { note_id: 'n1', task_id: 't1' } } } };
+  }
+});
+
+// Best-effort steps are replaced before the pipeline picks them up, so a test can make one throw
+let failingStep = null;
+const failable = (modulePath, exportName, step) => {
+  const mod = require(modulePath);
+  const original = mod[exportName];
+  mod[exportName] = async (...args) => {
+    if (failingStep === step) throw new Error(`${step} broke`);
+    return original(...args);
+  };
+};
+failable('../../src/services/attio-pipeline', 'advancePipeline', 'advance_pipeline');
+failable('../../src/services/field-mapping', 'applyFieldMapping', 'field_mapping');
+failable('../../src/services/action-items', 'syncActionItems', 'action_items');
+
+const { createMeeting, toTranscript } = require('../../src/services/meeting');
+const { syncMeeting } = require('../../src/services/meeting-pipeline');
+const { registerRetryHandler, getDeadLetter, retryDeadLetter } = require('../../src/services/dead-letter');
+
+// Source adapter turning { id, guestEmail } into a Meeting
+const adapter = {
+  name: 'fake',
+  deadLetterSource: 'fake.sync',
+  parseStep: 'fetch_transcript',
+  correlate: false,
+  parsed: 0,
+  async toMeeting(input) {
+    adapter.parsed++;
+    if (input.notReady) return null;
+    return createMeeting({
+      source: 'fake',
+      externalId: input.id,
+      attendees: input.guestEmail ? [{ name: 'Jane Doe', email: input.guestEmail, role: 'guest' }] : [],
+      transcript: toTranscript('Jane: We need pipeline reporting.\nSam: I will send a proposal.')
+    });
+  },
+  getFailureId: input => `fake:${input.id}`,
+  getMeetingKey: meeting => `fake:${meeting.externalId}`
+};
+
+// Same retry handler as services/sources registers for real adapters
+registerRetryHandler(adapter.deadLetterSource, record =>
+  syncMeeting(adapter, record.payload, { accountId: record.accountId, resume: record.context, failureId: record.id })
+);
+
+let meetingCount = 0;
+const input = (extra = {}) => ({ id: `m${++meetingCount}`, guestEmail: 'jane@gmail.com', ...extra });
+
+describe('syncMeeting', () => {
+  beforeEach(() => {
+    llmDown = false;
+    attioDown = false;
+    failingStep = null;
+    llmCalls = 0;
+    attioWrites = [];
+    adapter.parsed = 0;
+  });
+
+  after(() => {
+    Object.assign(axios, { post: axiosPost, create: createAxios });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('syncs a meeting to Attio with a note and action item tasks', async () => {
+    const result = await syncMeeting(adapter, input());
+
+    assert.equal(result.personId, 'p1');
+    assert.equal(result.created, true);
+    assert.deepEqual(result.taskIds, ['t1']);
+    assert.deepEqual(attioWrites, ['PUT /objects/people/records', 'POST /notes', 'POST /tasks']);
+    assert.equal(llmCalls, 2);
+  });
+
+  it('returns null without a dead letter when the source has nothing to sync yet', async () => {
+    const payload = input({ notReady: true });
+    assert.equal(await syncMeeting(adapter, payload), null);
+    assert.equal(await getDeadLetter(`fake:${payload.id}`), null);
+  });
+
+  it('attributes a meeting without a guest to the parse step', async () => {
+    const payload = input({ guestEmail: null });
+    await assert.rejects(syncMeeting(adapter, payload), /No guest email found in fake meeting/);
+    assert.equal((await getDeadLetter(`fake:${payload.id}`)).failedStep, 'fetch_transcript');
+  });
+
+  it('resumes a failed summary from the stored meeting without parsing again', async () => {
+    const payload = input();
+    llmDown = true;
+    await assert.rejects(syncMeeting(adapter, payload), /status code 400/);
+
+    const record = await getDeadLetter(`fake:${payload.id}`);
+    assert.equal(record.failedStep, 'generate_summary');
+    assert.equal(record.context.meeting.externalId, payload.id);
+    assert.equal(record.context.summary, null);
+
+    llmDown = false;
+    const result = await retryDeadLetter(record.id);
+    assert.equal(result.personId, 'p1');
+    assert.equal(adapter.parsed, 1);
+    assert.equal(await getDeadLetter(record.id), null);
+  });
+
+  it('resumes a failed Attio upsert without summarizing again', async () => {
+    const payload = input();
+    attioDown = true;
+    await assert.rejects(syncMeeting(adapter, payload), { name: 'AttioValidationError' });
+
+    const record = await getDeadLetter(`fake:${payload.id}`);
+    assert.equal(record.failedStep, 'attio_upsert');
+    assert.equal(record.context.summary, '## Meeting Overview\nIntro call.');
+
+    attioDown = false;
+    llmCalls = 0;
+    await retryDeadLetter(record.id);
+    assert.equal(adapter.parsed, 1);
+    assert.equal(llmCalls, 1); // only the action item extraction
+  });
+
+  it('keeps one dead letter per meeting when a retry fails again', async () => {
+    const payload = input();
+    attioDown = true;
+    await assert.rejects(syncMeeting(adapter, payload));
+    await assert.rejects(retryDeadLetter(`fake:${payload.id}`));
+
+    assert.equal((await getDeadLetter(`fake:${payload.id}`)).attempts, 2);
+  });
+
+  for (const step of ['advance_pipeline', 'field_mapping', 'action_items']) {
+    it(`attributes a failure after the note to ${step}`, async () => {
+      const payload = input();
+      failingStep = step;
+      await assert.rejects(syncMeeting(adapter, payload), new RegExp(`${step} broke`));
+
+      assert.equal((await getDeadLetter(`fake:${payload.id}`)).failedStep, step);
+    });
+  }
+});
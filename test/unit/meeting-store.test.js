@@ -0,0 +1,132 @@
+/**
+ * Calendly bookings: expiry and correlation with recorded meetings (findMatch)
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.STORE_BACKEND = 'memory';
+
+const { addBooking, removeBooking, listBookings, findMatch } = require('../../src/services/meeting-store');
+
+const START = '2026-03-02T15:00:00.000Z';
+const minutesFrom = (iso, minutes) => new Date(new Date(iso).getTime() + minutes * 60 * 1000).toISOString();
+
+function booking(inviteeUuid, fields = {}) {
+  return addBooking({
+    inviteeUuid,
+    eventUuid: `event-${inviteeUuid}`,
+    meetingUrl: 'https://meet.google.com/abc-defg-hij',
+    startTime: START,
+    endTime: minutesFrom(START, 30),
+    guestEmail: 'guest@acme.com',
+    guestName: 'Guest',
+    hostEmail: 'host@example.com',
+    eventType: 'Intro call',
+    ...fields
+  });
+}
+
+describe('findMatch', () => {
+  beforeEach(async () => {
+    for (const rec of await listBookings()) await removeBooking(rec.inviteeUuid);
+  });
+
+  it('matches by meeting URL and guest email', async () => {
+    await booking('a');
+    const match = await findMatch({
+      meetingUrl: 'https://meet.google.com/abc-defg-hij#ignored',
+      guestEmail: 'GUEST@acme.com',
+      hostEmail: 'host@example.com',
+      startTime: null
+    });
+    assert.equal(match?.inviteeUuid, 'a');
+  });
+
+  it('does not match a URL when the guest differs', async () => {
+    await booking('a');
+    const match = await findMatch({
+      meetingUrl: 'https://meet.google.com/abc-defg-hij',
+      guestEmail: 'someone@else.com',
+      hostEmail: null,
+      startTime: null
+    });
+    assert.equal(match, null);
+  });
+
+  it('matches by start time within 15 minutes and guest email', async () => {
+    await booking('a', { meetingUrl: null });
+    assert.equal((await findMatch({ meetingUrl: null, guestEmail: 'guest@acme.com', hostEmail: null, startTime: minutesFrom(START, 10) }))?.inviteeUuid, 'a');
+    assert.equal(await findMatch({ meetingUrl: null, guestEmail: 'guest@acme.com', hostEmail: null, startTime: minutesFrom(START, 20) }), null);
+  });
+
+  it('rejects a booking whose host disagrees', async () => {
+    await booking('a');
+    const match = await findMatch({
+      meetingUrl: 'https://meet.google.com/abc-defg-hij',
+      guestEmail: 'guest@acme.com',
+      hostEmail: 'other-host@example.com',
+      startTime: START
+    });
+    assert.equal(match, null);
+  });
+
+  it('matches Zoom links by meeting ID across subdomains and passwords', async () => {
+    await booking('a', { meetingUrl: 'https://us02web.zoom.us/j/81234567890?pwd=secret' });
+    const match = await findMatch({
+      meetingUrl: 'https://zoom.us/j/81234567890',
+      guestEmail: 'guest@acme.com',
+      hostEmail: null,
+      startTime: null
+    });
+    assert.equal(match?.inviteeUuid, 'a');
+  });
+
+  it('without a guest email, needs the host and a close start time, and picks the closest booking', async () => {
+    // A Personal Meeting ID link is shared by all of the host's bookings
+    const pmi = 'https://us02web.zoom.us/j/5551234567';
+    await booking('morning', { meetingUrl: pmi, startTime: minutesFrom(START, -120), guestEmail: 'a@acme.com' });
+    await booking('now', { meetingUrl: pmi, startTime: minutesFrom(START, 5), guestEmail: 'b@acme.com' });
+    await booking('later', { meetingUrl: pmi, startTime: minutesFrom(START, 12), guestEmail: 'c@acme.com' });
+
+    const recording = { meetingUrl: 'https://zoom.us/j/5551234567', guestEmail: null, hostEmail: 'host@example.com' };
+    assert.equal((await findMatch({ ...recording, startTime: START }))?.inviteeUuid, 'now');
+    assert.equal(await findMatch({ ...recording, startTime: minutesFrom(START, 60) }), null);
+    assert.equal(await findMatch({ ...recording, startTime: null }), null);
+    assert.equal(await findMatch({ ...recording, hostEmail: 'other-host@example.com', startTime: START }), null);
+  });
+
+  it('returns null without a URL or start time', async () => {
+    await booking('a');
+    assert.equal(await findMatch({ meetingUrl: null, guestEmail: 'guest@acme.com', hostEmail: null, startTime: null }), null);
+  });
+});
+
+describe('booking expiry', () => {
+  const DAY_MS = 1000 * 60 * 60 * 24;
+  const expiresInMs = async inviteeUuid =>
+    new Date((await listBookings()).find(rec => rec.inviteeUuid === inviteeUuid).expiresAt).getTime() - Date.now();
+
+  beforeEach(async () => {
+    for (const rec of await listBookings()) await removeBooking(rec.inviteeUuid);
+  });
+
+  it('keeps a booking made days ahead until a day after the meeting ends', async () => {
+    const start = new Date(Date.now() + 5 * DAY_MS).toISOString();
+    await booking('ahead', { startTime: start, endTime: minutesFrom(start, 30) });
+
+    const expected = 6 * DAY_MS + 30 * 60 * 1000;
+    assert.ok(Math.abs(await expiresInMs('ahead') - expected) < 5000);
+  });
+
+  it('keeps a booking for at least a day', async () => {
+    await booking('past');
+    await booking('no-end', { endTime: null });
+    await booking('bad-end', { endTime: 'Invalid Date' });
+
+    for (const inviteeUuid of ['past', 'no-end', 'bad-end']) {
+      assert.ok(Math.abs(await expiresInMs(inviteeUuid) - DAY_MS) < 5000);
+    }
+  });
+});
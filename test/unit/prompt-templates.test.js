@@ -0,0 +1,113 @@
+/**
+ * Summary prompt templates: validation, selection rules and rendering
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { loadPromptTemplates, checkPromptTemplates, renderPromptTemplate } = require('../../src/services/prompt-templates');
+
+const template = (system, prompt) => `<!-- system -->\n${system}\n\n<!-- prompt -->\n${prompt}\n`;
+
+let dir;
+
+function writeTemplates(templates) {
+  for (const [name, content] of Object.entries(templates)) {
+    fs.writeFileSync(path.join(dir, `${name}.md`), content);
+  }
+}
+
+const config = (prompts = {}) => ({ prompts: { dir, defaultTemplate: 'default', rules: [], ...prompts } });
+
+describe('prompt templates', () => {
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+    writeTemplates({
+      default: template('You summarize sales calls.', 'Summarize the call with {{guestName}} from {{company}}.'),
+      recruiting: template('You summarize interviews.', 'Summarize the interview with {{ guestName }} on {{meetingDate}}.')
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('renders the default template with the meeting variables', () => {
+    assert.deepEqual(loadPromptTemplates(config()), []);
+    const rendered = renderPromptTemplate({ guestName: 'Jane Doe', company: 'Acme' }, config());
+
+    assert.deepEqual(rendered, {
+      name: 'default',
+      system: 'You summarize sales calls.',
+      prompt: 'Summarize the call with Jane Doe from Acme.'
+    });
+  });
+
+  it('renders unknown values as "unknown"', () => {
+    loadPromptTemplates(config());
+    const rendered = renderPromptTemplate({ guestName: 'Jane Doe', company: '' }, config());
+    assert.equal(rendered.prompt, 'Summarize the call with Jane Doe from unknown.');
+  });
+
+  it('picks the first rule matching every field it sets, case-insensitively', () => {
+    const rules = [
+      { source: 'fathom', accountId: 'hiring', template: 'recruiting' },
+      { eventType: 'Interview', template: 'recruiting' }
+    ];
+    loadPromptTemplates(config({ rules }));
+
+    const pick = meeting => renderPromptTemplate(meeting, config({ rules })).name;
+    assert.equal(pick({ source: 'Fathom', accountId: 'HIRING' }), 'recruiting');
+    assert.equal(pick({ source: 'fathom', accountId: 'sales' }), 'default');
+    assert.equal(pick({ source: 'calendly', eventType: 'interview ' }), 'recruiting');
+    assert.equal(pick({ source: 'calendly', eventType: 'Intro call' }), 'default');
+  });
+
+  it('reports unknown variables and missing parts', () => {
+    writeTemplates({
+      typo: template('System.', 'Hello {{guestname}}.'),
+      partial: '<!-- prompt -->\nOnly a prompt.\n'
+    });
+
+    const errors = checkPromptTemplates(config());
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /Template "partial" has no <!-- system --> part/);
+    assert.match(errors[1], /Template "typo" uses unknown variable \{\{guestname\}\}/);
+  });
+
+  it('reports a missing default template and rules pointing at unknown templates or fields', () => {
+    const errors = checkPromptTemplates(config({
+      defaultTemplate: 'sales',
+      rules: [{ source: 'zoom' }, { host: 'a@acme.com', template: 'missing' }]
+    }));
+
+    assert.deepEqual(errors, [
+      `Default template "sales" not found in ${dir}`,
+      'Prompt rule 1 has no "template"',
+      'Prompt rule 2 uses unknown template "missing"',
+      'Prompt rule 2 has unknown fields: host (expected source, accountId, eventType, hostEmail)'
+    ]);
+  });
+
+  it('keeps the loaded templates when a reload is invalid', () => {
+    loadPromptTemplates(config());
+    writeTemplates({ default: template('Changed.', 'Hello {{nope}}.') });
+
+    assert.equal(loadPromptTemplates(config()).length, 1);
+    assert.equal(renderPromptTemplate({}, config()).system, 'You summarize sales calls.');
+  });
+
+  it('reports an unreadable template directory', () => {
+    const errors = checkPromptTemplates({ prompts: { dir: path.join(dir, 'missing'), defaultTemplate: 'default' } });
+    assert.match(errors[0], /Cannot read prompt template directory/);
+  });
+
+  it('validates the templates shipped in prompts/', () => {
+    const shipped = { prompts: { dir: path.join(__dirname, '../../prompts'), defaultTemplate: 'default', rules: [] } };
+    assert.deepEqual(checkPromptTemplates(shipped), []);
+  });
+});
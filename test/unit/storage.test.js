@@ -0,0 +1,123 @@
+/**
+ * Store backends: memory and file (redis needs a server and is not covered here)
+ * Run with: npm run test:unit
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createMemoryStore } = require('../../src/services/storage/memory');
+const { createFileStore } = require('../../src/services/storage/file');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('memory store', () => {
+  it('gets, sets, deletes and takes values per namespace', async () => {
+    const store = createMemoryStore();
+    await store.set('bookings', 'a', { guest: 'a@acme.com' });
+    await store.set('leads', 'a', 'other namespace');
+
+    assert.deepEqual(await store.get('bookings', 'a'), { guest: 'a@acme.com' });
+    assert.equal(await store.get('bookings', 'missing'), null);
+    assert.equal(await store.count('bookings'), 1);
+
+    assert.deepEqual(await store.take('bookings', 'a'), { guest: 'a@acme.com' });
+    assert.equal(await store.take('bookings', 'a'), null);
+    assert.equal(await store.delete('leads', 'a'), true);
+    assert.equal(await store.delete('leads', 'a'), false);
+  });
+
+  it('lists entries with their expiry', async () => {
+    const store = createMemoryStore();
+    await store.set('bookings', 'a', 1, 60000);
+    await store.set('bookings', 'b', 2);
+
+    const entries = await store.list('bookings');
+    assert.deepEqual(entries.map(entry => [entry.key, entry.value, entry.expiresAt === null]), [['a', 1, false], ['b', 2, true]]);
+  });
+
+  it('drops expired entries on read, count and list', async () => {
+    const store = createMemoryStore();
+    await store.set('deliveries', 'old', 1, 10);
+    await store.set('deliveries', 'kept', 2);
+    await sleep(20);
+
+    assert.equal(await store.get('deliveries', 'old'), null);
+    assert.equal(await store.take('deliveries', 'old'), null);
+    assert.equal(await store.count('deliveries'), 1);
+    assert.deepEqual((await store.list('deliveries')).map(entry => entry.key), ['kept']);
+    assert.deepEqual(Object.keys(store.dump().deliveries), ['kept']);
+  });
+
+  it('sets a value only when the key is absent or expired', async () => {
+    const store = createMemoryStore();
+    assert.equal(await store.setIfAbsent('claims', 'k', 'first', 10), true);
+    assert.equal(await store.setIfAbsent('claims', 'k', 'second', 10), false);
+    assert.equal(await store.get('claims', 'k'), 'first');
+
+    await sleep(20);
+    assert.equal(await store.setIfAbsent('claims', 'k', 'third'), true);
+    assert.equal(await store.get('claims', 'k'), 'third');
+  });
+});
+
+describe('file store', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-store-'));
+    filePath = path.join(dir, 'store.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('survives a restart', async () => {
+    const store = createFileStore({ filePath });
+    await store.set('bookings', 'a', { guest: 'a@acme.com' }, 60000);
+    await store.set('leads', 'b', 'lead');
+    await store.delete('leads', 'b');
+
+    const reopened = createFileStore({ filePath });
+    assert.deepEqual(await reopened.get('bookings', 'a'), { guest: 'a@acme.com' });
+    assert.equal(await reopened.get('leads', 'b'), null);
+  });
+
+  it('removes expired entries from the file', async () => {
+    const store = createFileStore({ filePath });
+    await store.set('deliveries', 'old', 1, 10);
+    await sleep(20);
+    await store.get('deliveries', 'old');
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')).deliveries, {});
+  });
+
+  it('starts empty when the file is corrupt', async () => {
+    fs.writeFileSync(filePath, '{"bookings":');
+    const store = createFileStore({ filePath });
+    assert.equal(await store.count('bookings'), 0);
+  });
+
+  it('keeps working in memory when the file cannot be written', async () => {
+    const store = createFileStore({ filePath });
+    await store.set('bookings', 'a', 1);
+
+    const writeFileSync = fs.writeFileSync;
+    fs.writeFileSync = () => { throw new Error('ENOSPC: no space left on device'); };
+    try {
+      await store.set('bookings', 'b', 2);
+      assert.equal(await store.get('bookings', 'b'), 2);
+    } finally {
+      fs.writeFileSync = writeFileSync;
+    }
+
+    // The next successful write catches the file up
+    await store.set('bookings', 'c', 3);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8')).bookings), ['a', 'b', 'c']);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Structured summaries: the JSON request and its rendering into the markdown note
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SUMMARY_SCHEMA, renderSummaryMarkdown } = require('../../src/services/structured-summary');
+const { summarizeTranscript } = require('../../src/services/summarizer');
+
+const PROMPTS_DIR = path.join(__dirname, '../../prompts');
+
+const config = {
+  actionItemTasks: true,
+  llm: { temperature: 0.3, maxTokens: 1000, chunkTokens: 6000, maxCallsPerMeeting: 10, summaryMode: 'structured' },
+  prompts: { dir: PROMPTS_DIR, defaultTemplate: 'default', rules: [] }
+};
+
+const summaryData = {
+  overview: 'Jane Doe (Acme) evaluating the product.',
+  key_points: ['Needs SSO', 'Migrating off spreadsheets'],
+  background: 'Acme runs a 12-person sales team.',
+  interest: 'Pipeline reporting.',
+  action_items: [
+    { text: 'Send the proposal', owner: 'Sam', due_date: '2026-10-23' },
+    { text: 'Book a demo', owner: null, due_date: null }
+  ],
+  sales_intelligence: 'Decision by end of quarter.',
+  relationship: 'Warm.',
+  fields: {
+    sentiment: 'positive',
+    deal_likelihood: 70,
+    budget: '$20k/year',
+    team_size: 12,
+    tools_used: ['HubSpot', 'Sheets'],
+    objections: ['Price'],
+    next_meeting_date: null
+  }
+};
+
+// LLM client answering every call with `content`, keeping the requests
+function fakeLlm(content) {
+  const llm = { requests: [], complete: async request => { llm.requests.push(request); return content; } };
+  return llm;
+}
+
+describe('renderSummaryMarkdown', () => {
+  it('renders every section of the markdown note', () => {
+    const markdown = renderSummaryMarkdown(summaryData);
+
+    assert.deepEqual(markdown.match(/^## .+$/gm), [
+      '## Meeting Overview',
+      '## Key Discussion Points',
+      '## Prospect/Client Background',
+      '## Interest & Objections',
+      '## Action Items & Next Steps',
+      '## Sales Intelligence',
+      '## Sentiment & Relationship',
+      '## Key Facts'
+    ]);
+    assert.match(markdown, /## Key Discussion Points\n- Needs SSO\n- Migrating off spreadsheets/);
+    assert.match(markdown, /\*\*Objections:\*\*\n- Price/);
+    assert.match(markdown, /- Send the proposal \(owner: Sam, due: 2026-10-23\)\n- Book a demo\n/);
+  });
+
+  it('renders the extracted fields as key facts', () => {
+    const markdown = renderSummaryMarkdown(summaryData);
+
+    assert.match(markdown, /- \*\*Deal likelihood:\*\* 70%/);
+    assert.match(markdown, /- \*\*Team size:\*\* 12/);
+    assert.match(markdown, /- \*\*Tools used:\*\* HubSpot, Sheets/);
+    assert.match(markdown, /- \*\*Next meeting:\*\* n\/a/);
+  });
+
+  it('marks empty lists and unknown fields', () => {
+    const markdown = renderSummaryMarkdown({
+      ...summaryData,
+      key_points: [],
+      action_items: [],
+      fields: { sentiment: 'neutral', deal_likelihood: 0, budget: null, team_size: null, tools_used: [], objections: [], next_meeting_date: null }
+    });
+
+    assert.match(markdown, /## Key Discussion Points\n_None_/);
+    assert.match(markdown, /## Action Items & Next Steps\n_None_/);
+    assert.match(markdown, /- \*\*Deal likelihood:\*\* 0%/);
+    assert.match(markdown, /- \*\*Budget:\*\* n\/a/);
+    assert.match(markdown, /- \*\*Team size:\*\* n\/a/);
+  });
+});
+
+describe('summarizeTranscript in structured mode', () => {
+  it('asks for JSON matching the schema with the meeting template', async () => {
+    const llm = fakeLlm(JSON.stringify(summaryData));
+    const result = await summarizeTranscript('Jane: Hi', config, llm, { source: 'fathom', guestName: 'Jane Doe' });
+
+    assert.deepEqual(result.summaryData, summaryData);
+    assert.equal(result.summary, renderSummaryMarkdown(summaryData));
+
+    const [request] = llm.requests;
+    assert.deepEqual(request.responseFormat, { type: 'json_schema', name: 'call_summary', schema: SUMMARY_SCHEMA });
+    const template = fs.readFileSync(path.join(PROMPTS_DIR, 'default.md'), 'utf8');
+    assert.ok(request.system.startsWith(template.split('<!-- prompt -->')[0].replace('<!-- system -->', '').trim()));
+    assert.match(request.prompt, /Respond with JSON in the requested structure/);
+    assert.match(request.prompt, /TRANSCRIPT:\nJane: Hi$/);
+  });
+
+  it('accepts JSON wrapped in a code fence', async () => {
+    const llm = fakeLlm(`\`\`\`json\n${JSON.stringify(summaryData)}\n\`\`\``);
+    const result = await summarizeTranscript('Jane: Hi', config, llm);
+    assert.deepEqual(result.summaryData, summaryData);
+  });
+
+  it('fails on an empty response', async () => {
+    await assert.rejects(summarizeTranscript('Jane: Hi', config, fakeLlm(null)), /empty response/);
+  });
+
+  it('returns plain markdown without summary data in markdown mode', async () => {
+    const markdownConfig = { ...config, llm: { ...config.llm, summaryMode: 'markdown' } };
+    const llm = fakeLlm('## Meeting Overview\nA call.');
+    const result = await summarizeTranscript('Jane: Hi', markdownConfig, llm);
+
+    assert.deepEqual(result, { summary: '## Meeting Overview\nA call.', summaryData: null });
+    assert.equal(llm.requests[0].responseFormat, undefined);
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Summaries of long transcripts: chunk notes, then one combined summary within the LLM call cap
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { generateSummary, summarizeTranscript } = require('../../src/services/summarizer');
+
+const baseConfig = {
+  actionItemTasks: true,
+  llm: { temperature: 0.3, maxTokens: 1000, chunkTokens: 250, maxCallsPerMeeting: 4, summaryMode: 'markdown' },
+  prompts: { dir: path.join(__dirname, '../../prompts'), defaultTemplate: 'default', rules: [] }
+};
+
+const withLlm = llm => ({ ...baseConfig, llm: { ...baseConfig.llm, ...llm } });
+
+// 20 speaker turns of ~100 tokens
+const LONG_TRANSCRIPT = Array.from({ length: 20 }, (_, i) => `Speaker ${i}: ${'word '.repeat(77)}end.`).join('\n');
+
+// LLM client answering chunk calls with notes and the final call with `final`
+function fakeLlm(final = '## Meeting Overview\nA long call.') {
+  const llm = {
+    requests: [],
+    complete: async request => {
+      llm.requests.push(request);
+      return request.prompt.includes('TRANSCRIPT (PART') ? `Notes ${llm.requests.length}` : final;
+    }
+  };
+  return llm;
+}
+
+describe('generateSummary', () => {
+  it('summarizes a short transcript in one call', async () => {
+    const llm = fakeLlm();
+    await generateSummary('Jane: Hi', baseConfig, llm);
+
+    assert.equal(llm.requests.length, 1);
+    assert.match(llm.requests[0].prompt, /TRANSCRIPT:\nJane: Hi$/);
+  });
+
+  it('condenses a long transcript into notes per chunk and summarizes the notes', async () => {
+    const llm = fakeLlm();
+    const summary = await generateSummary(LONG_TRANSCRIPT, withLlm({ maxCallsPerMeeting: 10 }), llm);
+
+    assert.equal(summary, '## Meeting Overview\nA long call.');
+    const chunkCalls = llm.requests.slice(0, -1);
+    assert.ok(chunkCalls.length > 1);
+    chunkCalls.forEach(request => assert.match(request.prompt, /FINAL SUMMARY INSTRUCTIONS:\nCreate a detailed summary/));
+
+    const final = llm.requests.at(-1).prompt;
+    assert.match(final, /NOTES FROM CONSECUTIVE PARTS OF THE CALL/);
+    assert.match(final, new RegExp(`### Part ${chunkCalls.length} of ${chunkCalls.length}\n\nNotes ${chunkCalls.length}`));
+  });
+
+  it('leaves a call for action item extraction in markdown mode', async () => {
+    const llm = fakeLlm();
+    await generateSummary(LONG_TRANSCRIPT, baseConfig, llm);
+
+    // 4 calls per meeting: 2 chunks + the combined summary, 1 left for action items
+    assert.equal(llm.requests.length, 3);
+  });
+
+  it('only reserves the combined summary call without action item tasks', async () => {
+    const llm = fakeLlm();
+    await generateSummary(LONG_TRANSCRIPT, { ...baseConfig, actionItemTasks: false }, llm);
+
+    assert.equal(llm.requests.length, 4);
+  });
+
+  it('uses every call for the summary in structured mode, where the JSON has the action items', async () => {
+    const llm = fakeLlm(JSON.stringify({ overview: 'A long call.', action_items: [], fields: {} }));
+    await summarizeTranscript(LONG_TRANSCRIPT, withLlm({ summaryMode: 'structured' }), llm);
+
+    assert.equal(llm.requests.length, 4);
+  });
+
+  it('fails when a chunk returns no notes', async () => {
+    const llm = { complete: async () => null };
+    await assert.rejects(generateSummary(LONG_TRANSCRIPT, baseConfig, llm), /empty notes for transcript part 1/);
+  });
+});
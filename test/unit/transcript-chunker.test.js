@@ -0,0 +1,47 @@
+/**
+ * Transcript chunking for map-reduce summarization
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { estimateTokens, splitSpeakerTurns, chunkTranscript } = require('../../src/services/transcript-chunker');
+
+// `count` speaker turns of roughly `tokens` tokens each
+const transcript = (count, tokens = 100) => Array.from({ length: count }, (_, i) =>
+  `Speaker ${i % 2 ? 'B' : 'A'}: ${'word '.repeat(Math.floor((tokens * 4) / 5) - 3)}end ${i}.`
+).join('\n');
+
+describe('splitSpeakerTurns', () => {
+  it('starts a turn at every speaker line and keeps continuation lines with it', () => {
+    const turns = splitSpeakerTurns('Jane: Hi\nthere\n\n(00:12) Sam: Hello\n[00:01:02] Jane: Pricing?');
+    assert.deepEqual(turns, ['Jane: Hi\nthere', '(00:12) Sam: Hello', '[00:01:02] Jane: Pricing?']);
+  });
+});
+
+describe('chunkTranscript', () => {
+  it('packs whole speaker turns into chunks within the budget', () => {
+    const chunks = chunkTranscript(transcript(10), 250);
+
+    assert.equal(chunks.length, 5);
+    chunks.forEach(chunk => assert.ok(estimateTokens(chunk) <= 250));
+    assert.ok(chunks.every(chunk => chunk.startsWith('Speaker ')));
+    assert.equal(chunks.join('\n\n').split('\n\n').length, 10);
+  });
+
+  it('splits a single turn longer than the budget between sentences', () => {
+    const longTurn = `Jane: ${'This is one sentence of the turn. '.repeat(40)}`;
+    const chunks = chunkTranscript(longTurn, 100);
+
+    assert.ok(chunks.length > 1);
+    chunks.forEach(chunk => assert.ok(estimateTokens(chunk) <= 100));
+  });
+
+  it('raises the budget to stay within the maximum number of chunks', () => {
+    const chunks = chunkTranscript(transcript(20), 150, 4);
+
+    assert.ok(chunks.length <= 4);
+    assert.equal(chunks.join('\n\n').split('\n\n').length, 20);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Webhook auth middleware for providers without native signing (HeyReach, Clay)
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { webhookAuth } = require('../../src/middleware/webhook-auth');
+
+const BODY = JSON.stringify({ event: 'test', payload: { id: 1 } });
+const hmacHex = (key, content) => crypto.createHmac('sha256', key).update(content).digest('hex');
+
+describe('webhookAuth', () => {
+  // Runs the middleware and reports whether it let the request through
+  function run(middleware, req) {
+    let status = null;
+    let passed = false;
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    middleware({ headers: {}, query: {}, rawBody: BODY, ...req }, res, () => { passed = true; });
+    return { passed, status };
+  }
+
+  it('checks a shared secret header', () => {
+    const auth = webhookAuth({ source: 'HeyReach', secret: 's3cret' });
+    assert.equal(run(auth, { headers: { 'x-webhook-secret': 's3cret' } }).passed, true);
+    assert.deepEqual(run(auth, { headers: { 'x-webhook-secret': 'wrong' } }), { passed: false, status: 401 });
+    assert.deepEqual(run(auth, {}), { passed: false, status: 401 });
+  });
+
+  it('checks an HMAC of the raw body', () => {
+    const auth = webhookAuth({ source: 'Clay', secret: 's3cret', mode: 'hmac' });
+    const signature = hmacHex('s3cret', BODY);
+    assert.equal(run(auth, { headers: { 'x-webhook-signature': `sha256=${signature}` } }).passed, true);
+    assert.equal(run(auth, { headers: { 'x-webhook-signature': signature }, rawBody: `${BODY} ` }).passed, false);
+  });
+
+  it('checks a query token', () => {
+    const auth = webhookAuth({ source: 'Clay', secret: 's3cret', mode: 'query', queryParam: 'key' });
+    assert.equal(run(auth, { query: { key: 's3cret' } }).passed, true);
+    assert.equal(run(auth, { query: { token: 's3cret' } }).passed, false);
+  });
+
+  it('lets requests through without a secret', () => {
+    assert.equal(run(webhookAuth({ source: 'HeyReach', secret: null }), {}).passed, true);
+  });
+
+  it('rejects an unknown mode', () => {
+    assert.throws(() => webhookAuth({ source: 'HeyReach', secret: 's3cret', mode: 'basic' }), /Unknown webhook auth mode/);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Zoom webhook signature verification, URL validation and WebVTT transcript parsing
+ * Run with: npm run test:unit
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { verifyZoomWebhook, getUrlValidationResponse, parseVtt } = require('../../src/services/zoom');
+
+const BODY = JSON.stringify({ event: 'test', payload: { id: 1 } });
+const now = () => Math.floor(Date.now() / 1000);
+const hmacHex = (key, content) => crypto.createHmac('sha256', key).update(content).digest('hex');
+
+describe('verifyZoomWebhook', () => {
+  const secretToken = 'zoom-secret-token';
+  const headers = (timestamp = now(), body = BODY) =>
+    ({ signature: `v0=${hmacHex(secretToken, `v0:${timestamp}:${body}`)}`, timestamp: String(timestamp) });
+
+  it('accepts a valid signature', () => {
+    assert.equal(verifyZoomWebhook(headers(), BODY, secretToken, 300), true);
+  });
+
+  it('rejects a tampered body', () => {
+    assert.equal(verifyZoomWebhook(headers(), `${BODY} `, secretToken, 300), false);
+  });
+
+  it('rejects a timestamp outside the tolerance', () => {
+    assert.equal(verifyZoomWebhook(headers(now() - 600), BODY, secretToken, 300), false);
+  });
+
+  it('rejects missing headers', () => {
+    assert.equal(verifyZoomWebhook({}, BODY, secretToken, 300), false);
+  });
+
+  it('skips verification without a secret token', () => {
+    assert.equal(verifyZoomWebhook({}, BODY, null, 300), true);
+  });
+
+  it('answers the endpoint URL validation challenge', () => {
+    assert.deepEqual(getUrlValidationResponse('plain', secretToken), {
+      plainToken: 'plain',
+      encryptedToken: hmacHex(secretToken, 'plain')
+    });
+  });
+});
+
+
+describe('parseVtt', () => {
+  it('turns cues into speaker segments with start times', () => {
+    const vtt = [
+      'WEBVTT',
+      '',
+      '1',
+      '00:00:01.230 --> 00:00:04.560',
+      'Jane Doe: Thanks for joining.',
+      '',
+      '2',
+      '00:01:05.000 --> 00:01:08.000',
+      'John Smith: Happy to be here.'
+    ].join('\n');
+
+    assert.deepEqual(parseVtt(vtt), [
+      { speaker: 'Jane Doe', text: 'Thanks for joining.', startSeconds: 1.23 },
+      { speaker: 'John Smith', text: 'Happy to be here.', startSeconds: 65 }
+    ]);
+  });
+
+  it('merges consecutive cues from the same speaker', () => {
+    const vtt = 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.000\nJane: One.\n\n2\n00:00:02.000 --> 00:00:03.000\nJane: Two.';
+    assert.deepEqual(parseVtt(vtt), [{ speaker: 'Jane', text: 'One. Two.', startSeconds: 1 }]);
+  });
+
+  it('handles CRLF line endings, hour timestamps and multi-line cues', () => {
+    const vtt = 'WEBVTT\r\n\r\n01:00:00.500 --> 01:00:02.000\r\nJane: First line\r\nsecond line\r\n';
+    assert.deepEqual(parseVtt(vtt), [{ speaker: 'Jane', text: 'First line second line', startSeconds: 3600.5 }]);
+  });
+
+  it('uses a generic speaker when a cue has no name prefix', () => {
+    const vtt = 'WEBVTT\n\n00:00:01.000 --> 00:00:02.000\nno speaker here';
+    assert.deepEqual(parseVtt(vtt), [{ speaker: 'Speaker', text: 'no speaker here', startSeconds: 1 }]);
+  });
+
+  it('skips NOTE blocks and empty cues', () => {
+    const vtt = 'WEBVTT\n\nNOTE recorded by Zoom\n\n00:00:01.000 --> 00:00:02.000\n\n00:00:03.000 --> 00:00:04.000\nJane: Hi.';
+    assert.deepEqual(parseVtt(vtt), [{ speaker: 'Jane', text: 'Hi.', startSeconds: 3 }]);
+  });
+
+  it('returns no segments for an empty transcript', () => {
+    assert.deepEqual(parseVtt(''), []);
+    assert.deepEqual(parseVtt(null), []);
+  });
+});